@@ -2,15 +2,24 @@
 
 const express = require('express');
 const axios = require('axios');
+const nodemailer = require('nodemailer');
+const webPush = require('web-push');
 const fs = require('fs').promises; // Use promises version for async/await
 const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
 const app = express();
 
 // Use Render's PORT or default to 3000 for local testing
 const port = process.env.PORT || 3000;
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+// Middleware to parse JSON bodies (raw body kept for webhook signatures)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Version info
 const APP_VERSION = '3.0.0';
@@ -21,15 +30,124 @@ const config = {
     clientSecret: process.env.GOTO_CLIENT_SECRET,
     gotoPhoneNumber: process.env.GOTO_PHONE_NUMBER,
     myPhoneNumber: process.env.MY_PHONE_NUMBER,
-    tokenUrl: 'https://authentication.logmeininc.com/oauth/token',
-    smsApiUrl: 'https://api.goto.com/messaging/v1/messages'
+    // Overridable so tests can point GoTo at an address that fails
+    tokenUrl: process.env.GOTO_TOKEN_URL || 'https://authentication.logmeininc.com/oauth/token',
+    smsApiUrl: process.env.GOTO_SMS_API_URL || 'https://api.goto.com/messaging/v1/messages'
+};
+
+// Secondary SMS provider: any Twilio-compatible REST API, used when GoTo fails
+// TWILIO_MOCK=true answers on this server under /mock/twilio instead, for trying failover without an account
+const TWILIO_MOCK = process.env.TWILIO_MOCK === 'true';
+const twilioConfig = {
+    accountSid: process.env.TWILIO_ACCOUNT_SID || (TWILIO_MOCK ? 'ACmock' : undefined),
+    authToken: process.env.TWILIO_AUTH_TOKEN || (TWILIO_MOCK ? 'mock-token' : undefined),
+    fromNumber: process.env.TWILIO_FROM_NUMBER || (TWILIO_MOCK ? '+15005550006' : undefined),
+    apiUrl: process.env.TWILIO_API_URL || (TWILIO_MOCK ? `http://localhost:${port}/mock/twilio` : 'https://api.twilio.com')
+};
+
+// SMTP settings for email notifications
+// Point SMTP_HOST/SMTP_PORT at a local stand-in (MailHog, smtp4dev, etc) for testing
+const emailConfig = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || process.env.SMTP_USER
+};
+
+// VAPID keys for Web Push (generate with: npx web-push generate-vapid-keys)
+const pushConfig = {
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || 'mailto:admin@example.com'
 };
 
+if (pushConfig.publicKey && pushConfig.privateKey) {
+    webPush.setVapidDetails(pushConfig.subject, pushConfig.publicKey, pushConfig.privateKey);
+}
+
 // Data file paths for persistence
-const DATA_DIR = path.join(__dirname, 'data');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
 const CHANGELOG_FILE = path.join(DATA_DIR, 'changelog.json');
 const ARCHIVED_FILE = path.join(DATA_DIR, 'archived.json');
+const PUSH_SUBSCRIPTIONS_FILE = path.join(DATA_DIR, 'push-subscriptions.json');
+const DELIVERIES_FILE = path.join(DATA_DIR, 'deliveries.json');
+
+const RETRY_QUEUE_FILE = path.join(DATA_DIR, 'retry-queue.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const API_TOKENS_FILE = path.join(DATA_DIR, 'api-tokens.json');
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const ROTATIONS_FILE = path.join(DATA_DIR, 'rotations.json');
+const ESCALATION_POLICIES_FILE = path.join(DATA_DIR, 'escalation-policies.json');
+const INCIDENTS_FILE = path.join(DATA_DIR, 'incidents.json');
+const INBOUND_MESSAGES_FILE = path.join(DATA_DIR, 'inbound-messages.json');
+const SMS_PREFERENCES_FILE = path.join(DATA_DIR, 'sms-preferences.json');
+const THROTTLE_FILE = path.join(DATA_DIR, 'throttle.json');
+const DIGESTS_FILE = path.join(DATA_DIR, 'digests.json');
+const CONTACTS_FILE = path.join(DATA_DIR, 'contacts.json');
+const PEOPLE_FILE = path.join(DATA_DIR, 'people.json');
+const GROUPS_FILE = path.join(DATA_DIR, 'groups.json');
+const USAGE_FILE = path.join(DATA_DIR, 'usage.json');
+
+// Delivery log entries kept on disk
+const MAX_DELIVERIES = 2000;
+
+// Retry queue settings for failed SMS sends
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const RETRY_POLL_INTERVAL_MS = 10 * 1000;
+const MAX_DEAD_LETTERS = 500;
+
+// Authentication settings
+const ROLES = ['viewer', 'editor', 'admin'];
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Inbound webhook secrets
+const SECRET_MODES = ['none', 'token', 'header', 'hmac'];
+const DEFAULT_SIGNATURE_TOLERANCE = 300;
+const SECRET_ROTATION_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Escalations
+const MAX_INCIDENTS = 500;
+const ESCALATION_POLL_INTERVAL_MS = 15 * 1000;
+const PUBLIC_URL = process.env.PUBLIC_URL || '';
+const INBOUND_SMS_TOKEN = process.env.INBOUND_SMS_TOKEN || '';
+
+// Inbound SMS replies
+const MAX_INBOUND_MESSAGES = 2000;
+const REPLY_MATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MUTE_MS = 60 * 60 * 1000;
+const ACK_MAX_FAILURES = 5;
+const ACK_LOCKOUT_MS = 15 * 60 * 1000;
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_KEYWORDS = ['START', 'UNSTOP'];
+
+// Deduplication and rate limiting
+const THROTTLE_POLL_INTERVAL_MS = 15 * 1000;
+const MAX_DIGEST_CALLERS = 5;
+
+// Digest mode
+const DIGEST_INTERVALS = { '15m': 15, hourly: 60, daily: null };
+const DEFAULT_DIGEST_TIME = '17:00';
+const DEFAULT_DIGEST_TEMPLATE = '{count} {webhook} alerts since {since|date:h:mm A}:\n{lines}';
+const DIGEST_POLL_INTERVAL_MS = 30 * 1000;
+
+// Contacts directory
+const CONTACT_IMPORT_LIMIT = '2mb';
+const CONTACT_FIELDS = ['phone', 'name', 'company', 'vip', 'notes'];
+
+// SMS usage and budgets
+const USAGE_RETENTION_DAYS = 400;
+const USAGE_MAX_RANGE_DAYS = 366;
+const DEFAULT_USAGE_RANGE_DAYS = 30;
+const DEFAULT_BUDGET_WARN_PERCENT = 80;
 
 // Initialize data directory
 async function initDataDirectory() {
@@ -168,1206 +286,9517 @@ async function saveArchived(archived) {
     }
 }
 
-// Initialize data stores
-let notificationConfigs = {};
-let archivedWebhooks = {};
-let changelog = [];
+// Load Web Push subscriptions
+async function loadPushSubscriptions() {
+    try {
+        const data = await fs.readFile(PUSH_SUBSCRIPTIONS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
 
-// Function to add to changelog
-async function addToChangelog(action, webhookName, details = {}) {
-    changelog.push({
-        timestamp: new Date().toISOString(),
-        action,
-        webhookName,
-        details,
-        version: APP_VERSION
-    });
-    await saveChangelog(changelog);
+// Save Web Push subscriptions
+async function savePushSubscriptions(subscriptions) {
+    try {
+        await fs.writeFile(PUSH_SUBSCRIPTIONS_FILE, JSON.stringify(subscriptions, null, 2));
+    } catch (error) {
+        console.error('Error saving push subscriptions:', error);
+    }
 }
 
-// Store the access token and expiry
-let accessToken = null;
-let tokenExpiry = null;
+// Load delivery log
+async function loadDeliveries() {
+    try {
+        const data = await fs.readFile(DELIVERIES_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
 
-// Parse phone numbers from comma-separated string
-function parsePhoneNumbers(phoneString) {
-    if (!phoneString) return [];
-    return phoneString.split(',').map(num => num.trim()).filter(num => num);
+// Save delivery log
+// Sends finish in any order, so writes are chained to keep an older copy from landing last
+let deliveriesWrite = Promise.resolve();
+
+function saveDeliveries(deliveries) {
+    const data = JSON.stringify(deliveries.slice(-MAX_DELIVERIES), null, 2);
+    deliveriesWrite = deliveriesWrite
+        .then(() => fs.writeFile(DELIVERIES_FILE, data))
+        .catch(error => console.error('Error saving deliveries:', error));
+    return deliveriesWrite;
 }
 
-// Function to get or refresh the access token
-async function getAccessToken() {
-    if (accessToken && tokenExpiry && new Date() < tokenExpiry) {
-        return accessToken;
+// Load retry queue
+async function loadRetryQueue() {
+    try {
+        const data = await fs.readFile(RETRY_QUEUE_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return { pending: [], deadLetter: [] };
     }
+}
 
+// Save retry queue
+async function saveRetryQueue(queue) {
     try {
-        console.log('Requesting new access token...');
-        
-        const params = new URLSearchParams();
-        params.append('grant_type', 'client_credentials');
-        params.append('client_id', config.clientId);
-        params.append('client_secret', config.clientSecret);
-        params.append('scope', 'messaging.v1.send');
+        await fs.writeFile(RETRY_QUEUE_FILE, JSON.stringify(queue, null, 2));
+    } catch (error) {
+        console.error('Error saving retry queue:', error);
+    }
+}
 
-        const response = await axios.post(config.tokenUrl, params, {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        });
+// Load manager users
+async function loadUsers() {
+    try {
+        const data = await fs.readFile(USERS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
 
-        accessToken = response.data.access_token;
-        const expiresIn = response.data.expires_in || 3600;
-        tokenExpiry = new Date(Date.now() + ((expiresIn - 300) * 1000));
-        
-        console.log('Access token obtained successfully');
-        return accessToken;
+// Save manager users
+async function saveUsers(users) {
+    try {
+        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
     } catch (error) {
-        console.error('Error obtaining access token:', error.response?.data || error.message);
-        throw error;
+        console.error('Error saving users:', error);
     }
 }
 
-// Function to send SMS
-async function sendSMS(message, recipients) {
+// Load API tokens
+async function loadApiTokens() {
     try {
-        const token = await getAccessToken();
-        const phoneNumbers = parsePhoneNumbers(recipients);
-        
-        if (phoneNumbers.length === 0) {
-            throw new Error('No valid recipient phone numbers');
-        }
-        
-        console.log('Sending SMS...');
-        console.log('- From:', config.gotoPhoneNumber);
-        console.log('- To:', phoneNumbers.join(', '));
-        
-        const options = {
-            method: 'POST',
-            url: config.smsApiUrl,
-            headers: {
-                Authorization: `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            data: {
-                ownerPhoneNumber: config.gotoPhoneNumber,
-                contactPhoneNumbers: phoneNumbers,
-                body: message
-            }
-        };
+        const data = await fs.readFile(API_TOKENS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
 
-        const response = await axios.request(options);
-        console.log('SMS sent to', phoneNumbers.length, 'recipients');
-        return response.data;
+// Save API tokens
+async function saveApiTokens(tokens) {
+    try {
+        await fs.writeFile(API_TOKENS_FILE, JSON.stringify(tokens, null, 2));
     } catch (error) {
-        console.error('Error sending SMS:', error.response?.data || error.message);
-        throw error;
+        console.error('Error saving API tokens:', error);
     }
 }
 
-// Function to format message from template
-function formatMessage(template, data) {
-    let message = template;
-    
-    message = message.replace('{callerNumber}', data.callerNumber || 'Unknown');
-    message = message.replace('{callerName}', data.callerName || data.callerNumber || 'Unknown');
-    message = message.replace('{extension}', data.extension || data.extensionNumber || 'N/A');
-    message = message.replace('{time}', new Date().toLocaleTimeString());
-    message = message.replace('{date}', new Date().toLocaleDateString());
-    message = message.replace('{customMessage}', data.customMessage || 'Notification');
-    message = message.replace('{queueName}', data.queueName || 'N/A');
-    message = message.replace('{waitTime}', data.waitTime || 'N/A');
-    
-    return message;
+// Load global settings, seeded from the environment
+async function loadSettings() {
+    const defaults = {
+        timezone: process.env.DEFAULT_TIMEZONE || '',
+        locale: process.env.DEFAULT_LOCALE || '',
+        defaultCountry: (process.env.DEFAULT_COUNTRY || 'US').toUpperCase(),
+        smsCostPerSegment: parseFloat(process.env.SMS_COST_PER_SEGMENT) || 0
+    };
+    try {
+        const data = await fs.readFile(SETTINGS_FILE, 'utf8');
+        return { ...defaults, ...JSON.parse(data) };
+    } catch (error) {
+        return defaults;
+    }
 }
 
-// Root endpoint - shows status
-app.get('/', (req, res) => {
-    const baseUrl = `https://${req.get('host')}`;
-    
-    const endpoints = Object.keys(notificationConfigs).map(key => ({
-        name: key,
-        url: `${baseUrl}/sms-whook/${key}`,
-        description: notificationConfigs[key].description,
-        recipients: parsePhoneNumbers(notificationConfigs[key].recipients).length + ' recipient(s)'
-    }));
-    
-    res.json({
-        status: 'running',
-        version: APP_VERSION,
-        message: APP_NAME,
-        manager: `${baseUrl}/manager`,
-        availableEndpoints: endpoints,
-        timestamp: new Date().toISOString()
-    });
-});
+// Save global settings
+async function saveSettings(settings) {
+    try {
+        await fs.writeFile(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+}
 
-// Shorter webhook URL endpoint
-app.post('/sms-whook/:type', async (req, res) => {
-    const notificationType = req.params.type;
-    const config = notificationConfigs[notificationType];
-    
-    if (!config) {
-        return res.status(404).json({
-            error: 'Unknown notification type',
-            available: Object.keys(notificationConfigs)
-        });
+// Load business-hours schedules
+async function loadSchedules() {
+    try {
+        const data = await fs.readFile(SCHEDULES_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
     }
-    
-    console.log(`${notificationType.toUpperCase()} notification received`);
-    console.log('Payload:', JSON.stringify(req.body, null, 2));
-    
+}
+
+// Save business-hours schedules
+async function saveSchedules(schedules) {
     try {
-        const data = {
-            callerNumber: req.body.callerNumber || req.body.caller || req.body.from,
-            callerName: req.body.callerName || req.body.name,
-            extension: req.body.extension || req.body.extensionNumber || req.body.to,
-            customMessage: req.body.message || req.query.message,
-            queueName: req.body.queueName,
-            waitTime: req.body.waitTime,
-            ...req.body
-        };
-        
-        const message = formatMessage(config.messageTemplate, data);
-        
-        // Send SMS
-        await sendSMS(message, config.recipients);
-        
-        // Add to changelog
-        await addToChangelog('webhook_triggered', notificationType, { callerNumber: data.callerNumber });
-        
-        res.status(200).json({
-            success: true,
-            type: notificationType,
-            message: 'Notification sent successfully',
-            recipientCount: parsePhoneNumbers(config.recipients).length
-        });
+        await fs.writeFile(SCHEDULES_FILE, JSON.stringify(schedules, null, 2));
     } catch (error) {
-        console.error('Error processing webhook:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error('Error saving schedules:', error);
     }
-});
+}
 
-// Backward compatibility with old URL
-app.post('/notify/:type', (req, res) => {
-    req.params.type = req.params.type;
-    req.url = `/sms-whook/${req.params.type}`;
-    app.handle(req, res);
-});
+// Load on-call rotations
+async function loadRotations() {
+    try {
+        const data = await fs.readFile(ROTATIONS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
 
-// API endpoints for the web manager
-app.get('/api/webhooks', (req, res) => {
-    res.json({
-        webhooks: notificationConfigs,
-        archived: archivedWebhooks,
-        version: APP_VERSION
-    });
-});
+// Save on-call rotations
+async function saveRotations(rotations) {
+    try {
+        await fs.writeFile(ROTATIONS_FILE, JSON.stringify(rotations, null, 2));
+    } catch (error) {
+        console.error('Error saving rotations:', error);
+    }
+}
 
-app.post('/api/webhooks', async (req, res) => {
-    const { name, config } = req.body;
-    if (name && config) {
-        notificationConfigs[name] = config;
-        await saveWebhooks(notificationConfigs);
-        await addToChangelog('webhook_created', name, config);
-        res.json({ success: true, message: 'Webhook created' });
-    } else {
-        res.status(400).json({ error: 'Invalid webhook data' });
+// Load escalation policies
+async function loadEscalationPolicies() {
+    try {
+        const data = await fs.readFile(ESCALATION_POLICIES_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
     }
-});
+}
 
-app.put('/api/webhooks/:name', async (req, res) => {
-    const name = req.params.name;
-    const config = req.body;
-    if (notificationConfigs[name]) {
-        const oldConfig = { ...notificationConfigs[name] };
-        notificationConfigs[name] = { ...notificationConfigs[name], ...config };
-        await saveWebhooks(notificationConfigs);
-        await addToChangelog('webhook_updated', name, { old: oldConfig, new: notificationConfigs[name] });
-        res.json({ success: true, message: 'Webhook updated' });
-    } else {
-        res.status(404).json({ error: 'Webhook not found' });
+// Save escalation policies
+async function saveEscalationPolicies(escalationPolicies) {
+    try {
+        await fs.writeFile(ESCALATION_POLICIES_FILE, JSON.stringify(escalationPolicies, null, 2));
+    } catch (error) {
+        console.error('Error saving escalation policies:', error);
     }
-});
+}
 
-app.post('/api/webhooks/:name/archive', async (req, res) => {
-    const name = req.params.name;
-    if (notificationConfigs[name]) {
-        archivedWebhooks[name] = {
-            ...notificationConfigs[name],
-            archivedAt: new Date().toISOString()
-        };
-        delete notificationConfigs[name];
-        await saveWebhooks(notificationConfigs);
-        await saveArchived(archivedWebhooks);
-        await addToChangelog('webhook_archived', name);
-        res.json({ success: true, message: 'Webhook archived' });
-    } else {
-        res.status(404).json({ error: 'Webhook not found' });
+// Load incidents
+async function loadIncidents() {
+    try {
+        const data = await fs.readFile(INCIDENTS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
     }
-});
+}
 
-app.post('/api/webhooks/:name/restore', async (req, res) => {
-    const name = req.params.name;
-    if (archivedWebhooks[name]) {
-        notificationConfigs[name] = { ...archivedWebhooks[name] };
-        delete notificationConfigs[name].archivedAt;
-        delete archivedWebhooks[name];
-        await saveWebhooks(notificationConfigs);
-        await saveArchived(archivedWebhooks);
-        await addToChangelog('webhook_restored', name);
-        res.json({ success: true, message: 'Webhook restored' });
-    } else {
-        res.status(404).json({ error: 'Archived webhook not found' });
+// Save incidents, keeping only the most recent ones
+async function saveIncidents(incidents) {
+    try {
+        const trimmed = incidents.slice(-MAX_INCIDENTS);
+        await fs.writeFile(INCIDENTS_FILE, JSON.stringify(trimmed, null, 2));
+    } catch (error) {
+        console.error('Error saving incidents:', error);
     }
-});
+}
 
-app.get('/api/changelog', (req, res) => {
-    res.json(changelog);
-});
+// Load inbound SMS messages
+async function loadInboundMessages() {
+    try {
+        const data = await fs.readFile(INBOUND_MESSAGES_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
 
-// Test endpoint
-app.post('/test-sms', async (req, res) => {
+// Save inbound SMS messages, keeping only the most recent ones
+async function saveInboundMessages(inboundMessages) {
     try {
-        const type = req.body.type || 'general';
-        const testConfig = notificationConfigs[type] || notificationConfigs.general;
-        
-        const testMessage = req.body.message || 
-            `Test ${type} notification\nTime: ${new Date().toLocaleString()}\nYour ${type} webhook is working!`;
-        
-        await sendSMS(testMessage, testConfig.recipients || config.myPhoneNumber);
-        
-        res.json({ 
-            success: true,
-            type: type,
-            message: 'Test SMS sent successfully',
-            recipients: parsePhoneNumbers(testConfig.recipients || config.myPhoneNumber)
-        });
+        const trimmed = inboundMessages.slice(-MAX_INBOUND_MESSAGES);
+        await fs.writeFile(INBOUND_MESSAGES_FILE, JSON.stringify(trimmed, null, 2));
     } catch (error) {
-        res.status(500).json({ 
-            success: false, 
-            error: error.message
-        });
+        console.error('Error saving inbound messages:', error);
     }
-});
+}
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy',
-        uptime: Math.round(process.uptime()),  // Fixed NaN issue
-        version: APP_VERSION,
-        timestamp: new Date().toISOString()
-    });
-});
+// Load SMS opt-outs and mutes
+async function loadSmsPreferences() {
+    try {
+        const data = await fs.readFile(SMS_PREFERENCES_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return { optOuts: [], mutes: [] };
+    }
+}
 
-// Configuration endpoint
-app.get('/config', (req, res) => {
-    const configs = {};
-    for (const [key, value] of Object.entries(notificationConfigs)) {
-        configs[key] = {
-            description: value.description,
-            recipientCount: parsePhoneNumbers(value.recipients).length,
-            hasEmail: !!value.email,
-            browserNotify: value.browserNotify,
-            tags: value.tags || []
-        };
+// Save SMS opt-outs and mutes
+async function saveSmsPreferences(smsPreferences) {
+    try {
+        await fs.writeFile(SMS_PREFERENCES_FILE, JSON.stringify(smsPreferences, null, 2));
+    } catch (error) {
+        console.error('Error saving SMS preferences:', error);
     }
-    
-    res.json({
-        version: APP_VERSION,
-        gotoPhoneConfigured: !!config.gotoPhoneNumber,
-        credentialsConfigured: !!config.clientSecret && config.clientSecret !== 'YOUR_CLIENT_SECRET_HERE',
-        notificationTypes: configs,
-        archivedCount: Object.keys(archivedWebhooks).length,
-        webhookCount: Object.keys(notificationConfigs).length
-    });
-});
+}
 
-// Serve the web manager interface
-app.get('/manager', (req, res) => {
-    const html = getManagerHTML(req.get('host'));
-    res.send(html);
-});
+// Load dedupe/rate-limit windows and recent SMS sends
+async function loadThrottle() {
+    try {
+        const data = await fs.readFile(THROTTLE_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return { windows: [], sends: [] };
+    }
+}
 
-// Help documentation
-app.get('/help', (req, res) => {
-    const helpHTML = getHelpHTML();
-    res.send(helpHTML);
-});
+// Save dedupe/rate-limit windows and recent SMS sends
+async function saveThrottle(throttle) {
+    try {
+        await fs.writeFile(THROTTLE_FILE, JSON.stringify(throttle, null, 2));
+    } catch (error) {
+        console.error('Error saving throttle state:', error);
+    }
+}
 
-// Export webhooks
-app.get('/api/export', (req, res) => {
-    const exportData = {
-        version: APP_VERSION,
+// Load pending digests
+async function loadDigests() {
+    try {
+        const data = await fs.readFile(DIGESTS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Save pending digests
+async function saveDigests(pendingDigests) {
+    try {
+        await fs.writeFile(DIGESTS_FILE, JSON.stringify(pendingDigests, null, 2));
+    } catch (error) {
+        console.error('Error saving digests:', error);
+    }
+}
+
+// Load contacts
+async function loadContacts() {
+    try {
+        const data = await fs.readFile(CONTACTS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
+
+// Save contacts
+async function saveContacts(contacts) {
+    try {
+        await fs.writeFile(CONTACTS_FILE, JSON.stringify(contacts, null, 2));
+    } catch (error) {
+        console.error('Error saving contacts:', error);
+    }
+}
+
+// Load named recipients
+async function loadPeople() {
+    try {
+        const data = await fs.readFile(PEOPLE_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Save named recipients
+async function savePeople(people) {
+    try {
+        await fs.writeFile(PEOPLE_FILE, JSON.stringify(people, null, 2));
+    } catch (error) {
+        console.error('Error saving people:', error);
+    }
+}
+
+// Load recipient groups
+async function loadGroups() {
+    try {
+        const data = await fs.readFile(GROUPS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Save recipient groups
+async function saveGroups(groups) {
+    try {
+        await fs.writeFile(GROUPS_FILE, JSON.stringify(groups, null, 2));
+    } catch (error) {
+        console.error('Error saving groups:', error);
+    }
+}
+
+// Load daily SMS usage totals
+async function loadUsage() {
+    try {
+        const data = await fs.readFile(USAGE_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return { days: {}, budgetAlerts: {} };
+    }
+}
+
+// Save daily SMS usage totals
+async function saveUsage(usage) {
+    try {
+        await fs.writeFile(USAGE_FILE, JSON.stringify(usage, null, 2));
+    } catch (error) {
+        console.error('Error saving usage:', error);
+    }
+}
+
+// Initialize data stores
+let notificationConfigs = {};
+let archivedWebhooks = {};
+let changelog = [];
+let pushSubscriptions = [];
+let deliveries = [];
+let retryQueue = { pending: [], deadLetter: [] };
+let users = {};
+let apiTokens = [];
+let settings = {};
+let schedules = {};
+let rotations = {};
+let escalationPolicies = {};
+let incidents = [];
+let inboundMessages = [];
+let smsPreferences = { optOuts: [], mutes: [] };
+let throttle = { windows: [], sends: [] };
+let pendingDigests = {};
+let contacts = [];
+let people = {};
+let groups = {};
+let usage = { days: {}, budgetAlerts: {} };
+
+// Function to add to changelog
+async function addToChangelog(action, webhookName, details = {}) {
+    changelog.push({
         timestamp: new Date().toISOString(),
-        webhooks: notificationConfigs,
-        archived: archivedWebhooks,
-        changelog: changelog
+        action,
+        webhookName,
+        details,
+        version: APP_VERSION
+    });
+    await saveChangelog(changelog);
+}
+
+// Append a status change to a delivery's history
+function setDeliveryStatus(delivery, status, detail) {
+    delivery.status = status;
+    delivery.statusHistory.push({
+        status,
+        timestamp: new Date().toISOString(),
+        ...(detail ? { detail } : {})
+    });
+}
+
+// Start a delivery log entry
+function createDelivery(context, channel, recipients) {
+    const delivery = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        webhookName: context.webhookName,
+        channel,
+        recipients,
+        payload: context.payload,
+        message: context.message,
+        status: 'pending',
+        statusHistory: [],
+        response: null,
+        messageId: null,
+        latencyMs: null,
+        error: null
     };
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', 'attachment; filename="webhook-backup.json"');
-    res.send(JSON.stringify(exportData, null, 2));
-});
+    setDeliveryStatus(delivery, 'pending');
+    deliveries.push(delivery);
+    // Drop the oldest in place so the log in memory stays as small as the one on disk
+    if (deliveries.length > MAX_DELIVERIES) deliveries.splice(0, deliveries.length - MAX_DELIVERIES);
+    return delivery;
+}
 
-// Import webhooks
-app.post('/api/import', async (req, res) => {
+// Mark a delivery as held back; the caller saves the log
+// status is 'suppressed', or 'deferred'/'downgraded' for quiet hours
+function markDeliveryHeld(delivery, reason, status = 'suppressed') {
+    delivery.error = reason;
+    setDeliveryStatus(delivery, status, reason);
+    return { success: false, suppressed: true, reason, deliveryId: delivery.id };
+}
+
+// Log a send that was held back, so it still shows in the delivery log
+async function recordSuppressedDelivery(context, channel, recipients, reason, status = 'suppressed') {
+    const result = markDeliveryHeld(createDelivery(context, channel, recipients), reason, status);
+    await saveDeliveries(deliveries);
+    return result;
+}
+
+// Run one channel send and record it in the delivery log
+// With options.retry, transient failures are queued for another attempt.
+// options.deliveryId sends on an existing entry, such as one deferred for quiet hours.
+async function trackDelivery(context, channel, recipients, send, options = {}) {
+    const held = options.deliveryId && deliveries.find(entry => entry.id === options.deliveryId);
+
+    // Digests, deferred texts and escalations all pass through here, so the budget is checked once for all
+    const budgetBlock = channel === 'sms' &&
+        getBudgetBlock(context.webhookName, notificationConfigs[context.webhookName], context.payload);
+    if (budgetBlock) {
+        const result = markDeliveryHeld(held || createDelivery(context, channel, recipients), budgetBlock);
+        await saveDeliveries(deliveries);
+        return { ...result, budgetExceeded: true };
+    }
+
+    const delivery = held || createDelivery(context, channel, recipients);
+    delivery.error = null;
+
+    const started = Date.now();
     try {
-        const { webhooks, archived } = req.body;
-        
-        if (webhooks) {
-            notificationConfigs = { ...notificationConfigs, ...webhooks };
-            await saveWebhooks(notificationConfigs);
+        const response = await send();
+        delivery.latencyMs = Date.now() - started;
+        delivery.response = response || null;
+        delivery.messageId = response?.id || response?.messageId || null;
+        if (response?.segments) delivery.segments = response.segments;
+        const failed = response?.failed || [];
+        setDeliveryStatus(delivery, 'sent', failed.length ? `${failed.length} recipient(s) could not be reached` : undefined);
+        if (channel === 'sms') await recordUsage(context.webhookName, recipients, response);
+        if (failed.length) {
+            const partial = await trackFailedRecipients(context, channel, failed, options);
+            return { success: true, recipientCount: recipients.length, deliveryId: delivery.id, failedRecipients: failed.length, ...partial };
         }
-        
-        if (archived) {
-            archivedWebhooks = { ...archivedWebhooks, ...archived };
-            await saveArchived(archivedWebhooks);
-        }
-        
-        await addToChangelog('data_imported', 'system', { webhookCount: Object.keys(webhooks || {}).length });
-        
-        res.json({ success: true, message: 'Data imported successfully' });
+        return { success: true, recipientCount: recipients.length, deliveryId: delivery.id };
     } catch (error) {
-        res.status(500).json({ error: 'Import failed: ' + error.message });
+        delivery.latencyMs = Date.now() - started;
+        delivery.response = error.response?.data || null;
+        delivery.error = error.message;
+        if (error.sentParts) await recordUsage(context.webhookName, recipients, error.sentParts);
+
+        if (options.retry && isRetryableError(error)) {
+            const item = await enqueueRetry(delivery, error);
+            setDeliveryStatus(delivery, 'queued', error.message);
+            return { success: false, error: error.message, deliveryId: delivery.id, queued: true, queueId: item.id };
+        }
+
+        setDeliveryStatus(delivery, 'failed', error.message);
+        return { success: false, error: error.message, deliveryId: delivery.id };
+    } finally {
+        await saveDeliveries(deliveries);
     }
-});
+}
 
-// Function to generate the manager HTML
-function getManagerHTML(host) {
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${APP_NAME}</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            padding: 20px;
-        }
-        
-        .container {
-            max-width: 1400px;
-            margin: 0 auto;
+// Log the recipients a provider could not reach as their own deliveries, so they are not lost
+// when the rest went out. Transient failures are queued for retry with options.retry.
+async function trackFailedRecipients(context, channel, failed, options) {
+    const retryable = options.retry ? failed.filter(entry => entry.retryable) : [];
+    const rejected = failed.filter(entry => !retryable.includes(entry));
+    const result = {};
+
+    if (retryable.length) {
+        const delivery = createDelivery(context, channel, retryable.map(entry => entry.to));
+        delivery.error = retryable.map(entry => `${entry.to}: ${entry.error}`).join('; ');
+        const item = await enqueueRetry(delivery);
+        setDeliveryStatus(delivery, 'queued', delivery.error);
+        Object.assign(result, { queued: true, queueId: item.id, queuedDeliveryId: delivery.id });
+    }
+    if (rejected.length) {
+        const delivery = createDelivery(context, channel, rejected.map(entry => entry.to));
+        delivery.error = rejected.map(entry => `${entry.to}: ${entry.error}`).join('; ');
+        setDeliveryStatus(delivery, 'failed', delivery.error);
+        result.failedDeliveryId = delivery.id;
+    }
+    return result;
+}
+
+// Store the access token and expiry
+let accessToken = null;
+let tokenExpiry = null;
+
+// Parse phone numbers from comma-separated string
+function parsePhoneNumbers(phoneString) {
+    if (!phoneString) return [];
+    return phoneString.split(',').map(num => num.trim()).filter(num => num);
+}
+
+// Phone numbers are stored in E.164 (+15551234567). Numbers without a country code
+// are read as national numbers in the default country.
+
+// Calling code, national number length and trunk prefix dropped before adding the calling code
+const COUNTRY_DIALING = {
+    US: { code: '1', min: 10, max: 10 },
+    CA: { code: '1', min: 10, max: 10 },
+    GB: { code: '44', min: 9, max: 10, trunk: '0' },
+    IE: { code: '353', min: 7, max: 9, trunk: '0' },
+    AU: { code: '61', min: 9, max: 9, trunk: '0' },
+    NZ: { code: '64', min: 8, max: 10, trunk: '0' },
+    DE: { code: '49', min: 6, max: 13, trunk: '0' },
+    FR: { code: '33', min: 9, max: 9, trunk: '0' },
+    ES: { code: '34', min: 9, max: 9 },
+    IT: { code: '39', min: 6, max: 11 },
+    NL: { code: '31', min: 9, max: 9, trunk: '0' },
+    MX: { code: '52', min: 10, max: 10 },
+    BR: { code: '55', min: 10, max: 11, trunk: '0' },
+    IN: { code: '91', min: 10, max: 10, trunk: '0' },
+    ZA: { code: '27', min: 9, max: 9, trunk: '0' },
+    SG: { code: '65', min: 8, max: 8 },
+    JP: { code: '81', min: 9, max: 10, trunk: '0' }
+};
+
+// Country for numbers written without a +country code
+function getDefaultCountry() {
+    return settings.defaultCountry || 'US';
+}
+
+// Returns { number } in E.164, or { error }
+function normalizePhoneNumber(value, country = getDefaultCountry()) {
+    const text = String(value ?? '').trim();
+    if (!text) return { error: 'Phone number is empty' };
+    if (/[^0-9+\s().\-]/.test(text) || text.lastIndexOf('+') > 0) {
+        return { error: 'Only digits, spaces, + - . ( ) are allowed' };
+    }
+
+    let digits = text.replace(/\D/g, '');
+    const dialing = COUNTRY_DIALING[country] || COUNTRY_DIALING.US;
+    let international = text.startsWith('+');
+    if (!international && digits.startsWith('00')) {
+        digits = digits.slice(2);
+        international = true;
+    } else if (!international && dialing.code === '1' && digits.startsWith('011')) {
+        digits = digits.slice(3);
+        international = true;
+    }
+
+    if (international) {
+        if (digits.length < 8 || digits.length > 15) return { error: 'International numbers have 8 to 15 digits' };
+        const match = Object.values(COUNTRY_DIALING)
+            .filter(entry => digits.startsWith(entry.code))
+            .sort((a, b) => b.code.length - a.code.length)[0];
+        if (match) {
+            const national = digits.slice(match.code.length);
+            if (national.length < match.min || national.length > match.max) {
+                return { error: `Wrong number of digits for +${match.code}` };
+            }
         }
+        return { number: `+${digits}` };
+    }
+
+    if (dialing.trunk && digits.startsWith(dialing.trunk)) digits = digits.slice(dialing.trunk.length);
+    if (dialing.code === '1' && digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+    if (digits.length < dialing.min) return { error: `Too short for ${country}; include the area code` };
+    if (digits.length > dialing.max) return { error: `Too long for ${country}; start international numbers with +` };
+    if (dialing.code === '1' && /^[01]/.test(digits)) return { error: 'Area codes cannot start with 0 or 1' };
+    return { number: `+${dialing.code}${digits}` };
+}
+
+// Normalize a comma-separated recipient list, leaving oncall:, person: and group: references alone
+// Returns { value, errors: [{ number, error }] }
+function normalizePhoneList(list) {
+    if (!list) return { value: list, errors: [] };
+    const errors = [];
+    const entries = list.split(/[,;]/).map(entry => entry.trim()).filter(entry => entry).map(entry => {
+        if (isRecipientRef(entry)) return entry;
+        const result = normalizePhoneNumber(entry);
+        if (result.error) errors.push({ number: entry, error: result.error });
+        return result.number || entry;
+    });
+    return { value: [...new Set(entries)].join(','), errors };
+}
+
+// Normalize a phone field on each object in place; returns the invalid numbers
+function normalizePhoneFields(items, field = 'recipients') {
+    const errors = [];
+    for (const item of items) {
+        if (!item || !item[field]) continue;
+        const result = normalizePhoneList(String(item[field]));
+        item[field] = result.value;
+        errors.push(...result.errors);
+    }
+    return errors;
+}
+
+// Every recipient list in a webhook: its own, schedule routing and routing rules
+function normalizeWebhookNumbers(webhook) {
+    return normalizePhoneFields([webhook, ...Object.values(webhook.scheduleRouting || {}), ...(webhook.rules || [])]);
+}
+
+function phoneErrorResponse(errors) {
+    return {
+        error: 'Invalid phone numbers: ' + errors.map(entry => `${entry.number} (${entry.error})`).join(', '),
+        invalidNumbers: errors
+    };
+}
+
+// Function to get or refresh the access token
+async function getAccessToken() {
+    if (accessToken && tokenExpiry && new Date() < tokenExpiry) {
+        return accessToken;
+    }
+
+    try {
+        console.log('Requesting new access token...');
         
-        .header {
-            background: white;
-            border-radius: 12px;
-            padding: 20px 30px;
-            margin-bottom: 30px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            flex-wrap: wrap;
-            gap: 15px;
-        }
+        const params = new URLSearchParams();
+        params.append('grant_type', 'client_credentials');
+        params.append('client_id', config.clientId);
+        params.append('client_secret', config.clientSecret);
+        params.append('scope', 'messaging.v1.send');
+
+        const response = await axios.post(config.tokenUrl, params, {
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        });
+
+        accessToken = response.data.access_token;
+        const expiresIn = response.data.expires_in || 3600;
+        tokenExpiry = new Date(Date.now() + ((expiresIn - 300) * 1000));
         
-        .header-left {
-            display: flex;
-            align-items: center;
-            gap: 20px;
-            flex: 1;
-        }
+        console.log('Access token obtained successfully');
+        return accessToken;
+    } catch (error) {
+        console.error('Error obtaining access token:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Function to send SMS through GoTo
+async function sendGotoSMS(message, phoneNumbers) {
+    try {
+        const token = await getAccessToken();
         
-        .header h1 {
-            color: #333;
-            font-size: 24px;
-        }
+        console.log('Sending SMS...');
+        console.log('- From:', config.gotoPhoneNumber);
+        console.log('- To:', phoneNumbers.join(', '));
         
-        .version {
-            color: #6b7280;
-            font-size: 12px;
+        const options = {
+            method: 'POST',
+            url: config.smsApiUrl,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            data: {
+                ownerPhoneNumber: config.gotoPhoneNumber,
+                contactPhoneNumbers: phoneNumbers,
+                body: message
+            }
+        };
+
+        const response = await axios.request(options);
+        console.log('SMS sent to', phoneNumbers.length, 'recipients');
+        return response.data;
+    } catch (error) {
+        console.error('Error sending SMS:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+function getTwilioAccountUrl() {
+    return `${twilioConfig.apiUrl}/2010-04-01/Accounts/${encodeURIComponent(twilioConfig.accountSid)}`;
+}
+
+// Function to send SMS through a Twilio-compatible API, one request per recipient
+async function sendTwilioSMS(message, phoneNumbers) {
+    const auth = { username: twilioConfig.accountSid, password: twilioConfig.authToken };
+    const messages = [];
+    const failed = [];
+    let lastError = null;
+
+    console.log('Sending SMS via Twilio...');
+    console.log('- From:', twilioConfig.fromNumber);
+    console.log('- To:', phoneNumbers.join(', '));
+
+    for (const phone of phoneNumbers) {
+        try {
+            const response = await axios.post(`${getTwilioAccountUrl()}/Messages.json`,
+                new URLSearchParams({ To: phone, From: twilioConfig.fromNumber, Body: message }), { auth });
+            messages.push({ to: phone, sid: response.data.sid, status: response.data.status });
+        } catch (error) {
+            if (error.response?.data?.message) {
+                error.message = `Twilio returned ${error.response.status}: ${error.response.data.message}`;
+            }
+            lastError = error;
+            failed.push({ to: phone, error: error.message, retryable: isRetryableError(error) });
         }
-        
-        .webhook-counter {
-            background: #6366f1;
-            color: white;
-            padding: 5px 12px;
-            border-radius: 20px;
-            font-size: 14px;
-            font-weight: 600;
+    }
+
+    // Only fail over when nothing went out, so nobody gets the message twice
+    if (messages.length === 0) {
+        console.error('Error sending SMS via Twilio:', lastError.response?.data || lastError.message);
+        if (failed.some(entry => entry.retryable)) lastError.retryable = true;
+        throw lastError;
+    }
+    if (failed.length) {
+        console.warn('Twilio could not send to', failed.map(entry => entry.to).join(', '));
+    }
+    console.log('SMS sent via Twilio to', messages.length, 'recipients');
+    return { id: messages[0].sid, messages, failed };
+}
+
+// SMS providers, tried in order until one accepts the message.
+// Each has a circuit breaker: after SMS_CIRCUIT_THRESHOLD failures in a row it is skipped for
+// SMS_CIRCUIT_RESET_SECONDS, then a single message is let through to see whether it has recovered.
+const SMS_CIRCUIT_THRESHOLD = parseInt(process.env.SMS_CIRCUIT_THRESHOLD, 10) || 3;
+const SMS_CIRCUIT_RESET_MS = (parseInt(process.env.SMS_CIRCUIT_RESET_SECONDS, 10) || 60) * 1000;
+
+const SMS_PROVIDERS = [
+    {
+        name: 'goto',
+        label: 'GoTo',
+        isConfigured: () => Boolean(config.clientId && config.clientSecret && config.gotoPhoneNumber),
+        send: sendGotoSMS,
+        test: () => getAccessToken()
+    },
+    {
+        name: 'twilio',
+        label: 'Twilio',
+        isConfigured: () => Boolean(twilioConfig.accountSid && twilioConfig.authToken && twilioConfig.fromNumber),
+        send: sendTwilioSMS,
+        test: () => axios.get(`${getTwilioAccountUrl()}.json`, {
+            auth: { username: twilioConfig.accountSid, password: twilioConfig.authToken }
+        })
+    }
+];
+
+// Circuit state per provider (cleared on restart)
+const smsCircuits = Object.fromEntries(SMS_PROVIDERS.map(provider => [provider.name, {
+    state: 'closed',
+    failures: 0,
+    openedAt: null,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null
+}]));
+
+// Whether a provider may be tried now; an open circuit goes half-open for one trial once the reset time passes
+function isCircuitAvailable(circuit) {
+    if (circuit.state === 'closed') return true;
+    if (circuit.state === 'open' && Date.now() - Date.parse(circuit.openedAt) >= SMS_CIRCUIT_RESET_MS) {
+        circuit.state = 'half-open';
+        return true;
+    }
+    return false;
+}
+
+// Close the circuit on success; open it on a failed trial or too many failures in a row.
+// Only outages count: a 4xx such as a bad number shows the provider is up.
+function recordProviderResult(provider, error) {
+    const circuit = smsCircuits[provider.name];
+    if (!error || !isRetryableError(error)) {
+        if (circuit.state !== 'closed') console.log(`SMS provider ${provider.label} has recovered`);
+        Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null });
+        if (error) {
+            circuit.lastError = error.message;
+            circuit.lastFailureAt = new Date().toISOString();
+        } else {
+            circuit.lastSuccessAt = new Date().toISOString();
         }
-        
-        .status {
-            display: inline-block;
-            padding: 5px 12px;
-            border-radius: 20px;
-            font-size: 14px;
-            font-weight: 600;
+        return;
+    }
+
+    circuit.failures++;
+    circuit.lastError = error.message;
+    circuit.lastFailureAt = new Date().toISOString();
+    if (circuit.state === 'half-open' || circuit.failures >= SMS_CIRCUIT_THRESHOLD) {
+        if (circuit.state !== 'open') console.warn(`SMS provider ${provider.label} skipped after ${circuit.failures} failures`);
+        circuit.state = 'open';
+        circuit.openedAt = new Date().toISOString();
+    }
+}
+
+// Provider status for /health
+function getSmsProviderHealth() {
+    return SMS_PROVIDERS.map(provider => {
+        const circuit = smsCircuits[provider.name];
+        return {
+            name: provider.name,
+            configured: provider.isConfigured(),
+            state: circuit.state,
+            failures: circuit.failures,
+            openedAt: circuit.openedAt,
+            lastFailureAt: circuit.lastFailureAt,
+            lastSuccessAt: circuit.lastSuccessAt
+        };
+    });
+}
+
+// Function to send SMS, failing over to the next provider when one fails
+// options are the webhook's smsLength settings; a split message goes out as several texts
+async function sendSMS(message, recipients, options = {}) {
+    const phoneNumbers = parsePhoneNumbers(resolveRecipients({ recipients }).recipients);
+    if (phoneNumbers.length === 0) {
+        throw new Error('No valid recipient phone numbers');
+    }
+
+    const configured = SMS_PROVIDERS.filter(provider => provider.isConfigured());
+    if (configured.length === 0) {
+        throw new Error('SMS is not configured (set GOTO_CLIENT_ID, GOTO_CLIENT_SECRET and GOTO_PHONE_NUMBER, or TWILIO_*)');
+    }
+
+    // A retry of a split message passes just the parts still to send and the provider that sent the rest
+    const sms = options.parts ? describeSmsParts(options.parts) : prepareSms(message, options);
+    const pinned = configured.filter(provider => provider.name === options.provider);
+    let providers = pinned.length ? pinned : configured;
+    const responses = [];
+    for (const [index, part] of sms.parts.entries()) {
+        try {
+            const response = await sendSmsPart(providers, part, phoneNumbers);
+            responses.push(response);
+            // Later parts go out through the same provider, so they arrive from the same number
+            providers = configured.filter(provider => provider.name === response.provider);
+        } catch (error) {
+            // Note where to pick up, so a retry doesn't send the earlier parts again
+            // The parts that did go out are still billed, so usage can count them
+            if (index > 0) {
+                error.remainingParts = sms.parts.slice(index);
+                error.smsProvider = responses[0].provider;
+                error.sentParts = { ...describeSmsParts(sms.parts.slice(0, index)), failed: collectFailedRecipients(responses) };
+            }
+            throw error;
         }
-        
-        .status.connected {
-            background: #10b981;
-            color: white;
+    }
+    return {
+        ...responses[0],
+        ...(responses.length > 1 ? { parts: responses } : {}),
+        failed: collectFailedRecipients(responses),
+        segments: sms.segments,
+        encoding: sms.encoding
+    };
+}
+
+// A recipient who missed any part counts as failed
+function collectFailedRecipients(responses) {
+    const failed = [];
+    for (const response of responses) {
+        for (const entry of response.failed || []) {
+            if (!failed.some(existing => existing.to === entry.to)) failed.push(entry);
         }
-        
-        .status.disconnected {
-            background: #ef4444;
-            color: white;
+    }
+    return failed;
+}
+
+// Send one text through the first provider that succeeds
+async function sendSmsPart(configured, message, phoneNumbers) {
+    let lastError = null;
+    let retryable = false;
+    for (const provider of configured) {
+        if (!isCircuitAvailable(smsCircuits[provider.name])) continue;
+        try {
+            const response = await provider.send(message, phoneNumbers);
+            recordProviderResult(provider, null);
+            if (lastError) console.log(`SMS failed over to ${provider.label}`);
+            return { ...response, provider: provider.name };
+        } catch (error) {
+            recordProviderResult(provider, error);
+            retryable = retryable || isRetryableError(error);
+            lastError = error;
         }
-        
-        .quick-actions {
-            display: flex;
-            gap: 10px;
-            flex-wrap: wrap;
+    }
+
+    // Every circuit is open; the retry queue tries again once one resets
+    if (!lastError) {
+        lastError = new Error('All SMS providers are unavailable');
+        retryable = true;
+    }
+    // An outage at any provider is worth retrying, even if the backup then refused the message
+    if (retryable) lastError.retryable = true;
+    throw lastError;
+}
+
+// Parse email addresses from comma-separated string
+function parseEmailAddresses(emailString) {
+    if (!emailString) return [];
+    return emailString.split(/[,;]/).map(addr => addr.trim()).filter(addr => addr);
+}
+
+// Reuse a single SMTP transport once it has been created
+let mailTransport = null;
+
+function getMailTransport() {
+    if (!emailConfig.host) {
+        throw new Error('Email is not configured (set SMTP_HOST)');
+    }
+
+    if (!mailTransport) {
+        mailTransport = nodemailer.createTransport({
+            host: emailConfig.host,
+            port: emailConfig.port,
+            secure: emailConfig.secure,
+            auth: emailConfig.user ? { user: emailConfig.user, pass: emailConfig.pass } : undefined
+        });
+    }
+    return mailTransport;
+}
+
+// Function to send email
+async function sendEmail(subject, message, recipients) {
+    try {
+        const transport = getMailTransport();
+        const addresses = parseEmailAddresses(resolveRecipients({ email: recipients }).email);
+
+        if (addresses.length === 0) {
+            throw new Error('No valid recipient email addresses');
         }
-        
-        .main-content {
-            background: white;
-            border-radius: 12px;
-            padding: 25px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-            margin-bottom: 20px;
+
+        console.log('Sending email...');
+        console.log('- From:', emailConfig.from);
+        console.log('- To:', addresses.join(', '));
+
+        const info = await transport.sendMail({
+            from: emailConfig.from,
+            to: addresses.join(', '),
+            subject: subject,
+            text: message
+        });
+
+        console.log('Email sent to', addresses.length, 'recipients');
+        return info;
+    } catch (error) {
+        console.error('Error sending email:', error.message);
+        throw error;
+    }
+}
+
+// Open manager tabs listening on /api/notifications/stream
+const notificationClients = new Set();
+
+// Send a browser notification to open manager tabs and Web Push subscribers
+async function sendBrowserNotification(title, message, webhookName) {
+    const notification = {
+        title,
+        body: message,
+        webhook: webhookName,
+        timestamp: new Date().toISOString()
+    };
+
+    const event = `event: notification\ndata: ${JSON.stringify(notification)}\n\n`;
+    for (const client of notificationClients) {
+        client.write(event);
+    }
+
+    let pushCount = 0;
+    if (pushConfig.publicKey && pushConfig.privateKey && pushSubscriptions.length > 0) {
+        const expired = [];
+        await Promise.all(pushSubscriptions.map(async (subscription) => {
+            try {
+                await webPush.sendNotification(subscription, JSON.stringify(notification));
+                pushCount++;
+            } catch (error) {
+                // 404/410 means the browser dropped the subscription
+                if (error.statusCode === 404 || error.statusCode === 410) {
+                    expired.push(subscription.endpoint);
+                } else {
+                    console.error('Error sending push notification:', error.body || error.message);
+                }
+            }
+        }));
+
+        if (expired.length > 0) {
+            pushSubscriptions = pushSubscriptions.filter(sub => !expired.includes(sub.endpoint));
+            await savePushSubscriptions(pushSubscriptions);
         }
-        
-        .tabs {
-            display: flex;
-            gap: 10px;
-            margin-bottom: 20px;
-            border-bottom: 2px solid #f3f4f6;
-            align-items: center;
+    }
+
+    // Nobody to show it to counts as a failed delivery, not a sent one
+    if (notificationClients.size === 0 && pushCount === 0) {
+        throw new Error('No open manager tab or push subscription received the notification');
+    }
+    console.log('Browser notification sent to', notificationClients.size, 'tabs and', pushCount, 'push subscriptions');
+    return { clientCount: notificationClients.size, pushCount };
+}
+
+// Notification channels
+// Every way of reaching people is a provider in CHANNEL_PROVIDERS, and alerts fan out to each
+// provider the webhook turns on:
+//   key            webhook field holding the channel's settings; the channel is on when it is set
+//   off            value saved in key when the channel is turned off
+//   fields         settings the manager shows: { path, label, type, placeholder, help }, where type is
+//                  phones, text, url, textarea or headers
+//   capabilities   { maxLength, recipients, retry } - maxLength is null when there is no limit
+//   isConfigured() whether the server has what the channel needs (credentials, SMTP host)
+//   getRecipients(settings), validate(settings) (optional), send(settings, alert), test(settings, alert)
+// send and test throw on failure; test checks the connection, sending a test alert only where there's no other way. alert is { webhookName, title, message, data, payload, timeSettings, timestamp }.
+//
+// Slack, Teams and HTTP channels post the rendered alert in their own format. The HTTP body template
+// is rendered like a message template and must produce JSON; a blank one sends { webhook, title,
+// message, callerNumber, callerName, timestamp, payload }.
+
+const OUTBOUND_TIMEOUT_MS = 10000;
+const HEADER_NAME = /^[A-Za-z0-9-]+$/;
+
+// Channel URLs may not reach this server or the network it sits on, unless ALLOW_PRIVATE_CHANNEL_URLS=true.
+// Everything that isn't ordinary public unicast is blocked: private, shared, loopback, link-local,
+// benchmarking, documentation, multicast and reserved ranges.
+const ALLOW_PRIVATE_CHANNEL_URLS = process.env.ALLOW_PRIVATE_CHANNEL_URLS === 'true';
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4],
+    ['240.0.0.0', 4]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+// Teredo and local-use NAT64 hide the IPv4 address they reach, so they are blocked outright
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32],
+    ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+// The eight 16-bit groups of an IPv6 address; a trailing dotted IPv4 part fills the last two
+function parseIPv6(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = text.slice(0, -dotted[0].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const fill = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+    return [...left, ...fill, ...right].map(group => parseInt(group, 16));
+}
+
+// The IPv4 address an IPv6 address carries: IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d),
+// IPv4-translated (::ffff:0:a.b.c.d), NAT64 (64:ff9b::a.b.c.d) or 6to4 (2002:aabb:ccdd::). Otherwise null.
+function getEmbeddedIPv4(address) {
+    const groups = parseIPv6(address);
+    const toIPv4 = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+    const zero = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+    if (zero(0, 5) && (groups[5] === 0 || groups[5] === 0xffff)) return toIPv4(groups[6], groups[7]);
+    if (zero(0, 4) && groups[4] === 0xffff && groups[5] === 0) return toIPv4(groups[6], groups[7]);
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && zero(2, 6)) return toIPv4(groups[6], groups[7]);
+    if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+    return null;
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) return PRIVATE_ADDRESSES.check(address, 'ipv4');
+    if (family !== 6) return false;
+    if (PRIVATE_ADDRESSES.check(address, 'ipv6')) return true;
+    const embedded = getEmbeddedIPv4(address);
+    return !!embedded && PRIVATE_ADDRESSES.check(embedded, 'ipv4');
+}
+
+// dns.lookup that fails for private, loopback and link-local addresses, so a public name
+// can't be pointed at an internal service
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked && !ALLOW_PRIVATE_CHANNEL_URLS) {
+            return callback(new Error(`${hostname} resolves to a private address`));
         }
-        
-        .tab {
-            padding: 10px 20px;
-            background: none;
-            border: none;
-            color: #6b7280;
-            cursor: pointer;
-            font-size: 14px;
-            font-weight: 500;
-            border-bottom: 2px solid transparent;
-            margin-bottom: -2px;
+        callback(null, address, family);
+    });
+}
+
+// Slack mrkdwn treats &, < and > as control characters
+function escapeSlackText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Caller and time shown beside the message in chat cards
+function getAlertFacts(alert) {
+    const { callerNumber, callerName } = alert.data;
+    const facts = [];
+    if (callerNumber) {
+        facts.push({
+            name: 'Caller',
+            value: callerName && callerName !== callerNumber ? `${callerName} (${callerNumber})` : String(callerNumber)
+        });
+    }
+    facts.push({ name: 'Time', value: formatDate(alert.timestamp, 'YYYY-MM-DD HH:mm', alert.timeSettings) });
+    return facts;
+}
+
+// Returns an error message unless the settings name an http(s) URL, or null
+function validateChannelUrl(label, settings) {
+    if (typeof settings !== 'object') return `Invalid ${label} settings`;
+    let url;
+    try {
+        url = new URL(settings.url);
+    } catch (error) {
+        return `${label} needs a valid webhook URL`;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return `${label} URL must use http or https`;
+    // Names are checked again when they are resolved at send time
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!ALLOW_PRIVATE_CHANNEL_URLS && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host))) {
+        return `${label} URL must not point at a private or local address`;
+    }
+    return null;
+}
+
+// Returns an error message for invalid HTTP channel settings, or null
+function validateHttpTarget(target) {
+    const urlError = validateChannelUrl('HTTP', target);
+    if (urlError) return urlError;
+    if (target.headers !== undefined && (typeof target.headers !== 'object' || Array.isArray(target.headers))) {
+        return 'HTTP headers must be an object';
+    }
+    for (const [name, value] of Object.entries(target.headers || {})) {
+        if (!HEADER_NAME.test(name)) return `Invalid HTTP header name "${name}"`;
+        if (typeof value !== 'string' || /[\r\n]/.test(value)) return `Invalid value for HTTP header "${name}"`;
+    }
+    if (!target.bodyTemplate) return null;
+
+    const templateError = validateTemplate(target.bodyTemplate);
+    if (templateError) return `Invalid HTTP body template: ${templateError}`;
+    try {
+        JSON.parse(formatMessage(target.bodyTemplate, {
+            ...buildTemplateData({ callerNumber: '+15551234567', callerName: 'Jane Doe' }),
+            webhook: 'example',
+            title: APP_NAME,
+            message: 'Example "alert"',
+            payload: {}
+        }));
+    } catch (error) {
+        return `HTTP body template must render JSON (use {field|json} for values): ${error.message}`;
+    }
+    return null;
+}
+
+// Webhook URLs and header values carry credentials, so viewers and the changelog see them masked
+function redactChannelUrl(target) {
+    return {
+        ...target,
+        url: `${new URL(target.url).origin}/********`,
+        headers: target.headers && Object.fromEntries(Object.keys(target.headers).map(name => [name, '********']))
+    };
+}
+
+// Function to post to a chat or HTTP channel
+// The provider's format builds the request body; rejected spots a failure reported with a 2xx status
+async function sendOutbound(provider, target, alert) {
+    try {
+        const urlError = validateChannelUrl(provider.label, target);
+        if (urlError) throw new Error(urlError);
+        // No redirects, since one could lead to an address the lookup would have refused
+        const response = await axios.post(target.url, provider.format(alert, target), {
+            headers: { 'Content-Type': 'application/json', ...(target.headers || {}) },
+            timeout: OUTBOUND_TIMEOUT_MS,
+            lookup: publicOnlyLookup,
+            maxRedirects: 0
+        });
+        if (provider.rejected && provider.rejected(response.data)) {
+            throw new Error(`${provider.label} rejected the message: ${response.data}`);
         }
-        
-        .tab.active {
-            color: #6366f1;
-            border-bottom-color: #6366f1;
+        console.log(`${provider.label} notification sent for ${alert.webhookName}`);
+        return { status: response.status, data: response.data };
+    } catch (error) {
+        // Report the service's own reason, such as Slack's "invalid_payload", but not a whole page
+        if (error.response) {
+            const detail = typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data);
+            error.message = `${provider.label} returned ${error.response.status}: ${(detail || error.message).slice(0, 200)}`;
         }
-        
-        .tab-content {
-            display: none;
+        console.error(`Error sending ${provider.label} notification:`, error.message);
+        throw error;
+    }
+}
+
+// A sample alert for testing a channel from the manager
+function getTestAlert(webhookName) {
+    return {
+        webhookName,
+        title: `${APP_NAME}: test`,
+        message: `Test notification from ${APP_NAME}. This channel is working!`,
+        data: {},
+        payload: { test: true },
+        timeSettings: getTimeSettings(notificationConfigs[webhookName]),
+        timestamp: new Date()
+    };
+}
+
+const CHANNEL_PROVIDERS = {
+    sms: {
+        label: 'SMS',
+        key: 'recipients',
+        off: '',
+        fields: [{
+            path: 'recipients',
+            label: 'SMS Recipients',
+            type: 'phones',
+            placeholder: '+15551234567,+15559876543',
+            help: 'Comma-separated phone numbers, person:name, group:name, or oncall:rotation-name for whoever is on call. Numbers without a +country code use the default country from Settings.'
+        }],
+        capabilities: { maxLength: 1600, recipients: true, retry: true },
+        isConfigured: () => SMS_PROVIDERS.some(provider => provider.isConfigured()),
+        // Numbers are checked by normalizeWebhookNumbers
+        getRecipients: parsePhoneNumbers,
+        send: (recipients, alert) => sendSMS(alert.smsMessage || alert.message, recipients, getSmsOptions(alert.webhookName)),
+        // Field truncation can make the SMS text differ from other channels'
+        getMessage: alert => alert.smsMessage,
+        // Checks each provider's credentials without sending
+        test: async () => {
+            const configured = SMS_PROVIDERS.filter(provider => provider.isConfigured());
+            if (configured.length === 0) throw new Error('No SMS provider is configured');
+
+            const results = [];
+            let failures = 0;
+            for (const provider of configured) {
+                try {
+                    await provider.test();
+                    results.push(`${provider.label} OK`);
+                } catch (error) {
+                    failures++;
+                    results.push(`${provider.label} failed: ${error.message}`);
+                }
+            }
+            if (failures === configured.length) throw new Error(results.join('; '));
+            return { message: results.join('; ') };
         }
-        
-        .tab-content.active {
-            display: block;
+    },
+    email: {
+        label: 'Email',
+        key: 'email',
+        off: '',
+        fields: [{
+            path: 'email',
+            label: 'Email Recipients',
+            type: 'text',
+            placeholder: 'email@example.com,oncall@example.com',
+            help: 'Comma-separated email addresses for notifications, person:name, group:name, or oncall:rotation-name'
+        }],
+        capabilities: { maxLength: null, recipients: true, retry: false },
+        isConfigured: () => Boolean(emailConfig.host),
+        getRecipients: parseEmailAddresses,
+        send: (email, alert) => sendEmail(alert.title, alert.message, email),
+        test: async () => {
+            await getMailTransport().verify();
+            return { message: `SMTP server ${emailConfig.host} accepted the connection` };
         }
-        
-        .filter-section {
-            margin-bottom: 20px;
-            display: flex;
-            gap: 10px;
-            flex-wrap: wrap;
+    },
+    browser: {
+        label: 'Browser Notify',
+        key: 'browserNotify',
+        off: false,
+        fields: [],
+        capabilities: { maxLength: null, recipients: false, retry: false },
+        isConfigured: () => true,
+        getRecipients: () => [],
+        send: (settings, alert) => sendBrowserNotification(alert.title, alert.message, alert.webhookName),
+        // Tab and push counts are returned with the channel result
+        summarize: (response) => response,
+        test: async () => ({
+            message: `${notificationClients.size} open manager tab(s) and ${pushSubscriptions.length} push subscription(s)`
+        })
+    },
+    slack: {
+        label: 'Slack',
+        key: 'slack',
+        off: null,
+        outbound: true,
+        fields: [{
+            path: 'slack.url',
+            label: 'Slack Webhook URL',
+            type: 'url',
+            placeholder: 'https://hooks.slack.com/services/...',
+            help: 'An incoming webhook from your Slack app; it decides the channel'
+        }],
+        capabilities: { maxLength: 3000, recipients: false, retry: false },
+        isConfigured: () => true,
+        getRecipients: (target) => [new URL(target.url).host],
+        validate: (target) => validateChannelUrl('Slack', target),
+        redact: redactChannelUrl,
+        format: (alert) => ({
+            text: escapeSlackText(`${alert.title}\n${alert.message}`),
+            blocks: [
+                { type: 'header', text: { type: 'plain_text', text: alert.title.slice(0, 150) } },
+                {
+                    type: 'section',
+                    text: { type: 'mrkdwn', text: escapeSlackText(alert.message || ' ').slice(0, CHANNEL_PROVIDERS.slack.capabilities.maxLength) }
+                },
+                {
+                    type: 'context',
+                    elements: getAlertFacts(alert).map(fact => ({ type: 'mrkdwn', text: `*${fact.name}:* ${escapeSlackText(fact.value)}` }))
+                }
+            ]
+        }),
+        send: (target, alert) => sendOutbound(CHANNEL_PROVIDERS.slack, target, alert),
+        test: (target, alert) => sendOutbound(CHANNEL_PROVIDERS.slack, target, alert)
+    },
+    teams: {
+        label: 'Teams',
+        key: 'teams',
+        off: null,
+        outbound: true,
+        fields: [{
+            path: 'teams.url',
+            label: 'Teams Webhook URL',
+            type: 'url',
+            placeholder: 'https://example.webhook.office.com/webhookb2/...',
+            help: 'An incoming webhook connector on the Teams channel'
+        }],
+        capabilities: { maxLength: 20000, recipients: false, retry: false },
+        isConfigured: () => true,
+        getRecipients: (target) => [new URL(target.url).host],
+        validate: (target) => validateChannelUrl('Teams', target),
+        redact: redactChannelUrl,
+        format: (alert) => ({
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: alert.title,
+            themeColor: '667EEA',
+            title: alert.title,
+            sections: [{
+                text: escapeHtml(alert.message).replace(/\n/g, '<br>'),
+                facts: getAlertFacts(alert)
+            }]
+        }),
+        // Older connectors answer 200 with the error text instead of "1"
+        rejected: (data) => typeof data === 'string' && data !== '1' && /error|fail/i.test(data),
+        send: (target, alert) => sendOutbound(CHANNEL_PROVIDERS.teams, target, alert),
+        test: (target, alert) => sendOutbound(CHANNEL_PROVIDERS.teams, target, alert)
+    },
+    http: {
+        label: 'HTTP POST',
+        key: 'http',
+        off: null,
+        outbound: true,
+        fields: [
+            { path: 'http.url', label: 'HTTP POST URL', type: 'url', placeholder: 'https://example.com/alerts' },
+            { path: 'http.headers', label: 'Headers', type: 'headers', placeholder: 'Authorization: Bearer ...', help: 'One per line as Name: value' },
+            {
+                path: 'http.bodyTemplate',
+                label: 'Body Template',
+                type: 'textarea',
+                placeholder: '{{"text": {message|json}, "caller": {callerNumber|json}}}',
+                help: 'Message template syntax that must produce JSON: write {{ and }} for literal braces and add |json to each value. Leave blank to send the webhook name, title, message, caller and payload.'
+            }
+        ],
+        capabilities: { maxLength: null, recipients: false, retry: false },
+        isConfigured: () => true,
+        getRecipients: (target) => [new URL(target.url).host],
+        validate: validateHttpTarget,
+        redact: redactChannelUrl,
+        format: (alert, target) => {
+            if (!target.bodyTemplate) {
+                return {
+                    webhook: alert.webhookName,
+                    title: alert.title,
+                    message: alert.message,
+                    callerNumber: alert.data.callerNumber,
+                    callerName: alert.data.callerName,
+                    timestamp: alert.timestamp.toISOString(),
+                    payload: alert.payload
+                };
+            }
+            const body = formatMessage(target.bodyTemplate, {
+                ...alert.data,
+                webhook: alert.webhookName,
+                title: alert.title,
+                message: alert.message,
+                payload: alert.payload
+            }, alert.timeSettings);
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                throw new Error(`HTTP body template did not render JSON: ${error.message}`);
+            }
+        },
+        send: (target, alert) => sendOutbound(CHANNEL_PROVIDERS.http, target, alert),
+        test: (target, alert) => sendOutbound(CHANNEL_PROVIDERS.http, target, alert)
+    }
+};
+
+// The channels a webhook (or escalation level) has turned on, with their settings
+function getChannelTargets(webhook) {
+    return Object.entries(CHANNEL_PROVIDERS)
+        .filter(([, provider]) => webhook[provider.key])
+        .map(([type, provider]) => ({ type, provider, settings: webhook[provider.key] }));
+}
+
+// Returns an error message for the first invalid channel's settings, or null
+function validateChannels(webhook) {
+    for (const { provider, settings } of getChannelTargets(webhook)) {
+        const error = provider.validate && provider.validate(settings);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Send an alert on one channel, recording the delivery
+// options.retry overrides whether a retryable failure is queued
+async function sendToChannel(context, type, settings, alert, options = {}) {
+    const provider = CHANNEL_PROVIDERS[type];
+    const message = provider.getMessage && provider.getMessage(alert);
+    if (message) context = { ...context, message };
+    let response;
+    const result = await trackDelivery(context, type, provider.getRecipients(settings), async () => {
+        response = await provider.send(settings, alert);
+        return response;
+    }, { retry: options.retry ?? provider.capabilities.retry });
+    return provider.summarize && response ? { ...result, ...provider.summarize(response) } : result;
+}
+
+// Send an alert on every channel the webhook has turned on, keyed by channel
+async function sendToChannels(context, webhook, alert) {
+    const channels = {};
+    for (const { type, settings } of getChannelTargets(webhook)) {
+        channels[type] = await sendToChannel(context, type, settings, alert);
+    }
+    return channels;
+}
+
+// Token failures, network errors, rate limits and 5xx responses are worth retrying
+function isRetryableError(error) {
+    if (error.retryable) return true;
+    if (!error.isAxiosError) return false;
+    if (error.config?.url === config.tokenUrl) return true;
+    if (!error.response) return true;
+    return error.response.status === 429 || error.response.status >= 500;
+}
+
+// Exponential backoff with jitter: half the delay is fixed, half random
+function getRetryDelay(attempts) {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts), RETRY_MAX_DELAY_MS);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+// Add a failed SMS delivery to the retry queue
+// If a split message failed part way, only the parts not yet sent are queued
+async function enqueueRetry(delivery, error = {}) {
+    const item = {
+        id: crypto.randomUUID(),
+        deliveryId: delivery.id,
+        webhookName: delivery.webhookName,
+        message: delivery.message,
+        recipients: delivery.recipients,
+        ...(error.remainingParts ? { parts: error.remainingParts, provider: error.smsProvider } : {}),
+        attempts: 0,
+        maxAttempts: RETRY_MAX_ATTEMPTS,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: new Date(Date.now() + getRetryDelay(0)).toISOString(),
+        lastError: delivery.error
+    };
+    retryQueue.pending.push(item);
+    await saveRetryQueue(retryQueue);
+    console.log(`SMS for ${item.webhookName} queued for retry at ${item.nextAttemptAt}`);
+    return item;
+}
+
+// Retry one queued SMS, rescheduling or dead-lettering it on failure.
+// Numbers that opted out or muted since it was queued are dropped, and the budget is checked again.
+async function attemptRetry(item) {
+    const delivery = deliveries.find(entry => entry.id === item.deliveryId);
+    const recipients = filterSmsRecipients(item.recipients.join(','), item.webhookName);
+    const budgetBlock = recipients && getBudgetBlock(item.webhookName, notificationConfigs[item.webhookName], delivery?.payload);
+    if (!recipients || budgetBlock) {
+        const reason = budgetBlock || 'Every recipient opted out or muted';
+        retryQueue.pending = retryQueue.pending.filter(entry => entry.id !== item.id);
+        if (delivery) markDeliveryHeld(delivery, reason);
+        await saveRetryQueue(retryQueue);
+        await saveDeliveries(deliveries);
+        console.log(`Queued SMS for ${item.webhookName} dropped: ${reason}`);
+        return { success: false, suppressed: true, error: reason };
+    }
+    item.recipients = parsePhoneNumbers(recipients);
+
+    const started = Date.now();
+    item.attempts++;
+    item.lastAttemptAt = new Date().toISOString();
+
+    try {
+        const response = await sendSMS(item.message, item.recipients.join(','), {
+            ...getSmsOptions(item.webhookName),
+            ...(item.parts ? { parts: item.parts, provider: item.provider } : {})
+        });
+        const failed = response?.failed || [];
+
+        if (delivery) {
+            delivery.latencyMs = Date.now() - started;
+            delivery.response = response || null;
+            delivery.messageId = response?.id || response?.messageId || null;
+            if (response?.segments) delivery.segments = response.segments;
+            delivery.error = failed.length ? failed.map(entry => `${entry.to}: ${entry.error}`).join('; ') : null;
         }
-        
-        .filter-input {
-            padding: 8px 12px;
-            border: 1px solid #d1d5db;
-            border-radius: 6px;
-            font-size: 14px;
+        await recordUsage(item.webhookName, item.recipients, response);
+
+        // Keep retrying only the recipients the provider could not reach. They may have missed
+        // any of the parts, so they get the whole message again.
+        if (failed.length) {
+            item.recipients = failed.map(entry => entry.to);
+            delete item.parts;
+            delete item.provider;
+            item.lastError = delivery?.error || failed[0].error;
+            if (failed.some(entry => entry.retryable) && item.attempts < item.maxAttempts) {
+                item.nextAttemptAt = new Date(Date.now() + getRetryDelay(item.attempts)).toISOString();
+                if (delivery) setDeliveryStatus(delivery, 'queued', `Retry attempt ${item.attempts} missed ${failed.length} recipient(s)`);
+            } else {
+                moveToDeadLetter(item);
+                if (delivery) setDeliveryStatus(delivery, 'dead_letter', item.lastError);
+                console.error(`Queued SMS for ${item.webhookName} could not reach ${failed.length} recipient(s); moved to dead-letter list`);
+            }
+            return { success: false, error: item.lastError };
         }
-        
-        .webhook-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fill, minmax(400px, 1fr));
-            gap: 20px;
+
+        retryQueue.pending = retryQueue.pending.filter(entry => entry.id !== item.id);
+        if (delivery) setDeliveryStatus(delivery, 'sent', `Retry attempt ${item.attempts}`);
+        console.log(`Queued SMS for ${item.webhookName} sent on retry attempt ${item.attempts}`);
+        return { success: true };
+    } catch (error) {
+        item.lastError = error.message;
+        if (error.sentParts) await recordUsage(item.webhookName, item.recipients, error.sentParts);
+        if (error.remainingParts) {
+            item.parts = error.remainingParts;
+            item.provider = error.smsProvider;
         }
-        
-        .webhook-item {
-            background: #f9fafb;
-            border: 1px solid #e5e7eb;
-            border-radius: 8px;
-            padding: 15px;
-            transition: all 0.3s ease;
+        if (delivery) {
+            delivery.error = error.message;
+            delivery.response = error.response?.data || null;
         }
-        
-        .webhook-item:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+
+        if (isRetryableError(error) && item.attempts < item.maxAttempts) {
+            item.nextAttemptAt = new Date(Date.now() + getRetryDelay(item.attempts)).toISOString();
+            if (delivery) setDeliveryStatus(delivery, 'queued', error.message);
+        } else {
+            moveToDeadLetter(item);
+            if (delivery) setDeliveryStatus(delivery, 'dead_letter', error.message);
+            console.error(`Queued SMS for ${item.webhookName} moved to dead-letter list after ${item.attempts} attempts`);
         }
-        
-        .webhook-name {
-            font-weight: 600;
-            color: #4b5563;
-            margin-bottom: 8px;
-            font-size: 16px;
+        return { success: false, error: error.message };
+    } finally {
+        await saveRetryQueue(retryQueue);
+        await saveDeliveries(deliveries);
+    }
+}
+
+// Take a queued SMS off the pending list for good; only the newest MAX_DEAD_LETTERS are kept
+function moveToDeadLetter(item) {
+    retryQueue.pending = retryQueue.pending.filter(entry => entry.id !== item.id);
+    retryQueue.deadLetter.push({ ...item, deadAt: new Date().toISOString() });
+    if (retryQueue.deadLetter.length > MAX_DEAD_LETTERS) {
+        retryQueue.deadLetter.splice(0, retryQueue.deadLetter.length - MAX_DEAD_LETTERS);
+    }
+}
+
+// Work through every queued SMS whose retry time has come
+let retryQueueRunning = false;
+
+async function processRetryQueue() {
+    if (retryQueueRunning) return;
+    retryQueueRunning = true;
+
+    try {
+        const now = Date.now();
+        const due = retryQueue.pending.filter(item => new Date(item.nextAttemptAt).getTime() <= now);
+        for (const item of due) {
+            // Skip anything discarded or moved while an earlier item was being sent
+            if (!retryQueue.pending.includes(item)) continue;
+            await attemptRetry(item);
+        }
+    } catch (error) {
+        console.error('Error processing retry queue:', error);
+    } finally {
+        retryQueueRunning = false;
+    }
+}
+
+// Message templates
+//   {path.to.value}               payload value, dotted paths reach into nested objects
+//   {value|filter|filter:arg}     filters run left to right
+//   {#if value}...{else}...{/if}  conditional (also {#unless value}...{/unless})
+//   {{ and }}                     literal braces
+
+// Placeholder fallbacks carried over from the original fixed variables
+const TEMPLATE_FALLBACKS = {
+    callerNumber: () => 'Unknown',
+    callerName: (data) => data.callerNumber || 'Unknown',
+    extension: (data) => data.extensionNumber || 'N/A',
+    customMessage: () => 'Notification',
+    queueName: () => 'N/A',
+    waitTime: () => 'N/A'
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Year, month, day, hour, minute, second and weekday (0 = Sunday) of a date in a timezone
+function getZonedParts(date, timezone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'short',
+        hourCycle: 'h23'
+    });
+    for (const part of formatter.formatToParts(date)) {
+        parts[part.type] = part.type === 'weekday' ? WEEKDAYS.indexOf(part.value.toLowerCase()) : parseInt(part.value, 10);
+    }
+    return parts;
+}
+
+// Format a date with tokens like YYYY-MM-DD HH:mm, ddd MMM D, h:mm A
+// in the timezone and locale from timeSettings ({ timezone, locale }).
+// Text in square brackets is copied as-is, so [at] h:mm A gives "at 3:05 PM".
+function formatDate(date, format, timeSettings = {}) {
+    const { timezone, locale } = timeSettings;
+    const parts = getZonedParts(date, timezone);
+    const name = (options) => new Intl.DateTimeFormat(locale, { timeZone: timezone, ...options }).format(date);
+
+    const pad = (num) => String(num).padStart(2, '0');
+    const hours = parts.hour;
+    const tokens = {
+        YYYY: parts.year,
+        YY: String(parts.year).slice(-2),
+        MMMM: name({ month: 'long' }),
+        MMM: name({ month: 'short' }),
+        MM: pad(parts.month),
+        M: parts.month,
+        DD: pad(parts.day),
+        D: parts.day,
+        dddd: name({ weekday: 'long' }),
+        ddd: name({ weekday: 'short' }),
+        HH: pad(hours),
+        H: hours,
+        hh: pad(hours % 12 || 12),
+        h: hours % 12 || 12,
+        mm: pad(parts.minute),
+        ss: pad(parts.second),
+        A: hours < 12 ? 'AM' : 'PM',
+        a: hours < 12 ? 'am' : 'pm'
+    };
+    return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|a/g,
+        (token, literal) => literal !== undefined ? literal : tokens[token]);
+}
+
+// Turn a payload value into a Date, or null if it isn't one
+function toDate(value) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value);
+    if (typeof value === 'string' && value.trim()) {
+        const date = /^\d+$/.test(value) ? toDate(Number(value)) : new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+    return null;
+}
+
+// Format North American numbers as (555) 123-4567, leave others alone
+function formatPhone(value) {
+    const digits = String(value).replace(/\D/g, '');
+    const local = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+    if (local.length !== 10) return String(value);
+    return `(${local.slice(0, 3)}) ${local.slice(3, 6)}-${local.slice(6)}`;
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const TEMPLATE_FILTERS = {
+    default: (value, arg) => isEmpty(value) ? arg : value,
+    upper: (value) => String(value ?? '').toUpperCase(),
+    lower: (value) => String(value ?? '').toLowerCase(),
+    trim: (value) => String(value ?? '').trim(),
+    phone: (value) => isEmpty(value) ? value : formatPhone(value),
+    truncate: (value, arg) => {
+        const text = String(value ?? '');
+        const length = parseInt(arg, 10);
+        return text.length > length ? text.slice(0, Math.max(length - 3, 0)) + '...' : text;
+    },
+    date: (value, arg, timeSettings) => {
+        const date = toDate(value);
+        return date ? formatDate(date, arg || 'YYYY-MM-DD HH:mm', timeSettings) : value;
+    },
+    json: (value) => JSON.stringify(value ?? null)
+};
+
+// Filters that must be given an argument
+const FILTERS_REQUIRING_ARG = ['default', 'truncate'];
+
+const TEMPLATE_PATH = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+
+// Split on a separator, ignoring separators inside quotes
+function splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === separator) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts;
+}
+
+function unquote(text) {
+    const trimmed = text.trim();
+    const quoted = /^(["']).*\1$/.test(trimmed) && trimmed.length >= 2;
+    return quoted ? trimmed.slice(1, -1) : trimmed;
+}
+
+// Parse "path|filter:arg|filter" into a placeholder node
+function parseExpression(expression, position) {
+    const [pathPart, ...filterParts] = splitOutsideQuotes(expression, '|');
+    let path = pathPart.trim();
+
+    // {field:FORMAT} is shorthand for {field|date:FORMAT}; {time:...} and {date:...} format the current time
+    let shorthandFormat;
+    const colon = path.indexOf(':');
+    if (colon !== -1) {
+        shorthandFormat = unquote(path.slice(colon + 1));
+        path = path.slice(0, colon).trim();
+        if (path === 'time' || path === 'date') path = 'now';
+    }
+
+    if (!TEMPLATE_PATH.test(path)) {
+        throw new Error(`Invalid placeholder "{${expression}}" at position ${position}`);
+    }
+
+    const filters = filterParts.map(part => {
+        const index = part.indexOf(':');
+        const name = (index === -1 ? part : part.slice(0, index)).trim();
+        const arg = index === -1 ? undefined : unquote(part.slice(index + 1));
+
+        if (!TEMPLATE_FILTERS[name]) {
+            throw new Error(`Unknown filter "${name}" at position ${position}`);
+        }
+        if (arg === undefined && FILTERS_REQUIRING_ARG.includes(name)) {
+            throw new Error(`Filter "${name}" needs an argument, e.g. {${path}|${name}:...}, at position ${position}`);
+        }
+        if (name === 'truncate' && !/^\d+$/.test(arg)) {
+            throw new Error(`Filter "truncate" needs a number at position ${position}`);
+        }
+        return { name, arg };
+    });
+
+    if (shorthandFormat !== undefined) {
+        filters.unshift({ name: 'date', arg: shorthandFormat });
+    }
+
+    return { type: 'value', path: path.split('.'), filters };
+}
+
+// Parse a template into nodes, throwing on any syntax it doesn't understand
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let text = '';
+    let i = 0;
+
+    const current = () => stack[stack.length - 1];
+    const target = () => (current().inElse ? current().elseChildren : current().children);
+    const flushText = () => {
+        if (text) target().push({ type: 'text', value: text });
+        text = '';
+    };
+
+    while (i < template.length) {
+        const char = template[i];
+
+        if ((char === '{' || char === '}') && template[i + 1] === char) {
+            text += char;
+            i += 2;
+            continue;
+        }
+
+        if (char !== '{') {
+            text += char;
+            i++;
+            continue;
+        }
+
+        const end = template.indexOf('}', i);
+        const nextOpen = template.indexOf('{', i + 1);
+        if (end === -1 || (nextOpen !== -1 && nextOpen < end)) {
+            throw new Error(`Unclosed "{" at position ${i}`);
+        }
+
+        const tag = template.slice(i + 1, end).trim();
+        flushText();
+
+        const block = tag.match(/^#(if|unless)\s+(.+)$/);
+        if (block) {
+            const node = {
+                type: 'if',
+                keyword: block[1],
+                condition: parseExpression(block[2], i),
+                children: [],
+                elseChildren: null
+            };
+            target().push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            const node = current();
+            if (node.type !== 'if' || node.inElse) {
+                throw new Error(`Unexpected {else} at position ${i}`);
+            }
+            node.elseChildren = [];
+            node.inElse = true;
+        } else if (tag === '/if' || tag === '/unless') {
+            const node = current();
+            if (node.type !== 'if' || `/${node.keyword}` !== tag) {
+                throw new Error(`Unexpected {${tag}} at position ${i}`);
+            }
+            delete node.inElse;
+            stack.pop();
+        } else if (tag.startsWith('#') || tag.startsWith('/')) {
+            throw new Error(`Unknown block "{${tag}}" at position ${i}`);
+        } else {
+            target().push(parseExpression(tag, i));
+        }
+
+        i = end + 1;
+    }
+
+    flushText();
+    if (stack.length > 1) {
+        throw new Error(`Missing {/${current().keyword}}`);
+    }
+    return root.children;
+}
+
+// Parsed templates, keyed by template text. Previews can send any number of drafts,
+// so only the most recently used TEMPLATE_CACHE_SIZE are kept.
+const TEMPLATE_CACHE_SIZE = 200;
+const templateCache = new Map();
+
+function getParsedTemplate(template) {
+    let parsed = templateCache.get(template);
+    if (parsed) {
+        // Re-insert so the Map's order runs from least to most recently used
+        templateCache.delete(template);
+    } else {
+        parsed = parseTemplate(template);
+        if (templateCache.size >= TEMPLATE_CACHE_SIZE) {
+            templateCache.delete(templateCache.keys().next().value);
+        }
+    }
+    templateCache.set(template, parsed);
+    return parsed;
+}
+
+// Returns an error message for an invalid template, or null
+function validateTemplate(template) {
+    try {
+        parseTemplate(template || '');
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function resolvePath(context, path) {
+    return path.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+function evaluateExpression(node, context, timeSettings, useFallbacks = true) {
+    let value = resolvePath(context, node.path);
+
+    const hasDefault = node.filters.some(filter => filter.name === 'default');
+    const fallback = node.path.length === 1 && TEMPLATE_FALLBACKS[node.path[0]];
+    if (useFallbacks && isEmpty(value) && !hasDefault && fallback) {
+        value = fallback(context);
+    }
+
+    for (const filter of node.filters) {
+        value = TEMPLATE_FILTERS[filter.name](value, filter.arg, timeSettings);
+    }
+    return value;
+}
+
+function renderNodes(nodes, context, timeSettings) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        if (node.type === 'if') {
+            const value = evaluateExpression(node.condition, context, timeSettings, false);
+            const truthy = Array.isArray(value) ? value.length > 0 : !isEmpty(value) && value !== false && value !== 0;
+            if (truthy !== (node.keyword === 'unless')) return renderNodes(node.children, context, timeSettings);
+            return node.elseChildren ? renderNodes(node.elseChildren, context, timeSettings) : '';
         }
+
+        const value = evaluateExpression(node, context, timeSettings);
+        if (isEmpty(value)) return '';
+        return typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+    }).join('');
+}
+
+// Function to format message from template
+// timeSettings ({ timezone, locale }) drives {time}, {date} and date formatting
+function formatMessage(template, data, timeSettings = {}) {
+    const now = new Date();
+    const dateOptions = { timeZone: timeSettings.timezone };
+    const context = {
+        ...data,
+        now,
+        time: now.toLocaleTimeString(timeSettings.locale, dateOptions),
+        date: now.toLocaleDateString(timeSettings.locale, dateOptions)
+    };
+    return renderNodes(getParsedTemplate(template), context, timeSettings);
+}
+
+// Webhook timezone/locale, falling back to the global settings
+function getTimeSettings(webhook = {}) {
+    return {
+        timezone: webhook.timezone || settings.timezone || undefined,
+        locale: webhook.locale || settings.locale || undefined
+    };
+}
+
+// Returns an error message for an unknown timezone or locale, or null
+function validateTimeSettings({ timezone, locale }) {
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            return `Unknown timezone "${timezone}"`;
+        }
+    }
+    if (locale) {
+        try {
+            Intl.getCanonicalLocales(locale);
+        } catch (error) {
+            return `Invalid locale "${locale}"`;
+        }
+    }
+    return null;
+}
+
+// Business-hours schedules
+//   { timezone, description,
+//     hours: { mon: [{ start: '09:00', end: '17:00' }], ... },
+//     holidays: [{ date: 'YYYY-MM-DD', name }],                      closed all day
+//     exceptions: [{ date: 'YYYY-MM-DD', name, hours: [...] }] }     replaces that day's hours
+// A range whose end is not after its start runs past midnight
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function getDateKey(parts) {
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+// Hours that apply on a given day, after holidays and exceptions
+function getDayHours(schedule, parts) {
+    const key = getDateKey(parts);
+
+    const exception = (schedule.exceptions || []).find(entry => entry.date === key);
+    if (exception) {
+        return { ranges: exception.hours || [], reason: 'exception', label: exception.name || key };
+    }
+
+    const holiday = (schedule.holidays || []).find(entry => entry.date === key);
+    if (holiday) {
+        return { ranges: [], reason: 'holiday', label: holiday.name || key };
+    }
+
+    return { ranges: (schedule.hours || {})[WEEKDAYS[parts.weekday]] || [], reason: 'weekly', label: null };
+}
+
+// Whether a schedule is open at the given moment, and why
+function getScheduleStatus(schedule, date = new Date()) {
+    const timezone = schedule.timezone || settings.timezone || undefined;
+    const today = getZonedParts(date, timezone);
+    const yesterday = getZonedParts(new Date(date.getTime() - 24 * 60 * 60 * 1000), timezone);
+    const now = today.hour * 60 + today.minute;
+
+    const todayHours = getDayHours(schedule, today);
+    const openToday = todayHours.ranges.some(range => {
+        const start = toMinutes(range.start);
+        const end = toMinutes(range.end);
+        return now >= start && (end > start ? now < end : true);
+    });
+
+    // Overnight ranges from yesterday that are still running
+    const openFromYesterday = getDayHours(schedule, yesterday).ranges.some(range => {
+        const end = toMinutes(range.end);
+        return end <= toMinutes(range.start) && now < end;
+    });
+
+    return {
+        open: openToday || openFromYesterday,
+        reason: todayHours.reason,
+        label: todayHours.label,
+        timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+    };
+}
+
+// Returns an error message for an invalid schedule, or null
+function validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') return 'Schedule is required';
+
+    const timeError = validateTimeSettings({ timezone: schedule.timezone });
+    if (timeError) return timeError;
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isDate = value => typeof value === 'string' && DATE_KEY.test(value);
+    const checkRanges = (ranges, where) => {
+        if (!Array.isArray(ranges)) return `Hours for ${where} must be a list`;
+        for (const range of ranges) {
+            const valid = isObject(range) && typeof range.start === 'string' && typeof range.end === 'string' &&
+                TIME_OF_DAY.test(range.start) && TIME_OF_DAY.test(range.end);
+            if (!valid) return `Invalid time range for ${where}, use HH:mm`;
+        }
+        return null;
+    };
+
+    if (schedule.hours !== undefined && schedule.hours !== null && !isObject(schedule.hours)) {
+        return 'Hours must be an object keyed by day';
+    }
+    for (const [day, ranges] of Object.entries(schedule.hours || {})) {
+        if (!WEEKDAYS.includes(day)) return `Unknown day "${day}"`;
+        const error = checkRanges(ranges, day);
+        if (error) return error;
+    }
+
+    for (const key of ['holidays', 'exceptions']) {
+        if (schedule[key] !== undefined && schedule[key] !== null && !Array.isArray(schedule[key])) {
+            return `${key === 'holidays' ? 'Holidays' : 'Exceptions'} must be a list`;
+        }
+    }
+
+    for (const holiday of schedule.holidays || []) {
+        if (!isObject(holiday) || !isDate(holiday.date)) {
+            return `Invalid holiday date "${holiday?.date}", use YYYY-MM-DD`;
+        }
+    }
+
+    for (const exception of schedule.exceptions || []) {
+        if (!isObject(exception) || !isDate(exception.date)) {
+            return `Invalid exception date "${exception?.date}", use YYYY-MM-DD`;
+        }
+        const error = checkRanges(exception.hours || [], exception.date);
+        if (error) return error;
+    }
+
+    return null;
+}
+
+// Pick recipients for a webhook based on its schedule
+// webhook.scheduleRouting: { open: { action, recipients, email }, closed: { ... } }
+// action 'suppress' drops the alert; blank recipients/email keep the webhook's own
+function resolveScheduleRoute(webhook, date = new Date()) {
+    const route = {
+        recipients: webhook.recipients,
+        email: webhook.email,
+        suppressed: false,
+        schedule: null
+    };
+
+    const schedule = webhook.schedule && schedules[webhook.schedule];
+    if (!schedule) return route;
+
+    const status = getScheduleStatus(schedule, date);
+    const rule = (webhook.scheduleRouting || {})[status.open ? 'open' : 'closed'] || {};
+
+    route.schedule = { name: webhook.schedule, ...status };
+    route.suppressed = rule.action === 'suppress';
+    if (rule.recipients) route.recipients = rule.recipients;
+    if (rule.email) route.email = rule.email;
+    return route;
+}
+
+// Conditional routing rules
+// webhook.rules: [{ name, conditions: [{ field, operator, value }], recipients, email, messageTemplate,
+//                   channels: { sms, email, browser, outbound } }]      outbound covers Slack, Teams and HTTP
+// Rules are checked in order against the template data and the first whose conditions all match is used.
+// Blank recipients, email or template keep the webhook's own; the webhook's settings are the default
+// when no rule matches. Schedule routing still applies afterwards.
+
+const MAX_ROUTING_RULES = 20;
+const RULE_FIELD = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const MAX_RULE_PATTERN_LENGTH = 200;
+
+// Compiled 'matches' patterns, keyed by pattern text; like templates, only the most recently
+// used TEMPLATE_CACHE_SIZE are kept
+const rulePatternCache = new Map();
+
+function getRulePattern(pattern) {
+    let regex = rulePatternCache.get(pattern);
+    if (regex) {
+        rulePatternCache.delete(pattern);
+    } else {
+        regex = new RegExp(pattern, 'i');
+        if (rulePatternCache.size >= TEMPLATE_CACHE_SIZE) {
+            rulePatternCache.delete(rulePatternCache.keys().next().value);
+        }
+    }
+    rulePatternCache.set(pattern, regex);
+    return regex;
+}
+
+// A repeated group that itself contains a repeat, such as (a+)+ or (\w*,)*, can take exponential
+// time to fail. Groups are folded from the innermost out, remembering which contain a repeat.
+function hasNestedQuantifier(pattern) {
+    const REPEATED = '\0';
+    let source = pattern.replace(/\\./g, 'x').replace(/\[[^\]]*\]/g, 'x');
+    const group = /\(([^()]*)\)/;
+    let match;
+    while ((match = group.exec(source))) {
+        const repeats = /[*+]|\{\d/.test(match[1].replace(/^\?[:=!]|^\?<[=!]?[A-Za-z0-9_]*>?/, '')) || match[1].includes(REPEATED);
+        const after = source.slice(match.index + match[0].length);
+        if (repeats && /^([*+]|\{\d)/.test(after)) return true;
+        source = source.slice(0, match.index) + (repeats ? REPEATED : 'x') + after;
+    }
+    return false;
+}
+
+// Text comparisons ignore case; greaterThan/lessThan compare numbers
+const RULE_OPERATORS = {
+    equals: (value, expected) => String(value ?? '').toLowerCase() === String(expected).toLowerCase(),
+    notEquals: (value, expected) => String(value ?? '').toLowerCase() !== String(expected).toLowerCase(),
+    startsWith: (value, expected) => String(value ?? '').toLowerCase().startsWith(String(expected).toLowerCase()),
+    contains: (value, expected) => String(value ?? '').toLowerCase().includes(String(expected).toLowerCase()),
+    greaterThan: (value, expected) => !isEmpty(value) && Number(value) > Number(expected),
+    lessThan: (value, expected) => !isEmpty(value) && Number(value) < Number(expected),
+    matches: (value, expected) => getRulePattern(String(expected)).test(String(value ?? '')),
+    exists: value => !isEmpty(value)
+};
+
+// Returns an error message for invalid routing rules, or null
+function validateRoutingRules(rules) {
+    if (rules === undefined || rules === null) return null;
+    if (!Array.isArray(rules)) return 'Routing rules must be a list';
+    if (rules.length > MAX_ROUTING_RULES) return `At most ${MAX_ROUTING_RULES} routing rules are allowed`;
+
+    for (const [index, rule] of rules.entries()) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return `Rule ${index + 1} must be an object`;
+        const label = rule.name ? `Rule "${rule.name}"` : `Rule ${index + 1}`;
+        if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+            return `${label} needs at least one condition`;
+        }
+        for (const condition of rule.conditions) {
+            if (!condition || typeof condition !== 'object') return `${label} has a condition that is not an object`;
+            if (typeof condition.field !== 'string' || !RULE_FIELD.test(condition.field)) return `${label} has an invalid field "${condition.field}"`;
+            if (!RULE_OPERATORS[condition.operator]) return `${label} has an unknown operator "${condition.operator}"`;
+            if (condition.operator === 'exists') continue;
+            if (condition.value === undefined || condition.value === null || condition.value === '') {
+                return `${label} needs a value for ${condition.field}`;
+            }
+            if ((condition.operator === 'greaterThan' || condition.operator === 'lessThan') && isNaN(Number(condition.value))) {
+                return `${label} must compare ${condition.field} with a number`;
+            }
+            if (condition.operator === 'matches') {
+                const pattern = String(condition.value);
+                if (pattern.length > MAX_RULE_PATTERN_LENGTH) {
+                    return `${label} has a pattern longer than ${MAX_RULE_PATTERN_LENGTH} characters`;
+                }
+                try {
+                    getRulePattern(pattern);
+                } catch (error) {
+                    return `${label} has an invalid pattern: ${error.message}`;
+                }
+                if (hasNestedQuantifier(pattern)) {
+                    return `${label} has a pattern with a repeated group that itself repeats, such as (a+)+`;
+                }
+            }
+        }
+        if (rule.messageTemplate) {
+            const templateError = validateTemplate(rule.messageTemplate);
+            if (templateError) return `${label} has an invalid message template: ${templateError}`;
+        }
+    }
+    return null;
+}
+
+// First rule whose conditions all match the template data, or null
+function matchRoutingRule(webhook, data) {
+    return (webhook.rules || []).find(rule => rule.conditions.every(condition =>
+        RULE_OPERATORS[condition.operator](resolvePath(data, condition.field.split('.')), condition.value))) || null;
+}
+
+// The webhook settings to send with once a rule has matched
+function applyRoutingRule(webhook, rule) {
+    if (!rule) return webhook;
+    const routed = {
+        ...webhook,
+        recipients: rule.recipients || webhook.recipients,
+        email: rule.email || webhook.email,
+        messageTemplate: rule.messageTemplate || webhook.messageTemplate,
+        browserNotify: rule.channels?.browser ?? webhook.browserNotify
+    };
+    if (rule.channels?.outbound === false) {
+        Object.values(CHANNEL_PROVIDERS).filter(provider => provider.outbound).forEach(provider => {
+            routed[provider.key] = provider.off;
+        });
+    }
+    return routed;
+}
+
+// Drop the channels a matched rule turns off, after schedule routing has picked recipients
+function applyRuleChannels(route, rule) {
+    if (rule?.channels?.sms === false) route.recipients = '';
+    if (rule?.channels?.email === false) route.email = '';
+    return route;
+}
+
+// On-call rotations
+//   { timezone, description, startDate: 'YYYY-MM-DD', handoffTime: 'HH:mm', periodDays: 7,
+//     members: [{ name, phone, email }],                          in rotation order
+//     overrides: [{ start, end, name, phone, email }] }           ISO start/end; blank contact uses the member's
+// The first member is on call from handoffTime on startDate, then each member takes periodDays in turn
+// Recipient and email lists name a rotation as oncall:<name>
+
+const ONCALL_REF = /^oncall:([a-z0-9-]+)$/;
+const MAX_CALENDAR_DAYS = 62;
+
+// Who the rotation puts on call at the given moment, ignoring overrides
+function getScheduledMember(rotation, date) {
+    const parts = getZonedParts(date, rotation.timezone || settings.timezone || undefined);
+    const [year, month, day] = rotation.startDate.split('-').map(Number);
+    const days = (Date.UTC(parts.year, parts.month - 1, parts.day) - Date.UTC(year, month - 1, day)) / (24 * 60 * 60 * 1000);
+    const minutes = days * 1440 + parts.hour * 60 + parts.minute - toMinutes(rotation.handoffTime);
+    const shift = Math.floor(minutes / (rotation.periodDays * 1440));
+    const count = rotation.members.length;
+    return rotation.members[((shift % count) + count) % count];
+}
+
+// Who is on call at the given moment, with overrides applied
+function getOnCall(rotation, date = new Date()) {
+    const override = (rotation.overrides || []).find(entry =>
+        Date.parse(entry.start) <= date.getTime() && date.getTime() < Date.parse(entry.end));
+
+    if (override) {
+        const member = rotation.members.find(entry => entry.name === override.name) || {};
+        return {
+            name: override.name,
+            phone: override.phone || member.phone || '',
+            email: override.email || member.email || '',
+            override: true
+        };
+    }
+
+    const member = getScheduledMember(rotation, date);
+    return { name: member.name, phone: member.phone || '', email: member.email || '', override: false };
+}
+
+// The instant a wall-clock time occurs on a date in a timezone
+function zonedTimeToDate(dateKey, time, timezone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = wall;
+    // Two passes settle the offset, including across DST changes
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(new Date(guess), timezone);
+        guess += wall - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    }
+    return new Date(guess);
+}
+
+// On-call shifts between two dates, split at handoffs and override edges
+function getOnCallShifts(rotation, from, to) {
+    const timezone = rotation.timezone || settings.timezone || undefined;
+    const start = from.getTime();
+    const end = to.getTime();
+    const edges = new Set([start, end]);
+
+    // Every day's handoff time is a candidate; shifts that don't change hands are merged below
+    for (let t = start - 24 * 60 * 60 * 1000; t <= end + 24 * 60 * 60 * 1000; t += 12 * 60 * 60 * 1000) {
+        const handoff = zonedTimeToDate(getDateKey(getZonedParts(new Date(t), timezone)), rotation.handoffTime, timezone).getTime();
+        if (handoff > start && handoff < end) edges.add(handoff);
+    }
+
+    for (const override of rotation.overrides || []) {
+        for (const edge of [Date.parse(override.start), Date.parse(override.end)]) {
+            if (edge > start && edge < end) edges.add(edge);
+        }
+    }
+
+    const sorted = [...edges].sort((a, b) => a - b);
+    const shifts = [];
+    for (let i = 0; i < sorted.length - 1; i++) {
+        const member = getOnCall(rotation, new Date(sorted[i]));
+        const last = shifts[shifts.length - 1];
+        if (last && last.name === member.name && last.override === member.override) {
+            last.end = new Date(sorted[i + 1]).toISOString();
+        } else {
+            shifts.push({ start: new Date(sorted[i]).toISOString(), end: new Date(sorted[i + 1]).toISOString(), ...member });
+        }
+    }
+    return shifts;
+}
+
+// Returns an error message for an invalid rotation, or null
+function validateRotation(rotation) {
+    if (!rotation || typeof rotation !== 'object') return 'Rotation is required';
+
+    const timeError = validateTimeSettings({ timezone: rotation.timezone });
+    if (timeError) return timeError;
+
+    if (!Array.isArray(rotation.members) || rotation.members.length === 0) return 'Add at least one member';
+    for (const member of rotation.members) {
+        if (!member.name) return 'Every member needs a name';
+        if (!member.phone && !member.email) return `${member.name} needs a phone number or email address`;
+    }
+
+    if (!Number.isInteger(rotation.periodDays) || rotation.periodDays < 1) return 'Rotation period must be a whole number of days';
+    if (!TIME_OF_DAY.test(rotation.handoffTime || '')) return 'Invalid handoff time, use HH:mm';
+    if (!DATE_KEY.test(rotation.startDate || '')) return 'Invalid start date, use YYYY-MM-DD';
+
+    for (const override of rotation.overrides || []) {
+        if (!override.name) return 'Every override needs a name';
+        const start = Date.parse(override.start);
+        const end = Date.parse(override.end);
+        if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+            return `Override for ${override.name} must end after it starts`;
+        }
+        const member = rotation.members.find(entry => entry.name === override.name);
+        if (!member && !override.phone && !override.email) {
+            return `Override for ${override.name} needs a phone number or email address`;
+        }
+    }
+
+    return null;
+}
+
+// Names a webhook or escalation level refers to with the given prefix pattern,
+// including through its schedule routing and routing rules
+function getReferences(webhook, pattern) {
+    const lists = [webhook.recipients, webhook.email];
+    const routes = [...Object.values(webhook.scheduleRouting || {}), ...(Array.isArray(webhook.rules) ? webhook.rules : [])];
+    for (const rule of routes) {
+        if (rule && typeof rule === 'object') lists.push(rule.recipients, rule.email);
+    }
+
+    const refs = new Set();
+    for (const entry of lists.join(',').split(/[,;]/)) {
+        const match = entry.trim().match(pattern);
+        if (match) refs.add(match[1]);
+    }
+    return [...refs];
+}
+
+// Rotations a webhook sends to
+function getRotationRefs(webhook) {
+    return getReferences(webhook, ONCALL_REF);
+}
+
+// Replace oncall:<rotation> entries with the on-call member's phone or email
+function expandOnCall(list, field, date = new Date()) {
+    if (!list) return list;
+    return list.split(/[,;]/)
+        .map(entry => entry.trim())
+        .map(entry => {
+            const match = entry.match(ONCALL_REF);
+            if (!match) return entry;
+            const rotation = rotations[match[1]];
+            return rotation ? getOnCall(rotation, date)[field] : '';
+        })
+        .filter(entry => entry)
+        .join(',');
+}
+
+// Webhooks and escalation policies that refer to a name with the given pattern
+function getReferenceUsers(pattern, name) {
+    return [
+        ...Object.keys(notificationConfigs).filter(key => getReferences(notificationConfigs[key], pattern).includes(name)),
+        ...Object.keys(escalationPolicies)
+            .filter(key => escalationPolicies[key].levels.some(level => getReferences(level, pattern).includes(name)))
+            .map(key => `escalation:${key}`)
+    ];
+}
+
+// Webhooks and escalation policies that send to a rotation
+function getRotationUsers(name) {
+    return getReferenceUsers(ONCALL_REF, name);
+}
+
+// Named recipients and groups
+//   people: { [name]: { description, phone, email, channel,       channel: sms, email or both
+//                       timezone, quietHours: { start, end, action } } }
+//   groups: { [name]: { description, members: [person names] } }
+// Recipient and email lists name them as person:<name> and group:<name>. They are looked up
+// when an alert is sent, so changing someone's number updates every webhook that uses them.
+// Each person is reached on their preferred channel, whichever list refers to them.
+
+const PERSON_REF = /^person:([a-z0-9-]+)$/;
+const GROUP_REF = /^group:([a-z0-9-]+)$/;
+const PERSON_CHANNELS = ['sms', 'email', 'both'];
+const QUIET_HOURS_ACTIONS = ['defer', 'email', 'digest'];
+
+function isRecipientRef(entry) {
+    return ONCALL_REF.test(entry) || PERSON_REF.test(entry) || GROUP_REF.test(entry);
+}
+
+// Returns an error message for an invalid person, or null
+function validatePerson(person) {
+    if (!person || typeof person !== 'object') return 'Person is required';
+    if (!PERSON_CHANNELS.includes(person.channel)) return 'Preferred channel must be sms, email or both';
+    if (person.channel !== 'email' && !person.phone) return 'A phone number is needed for SMS';
+    if (person.channel !== 'sms' && !person.email) return 'An email address is needed for email';
+    if (person.phone) {
+        const phone = normalizePhoneNumber(person.phone);
+        if (phone.error) return `Invalid phone number ${person.phone} (${phone.error})`;
+    }
+    const timeError = validateTimeSettings({ timezone: person.timezone });
+    if (timeError) return timeError;
+    if (person.quietHours) {
+        const { start, end, action } = person.quietHours;
+        if (!TIME_OF_DAY.test(start || '') || !TIME_OF_DAY.test(end || '')) return 'Invalid quiet hours, use HH:mm';
+        if (start === end) return 'Quiet hours must start and end at different times';
+        if (!QUIET_HOURS_ACTIONS.includes(action)) return 'Quiet hours action must be defer, email or digest';
+    }
+    return null;
+}
+
+// Returns an error message for an invalid group, or null
+function validateGroup(group) {
+    if (!group || typeof group !== 'object') return 'Group is required';
+    if (!Array.isArray(group.members) || group.members.length === 0) return 'Add at least one person';
+    const unknown = group.members.find(name => !people[name]);
+    if (unknown) return `Unknown person "${unknown}"`;
+    return null;
+}
+
+// First person or group a webhook or escalation level names that doesn't exist, or null
+// An import passes the people and groups it brings along with the existing ones as known
+function findUnknownRecipientRef(target, known = { people, groups }) {
+    const person = getReferences(target, PERSON_REF).find(name => !known.people[name]);
+    if (person) return `Unknown person "${person}"`;
+    const group = getReferences(target, GROUP_REF).find(name => !known.groups[name]);
+    if (group) return `Unknown group "${group}"`;
+    return null;
+}
+
+// Webhooks, escalation policies and groups that send to a person
+function getPersonUsers(name) {
+    return [
+        ...getReferenceUsers(PERSON_REF, name),
+        ...Object.keys(groups).filter(key => groups[key].members.includes(name)).map(key => `group:${key}`)
+    ];
+}
+
+// Quiet hours
+// Non-urgent SMS to a person in their quiet hours is held back, depending on quietHours.action:
+//   defer   each text is sent when quiet hours end
+//   email   sent to their email address instead (deferred if they have none)
+//   digest  one summary text of everything held is sent when quiet hours end
+// Alerts from webhooks tagged "urgent", or with urgent: true or priority: "urgent" in the payload,
+// always go straight through. Held texts wait in the throttle windows as type 'quiet'.
+
+function isUrgentAlert(webhook, data) {
+    return (webhook.tags || []).includes('urgent') ||
+        data.urgent === true || String(data.urgent).toLowerCase() === 'true' ||
+        String(data.priority || '').toLowerCase() === 'urgent';
+}
+
+function findPersonByPhone(phone) {
+    return Object.values(people).find(person => samePhone(person.phone, phone)) || null;
+}
+
+// When the person's quiet hours end, if they are in them at the given moment; otherwise null
+function getQuietHoursEnd(person, date = new Date()) {
+    if (!person.quietHours) return null;
+    const timezone = getTimeSettings({ timezone: person.timezone }).timezone;
+    const parts = getZonedParts(date, timezone);
+    const now = parts.hour * 60 + parts.minute;
+    const start = toMinutes(person.quietHours.start);
+    const end = toMinutes(person.quietHours.end);
+
+    const overnight = start > end;
+    const quiet = overnight ? now >= start || now < end : now >= start && now < end;
+    if (!quiet) return null;
+
+    // Ends later today, or tomorrow when an overnight range started this evening
+    const endDay = overnight && now >= start ? new Date(date.getTime() + 24 * 60 * 60 * 1000) : date;
+    return zonedTimeToDate(getDateKey(getZonedParts(endDay, timezone)), person.quietHours.end, timezone);
+}
+
+function holdForQuietHours(phone, person, until, context, deliveryId, now = Date.now()) {
+    const key = `quiet:${phone}`;
+    let window = throttle.windows.find(entry => entry.key === key && Date.parse(entry.closesAt) > now);
+    if (!window) {
+        window = {
+            key,
+            type: 'quiet',
+            action: person.quietHours.action === 'digest' ? 'digest' : 'defer',
+            phone,
+            timezone: person.timezone || '',
+            openedAt: new Date(now).toISOString(),
+            closesAt: until.toISOString(),
+            count: 0,
+            messages: []
+        };
+        throttle.windows.push(window);
+    }
+
+    window.count++;
+    window.messages.push({ timestamp: new Date(now).toISOString(), webhookName: context.webhookName, message: context.message, deliveryId });
+}
+
+// Hold back texts to people in their quiet hours, recording the decision for each number
+// Returns { recipients } still to text now, { emails } to send to instead, and the { held } deliveries
+async function applyQuietHours(context, recipients, now = new Date()) {
+    const result = { recipients: [], emails: [], held: [] };
+
+    for (const phone of parsePhoneNumbers(recipients)) {
+        const person = findPersonByPhone(phone);
+        const until = person && getQuietHoursEnd(person, now);
+        if (!until) {
+            result.recipients.push(phone);
+            continue;
+        }
+
+        const untilLabel = formatDate(until, 'h:mm A', getTimeSettings({ timezone: person.timezone }));
+        const delivery = createDelivery(context, 'sms', [phone]);
+        if (person.quietHours.action === 'email' && person.email) {
+            result.emails.push(person.email);
+            result.held.push(markDeliveryHeld(delivery, `Quiet hours until ${untilLabel}; sent by email instead`, 'downgraded'));
+            continue;
+        }
+
+        holdForQuietHours(phone, person, until, context, delivery.id, now.getTime());
+        const decision = person.quietHours.action === 'digest' ? 'added to the morning summary' : 'deferred';
+        result.held.push(markDeliveryHeld(delivery, `Quiet hours until ${untilLabel}; ${decision}`, 'deferred'));
+    }
+
+    if (result.held.length) await saveDeliveries(deliveries);
+    return { ...result, recipients: result.recipients.join(',') };
+}
+
+// Send what a quiet-hours window held once quiet hours are over
+async function sendQuietHoursWindow(window) {
+    if (window.action === 'defer') {
+        for (const entry of window.messages) {
+            const recipients = filterSmsRecipients(window.phone, entry.webhookName);
+            const held = deliveries.find(delivery => delivery.id === entry.deliveryId);
+            if (!recipients) {
+                if (held) {
+                    markDeliveryHeld(held, 'Opted out or muted during quiet hours');
+                    await saveDeliveries(deliveries);
+                }
+                continue;
+            }
+            const context = { webhookName: entry.webhookName, payload: { quietHours: 'defer', heldAt: entry.timestamp }, message: entry.message };
+            const result = await trackDelivery(context, 'sms', [recipients],
+                () => sendSMS(entry.message, recipients, getSmsOptions(entry.webhookName)),
+                { retry: true, deliveryId: entry.deliveryId });
+            if (result.success) recordSmsSend(entry.webhookName, [recipients]);
+        }
+        return;
+    }
+
+    const recipients = filterSmsRecipients(window.phone, null);
+    if (!recipients) return;
+    const timeSettings = getTimeSettings({ timezone: window.timezone });
+    const lines = window.messages.map(entry =>
+        `${formatDate(new Date(entry.timestamp), 'h:mm A', timeSettings)} ${entry.webhookName}: ${entry.message.split('\n')[0]}`);
+    const message = `${window.count} alert${window.count === 1 ? '' : 's'} during quiet hours:\n${lines.join('\n')}`;
+    const context = { webhookName: 'quiet-hours', payload: { quietHours: 'digest', count: window.count }, message };
+    const result = await trackDelivery(context, 'sms', [recipients], () => sendSMS(message, recipients), { retry: true });
+
+    // Point each held text at the summary that carried it; a queued summary keeps them deferred
+    const status = result.success ? 'sent' : result.queued ? 'deferred' : 'failed';
+    for (const entry of window.messages) {
+        const held = deliveries.find(delivery => delivery.id === entry.deliveryId);
+        if (held) setDeliveryStatus(held, status, `In the quiet-hours summary ${result.deliveryId}`);
+    }
+    await saveDeliveries(deliveries);
+}
+
+// Swap oncall:, person: and group: references in { recipients, email } for phone numbers
+// and email addresses; returns { recipients, email } as comma-separated lists
+function resolveRecipients(target, date = new Date()) {
+    const sms = [];
+    const email = [];
+    const addPerson = person => {
+        if (!person) return;
+        if (person.channel !== 'email' && person.phone) sms.push(person.phone);
+        if (person.channel !== 'sms' && person.email) email.push(person.email);
+    };
+    const collect = (list, own) => {
+        for (const entry of (list || '').split(/[,;]/).map(item => item.trim()).filter(item => item)) {
+            const personMatch = entry.match(PERSON_REF);
+            const groupMatch = entry.match(GROUP_REF);
+            if (personMatch) {
+                addPerson(people[personMatch[1]]);
+            } else if (groupMatch) {
+                (groups[groupMatch[1]]?.members || []).forEach(name => addPerson(people[name]));
+            } else {
+                own.push(entry);
+            }
+        }
+    };
+
+    collect(expandOnCall(target.recipients, 'phone', date), sms);
+    collect(expandOnCall(target.email, 'email', date), email);
+    return { recipients: [...new Set(sms)].join(','), email: [...new Set(email)].join(',') };
+}
+
+// Escalation policies
+//   { description, levels: [{ recipients, email, delayMinutes }] }
+// Level 1 is notified when the webhook fires; if nobody acknowledges within its
+// delayMinutes the next level is notified, until the last level's wait runs out
+
+// Returns an error message for an invalid escalation policy, or null
+function validateEscalationPolicy(policy, known = { people, groups, rotations }) {
+    if (!policy || typeof policy !== 'object') return 'Policy is required';
+    if (!Array.isArray(policy.levels) || policy.levels.length === 0) return 'Add at least one level';
+
+    for (const [index, level] of policy.levels.entries()) {
+        if (!level.recipients && !level.email) return `Level ${index + 1} needs SMS or email recipients`;
+        if (!Number.isInteger(level.delayMinutes) || level.delayMinutes < 1) {
+            return `Level ${index + 1} must wait at least 1 minute before escalating`;
+        }
+        const unknownRotation = getRotationRefs(level).find(ref => !known.rotations[ref]);
+        if (unknownRotation) return `Unknown on-call rotation "${unknownRotation}"`;
+        const unknownRecipient = findUnknownRecipientRef(level, known);
+        if (unknownRecipient) return unknownRecipient;
+    }
+
+    return null;
+}
+
+// Short numeric code people reply with, unique among open incidents
+function generateIncidentCode() {
+    let code;
+    do {
+        code = String(crypto.randomInt(1000, 10000));
+    } while (incidents.some(incident => incident.status === 'open' && incident.code === code));
+    return code;
+}
+
+function addIncidentEvent(incident, event, details = {}) {
+    incident.timeline.push({ timestamp: new Date().toISOString(), event, ...details });
+}
+
+// Send the incident to its current level
+async function notifyEscalationLevel(incident) {
+    const policy = escalationPolicies[incident.policy];
+    const level = policy.levels[incident.level];
+    const resolved = resolveRecipients(level);
+    const recipients = filterSmsRecipients(resolved.recipients, incident.webhookName);
+    const email = resolved.email;
+    const message = `${incident.message}\n\nReply ACK ${incident.code} or open ${incident.ackUrl}`;
+    const context = { webhookName: incident.webhookName, payload: incident.payload, message };
+
+    const channels = await sendToChannels(context, { recipients, email }, {
+        webhookName: incident.webhookName,
+        title: incident.title,
+        message,
+        data: {},
+        payload: incident.payload,
+        timeSettings: getTimeSettings(notificationConfigs[incident.webhookName]),
+        timestamp: new Date()
+    });
+
+    incident.notified.push(...parsePhoneNumbers(recipients));
+    incident.nextEscalationAt = new Date(Date.now() + level.delayMinutes * 60 * 1000).toISOString();
+    addIncidentEvent(incident, 'notified', {
+        level: incident.level + 1,
+        recipients: parsePhoneNumbers(recipients),
+        email: parseEmailAddresses(email),
+        deliveries: Object.values(channels).map(result => result.deliveryId)
+    });
+    return channels;
+}
+
+// Open an incident for a webhook alert and notify the first level
+async function openIncident({ webhookName, policyName, title, message, payload, baseUrl }) {
+    const id = crypto.randomUUID();
+    const ackToken = crypto.randomBytes(16).toString('hex');
+    const incident = {
+        id,
+        code: generateIncidentCode(),
+        ackToken,
+        ackUrl: `${baseUrl}/ack/${ackToken}`,
+        webhookName,
+        policy: policyName,
+        title,
+        message,
+        payload,
+        status: 'open',
+        level: 0,
+        notified: [],
+        createdAt: new Date().toISOString(),
+        nextEscalationAt: null,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        timeline: []
+    };
+    addIncidentEvent(incident, 'opened', { policy: policyName });
+    incidents.push(incident);
+
+    const channels = await notifyEscalationLevel(incident);
+    await saveIncidents(incidents);
+    return { incident, channels };
+}
+
+// Mark an incident acknowledged; returns false if it was already closed
+async function acknowledgeIncident(incident, by, via) {
+    if (incident.status !== 'open') return false;
+
+    incident.status = 'acknowledged';
+    incident.acknowledgedAt = new Date().toISOString();
+    incident.acknowledgedBy = by;
+    incident.nextEscalationAt = null;
+    addIncidentEvent(incident, 'acknowledged', { by, via, level: incident.level + 1 });
+    await saveIncidents(incidents);
+    await addToChangelog('incident_acknowledged', incident.webhookName, { incidentId: incident.id, by, via });
+    return true;
+}
+
+// Escalate every open incident whose wait has run out
+let escalationsRunning = false;
+
+async function processEscalations() {
+    if (escalationsRunning) return;
+    escalationsRunning = true;
+
+    try {
+        const now = Date.now();
+        const due = incidents.filter(incident =>
+            incident.status === 'open' && new Date(incident.nextEscalationAt).getTime() <= now);
+
+        for (const incident of due) {
+            const policy = escalationPolicies[incident.policy];
+            if (policy && incident.level + 1 < policy.levels.length) {
+                incident.level++;
+                addIncidentEvent(incident, 'escalated', { level: incident.level + 1 });
+                console.log(`Incident ${incident.code} for ${incident.webhookName} escalated to level ${incident.level + 1}`);
+                await notifyEscalationLevel(incident);
+            } else {
+                incident.status = 'unacknowledged';
+                incident.nextEscalationAt = null;
+                addIncidentEvent(incident, 'exhausted', { level: incident.level + 1 });
+                console.warn(`Incident ${incident.code} for ${incident.webhookName} was never acknowledged`);
+                await addToChangelog('incident_unacknowledged', incident.webhookName, { incidentId: incident.id });
+            }
+            await saveIncidents(incidents);
+        }
+    } catch (error) {
+        console.error('Error processing escalations:', error);
+    } finally {
+        escalationsRunning = false;
+    }
+}
+
+// Inbound SMS
+// Replies are matched to the most recent SMS alert sent to the sender and can carry a command:
+//   ACK [code]    acknowledge the incident (the code picks one when several are open)
+//   STOP / START  opt out of, or back into, all SMS alerts
+//   MUTE [1h]     pause the alert's webhook for the sender (30m, 2h, 1d; default one hour)
+//   STATUS        list the sender's open incidents and mutes
+
+// Compare phone numbers by their digits, so +1 (555) 123-4567 matches 15551234567
+function samePhone(a, b) {
+    const digits = value => String(value || '').replace(/\D/g, '');
+    return digits(a) !== '' && digits(a) === digits(b);
+}
+
+// Pull sender and text from a GoTo message event, or a plain { from, text } body
+function parseInboundMessage(body) {
+    const content = body.data?.content || body.content;
+    if (content && typeof content === 'object') {
+        return {
+            from: String(content.authorPhoneNumber || content.contactPhoneNumber || ''),
+            to: String(content.ownerPhoneNumber || ''),
+            text: String(content.body || '').trim(),
+            inbound: !content.direction || String(content.direction).toUpperCase() === 'IN',
+            providerId: content.id || null
+        };
+    }
+
+    return {
+        from: String(body.from || body.sender || ''),
+        to: String(body.to || ''),
+        text: String(body.text || body.body || body.message || '').trim(),
+        inbound: true,
+        providerId: body.id || null
+    };
+}
+
+// Parse "30m", "2h", "1d" into milliseconds; a bare number is hours
+function parseDuration(text) {
+    const match = String(text).match(/^(\d+)\s*(m|min|mins|h|hr|hrs|hour|hours|d|day|days)?$/i);
+    if (!match) return null;
+    const unit = (match[2] || 'h')[0].toLowerCase();
+    return parseInt(match[1], 10) * { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[unit];
+}
+
+function parseReplyCommand(text) {
+    const [word = '', arg = ''] = text.split(/\s+/);
+    const keyword = word.toUpperCase().replace(/[^A-Z]/g, '');
+
+    if (keyword === 'ACK') return { command: 'ack', code: /^\d+$/.test(arg) ? arg : null };
+    if (STOP_KEYWORDS.includes(keyword)) return { command: 'stop' };
+    if (START_KEYWORDS.includes(keyword)) return { command: 'start' };
+    if (keyword === 'MUTE') return { command: 'mute', durationMs: parseDuration(arg) || DEFAULT_MUTE_MS };
+    if (keyword === 'STATUS') return { command: 'status' };
+    return { command: null };
+}
+
+// Drop numbers that replied STOP, or that muted this webhook
+function filterSmsRecipients(recipients, webhookName, now = Date.now()) {
+    return parsePhoneNumbers(recipients)
+        .filter(phone => !smsPreferences.optOuts.some(entry => samePhone(entry.phone, phone)))
+        .filter(phone => !smsPreferences.mutes.some(mute =>
+            samePhone(mute.phone, phone) &&
+            (!mute.webhookName || mute.webhookName === webhookName) &&
+            Date.parse(mute.until) > now))
+        .join(',');
+}
+
+// The most recent SMS alert sent to a number, if it was recent enough to be replied to
+function findRepliedDelivery(from) {
+    const since = Date.now() - REPLY_MATCH_WINDOW_MS;
+    for (let i = deliveries.length - 1; i >= 0; i--) {
+        const delivery = deliveries[i];
+        if (Date.parse(delivery.timestamp) < since) break;
+        // Skip our own replies to earlier commands
+        if (delivery.channel === 'sms' && !delivery.payload?.reply && delivery.recipients.some(phone => samePhone(phone, from))) {
+            return delivery;
+        }
+    }
+    return null;
+}
+
+// The open incident an ACK refers to: by code, else the one the replied-to alert belongs to,
+// else the newest one sent to the sender. Only incidents the sender was notified about count.
+function findIncidentForReply(from, code, delivery) {
+    const open = incidents
+        .filter(incident => incident.status === 'open' && incident.notified.some(phone => samePhone(phone, from)))
+        .reverse();
+    if (code) return open.find(incident => incident.code === code) || null;
+
+    return open.find(incident => delivery && incident.timeline.some(entry => (entry.deliveries || []).includes(delivery.id))) ||
+        open[0] ||
+        null;
+}
+
+// Failed ACKs per sender, so incident codes can't be guessed
+const ackFailures = new Map();
+
+function isOptedOut(phone) {
+    return smsPreferences.optOuts.some(optOut => samePhone(optOut.phone, phone));
+}
+
+// Only numbers we have texted can run commands or get a reply: recently alerted, notified
+// about an open incident, or opted out (so START still works)
+function isKnownSender(from, delivery) {
+    return !!delivery ||
+        incidents.some(incident => incident.status === 'open' && incident.notified.some(phone => samePhone(phone, from))) ||
+        isOptedOut(from);
+}
+
+// Record a reply, carry out its command and text back the result
+// Unrecognised text is logged without a reply, and opted-out numbers are only sent the STOP confirmation.
+// Replies are logged as deliveries of the alert's webhook ('sms-replies' without one), so they count
+// toward its usage and budget.
+async function handleInboundMessage(inbound) {
+    const delivery = findRepliedDelivery(inbound.from);
+    const known = isKnownSender(inbound.from, delivery);
+    const parsed = known ? parseReplyCommand(inbound.text) : { command: null };
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        from: inbound.from,
+        to: inbound.to,
+        text: inbound.text,
+        providerId: inbound.providerId,
+        deliveryId: delivery ? delivery.id : null,
+        webhookName: delivery ? delivery.webhookName : null,
+        command: parsed.command,
+        incidentId: null,
+        reply: null,
+        replyError: null
+    };
+    const timeSettings = getTimeSettings(notificationConfigs[entry.webhookName]);
+
+    if (parsed.command === 'ack') {
+        const failures = ackFailures.get(inbound.from);
+        const locked = failures && failures.count >= ACK_MAX_FAILURES && failures.lockedUntil > Date.now();
+        const incident = !locked && findIncidentForReply(inbound.from, parsed.code, delivery);
+        if (locked) {
+            entry.reply = 'Too many failed ACKs. Try again later or use the link in the alert.';
+        } else if (incident) {
+            ackFailures.delete(inbound.from);
+            await acknowledgeIncident(incident, inbound.from, 'sms');
+            entry.incidentId = incident.id;
+            entry.reply = `Acknowledged incident ${incident.code} (${incident.webhookName}). Escalation stopped.`;
+        } else {
+            const count = (failures && failures.lockedUntil > Date.now() ? failures.count : 0) + 1;
+            ackFailures.set(inbound.from, { count, lockedUntil: Date.now() + ACK_LOCKOUT_MS });
+            entry.reply = parsed.code ? `No open incident with code ${parsed.code}.` : 'No open incident to acknowledge.';
+        }
+    } else if (parsed.command === 'stop') {
+        if (!smsPreferences.optOuts.some(optOut => samePhone(optOut.phone, inbound.from))) {
+            smsPreferences.optOuts.push({ phone: inbound.from, since: entry.timestamp });
+        }
+        entry.reply = 'You will no longer receive SMS alerts. Reply START to resume.';
+    } else if (parsed.command === 'start') {
+        smsPreferences.optOuts = smsPreferences.optOuts.filter(optOut => !samePhone(optOut.phone, inbound.from));
+        entry.reply = 'SMS alerts resumed.';
+    } else if (parsed.command === 'mute') {
+        const until = new Date(Date.now() + parsed.durationMs).toISOString();
+        smsPreferences.mutes = smsPreferences.mutes.filter(mute =>
+            !(samePhone(mute.phone, inbound.from) && mute.webhookName === entry.webhookName));
+        smsPreferences.mutes.push({ phone: inbound.from, webhookName: entry.webhookName, until });
+        entry.reply = `Muted ${entry.webhookName || 'all alerts'} until ${formatDate(new Date(until), 'MMM D h:mm A', timeSettings)}.`;
+    } else if (parsed.command === 'status') {
+        const open = incidents.filter(incident =>
+            incident.status === 'open' && incident.notified.some(phone => samePhone(phone, inbound.from)));
+        const mutes = smsPreferences.mutes.filter(mute =>
+            samePhone(mute.phone, inbound.from) && Date.parse(mute.until) > Date.now());
+        const lines = [open.length ? `${open.length} open: ` + open.map(incident => `${incident.code} ${incident.webhookName}`).join(', ') : 'No open incidents.'];
+        mutes.forEach(mute => {
+            lines.push(`Muted ${mute.webhookName || 'all alerts'} until ${formatDate(new Date(mute.until), 'MMM D h:mm A', timeSettings)}`);
+        });
+        entry.reply = lines.join('\n');
+    }
+
+    if (['stop', 'start', 'mute'].includes(parsed.command)) {
+        await saveSmsPreferences(smsPreferences);
+        await addToChangelog(`sms_${parsed.command}`, entry.webhookName || 'system', { phone: inbound.from });
+    }
+
+    if (!known) {
+        entry.ignored = 'Sender has not been sent an alert';
+    } else if (entry.reply && parsed.command !== 'stop' && isOptedOut(inbound.from)) {
+        entry.reply = null;
+    }
+    if (entry.reply) {
+        const context = { webhookName: entry.webhookName || 'sms-replies', payload: { reply: parsed.command }, message: entry.reply };
+        const result = await trackDelivery(context, 'sms', [inbound.from], () => sendSMS(entry.reply, inbound.from));
+        entry.replyDeliveryId = result.deliveryId;
+        if (!result.success) entry.replyError = result.reason || result.error;
+    }
+
+    inboundMessages.push(entry);
+    await saveInboundMessages(inboundMessages);
+    return entry;
+}
+
+// Deduplication and rate limiting
+//   webhook.dedupe:    { windowMinutes }                              repeat calls from the same caller within
+//                                                                     the window are collapsed into the first alert
+//   webhook.rateLimit: { perMinute, perHour, perRecipientPerHour }    SMS caps; 0 or blank means no limit
+// Held-back alerts are logged as suppressed deliveries and summed up in one digest SMS when their window closes.
+// perRecipientPerHour counts texts to a number from every webhook.
+
+// Returns an error message for invalid dedupe or rate-limit settings, or null
+function validateThrottleSettings(webhook) {
+    const values = {
+        'Dedupe window': webhook.dedupe?.windowMinutes,
+        'SMS per minute': webhook.rateLimit?.perMinute,
+        'SMS per hour': webhook.rateLimit?.perHour,
+        'SMS per recipient per hour': webhook.rateLimit?.perRecipientPerHour
+    };
+    for (const [label, value] of Object.entries(values)) {
+        if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+            return `${label} must be a whole number`;
+        }
+    }
+    return null;
+}
+
+// Count a repeat call into its open dedupe window
+// Returns { duplicate, window }
+function checkDuplicate(webhookName, webhook, callerNumber, now = Date.now()) {
+    const windowMinutes = webhook.dedupe?.windowMinutes;
+    if (!windowMinutes || !callerNumber) return { duplicate: false, window: null };
+
+    // A closed window may still be waiting for its digest to go out; it takes no more calls
+    const existing = throttle.windows.find(window =>
+        window.key === `dedupe:${webhookName}:${callerNumber}` && Date.parse(window.closesAt) > now);
+    if (!existing) return { duplicate: false, window: null };
+    existing.count++;
+    existing.lastAt = new Date(now).toISOString();
+    return { duplicate: true, window: existing };
+}
+
+// Open a dedupe window for an alert that was sent or queued, so repeats are collapsed into it.
+// A failed alert opens none, so the caller can try again.
+function openDedupeWindow(webhookName, webhook, callerNumber, recipients, now = Date.now()) {
+    const windowMinutes = webhook.dedupe?.windowMinutes;
+    if (!windowMinutes || !callerNumber) return null;
+
+    const window = {
+        key: `dedupe:${webhookName}:${callerNumber}`,
+        type: 'dedupe',
+        webhookName,
+        callerNumber,
+        openedAt: new Date(now).toISOString(),
+        closesAt: new Date(now + windowMinutes * 60 * 1000).toISOString(),
+        count: 0,
+        callers: [],
+        recipients
+    };
+    throttle.windows.push(window);
+    return window;
+}
+
+// Split SMS recipients into those within the webhook's rate limits and those held back
+function applyRateLimits(webhookName, webhook, recipients, now = Date.now()) {
+    const limits = webhook.rateLimit || {};
+    const phones = parsePhoneNumbers(recipients);
+    const sentWithin = (ms, match) => throttle.sends.filter(send => now - Date.parse(send.timestamp) < ms && match(send)).length;
+    const fromWebhook = send => send.webhookName === webhookName;
+
+    if (limits.perMinute && sentWithin(60 * 1000, fromWebhook) >= limits.perMinute) {
+        return { allowed: [], held: phones, reason: `More than ${limits.perMinute} SMS a minute`, windowMs: 60 * 1000 };
+    }
+    if (limits.perHour && sentWithin(60 * 60 * 1000, fromWebhook) >= limits.perHour) {
+        return { allowed: [], held: phones, reason: `More than ${limits.perHour} SMS an hour`, windowMs: 60 * 60 * 1000 };
+    }
+
+    const allowed = [];
+    const held = [];
+    for (const phone of phones) {
+        const toPhone = send => send.recipients.some(recipient => samePhone(recipient, phone));
+        if (limits.perRecipientPerHour && sentWithin(60 * 60 * 1000, toPhone) >= limits.perRecipientPerHour) {
+            held.push(phone);
+        } else {
+            allowed.push(phone);
+        }
+    }
+    return {
+        allowed,
+        held,
+        reason: held.length ? `More than ${limits.perRecipientPerHour} SMS an hour to a recipient` : null,
+        windowMs: 60 * 60 * 1000
+    };
+}
+
+// Remember an SMS send for rate limiting, forgetting anything over an hour old
+function recordSmsSend(webhookName, recipients, now = Date.now()) {
+    throttle.sends = throttle.sends.filter(send => now - Date.parse(send.timestamp) < 60 * 60 * 1000);
+    throttle.sends.push({ webhookName, recipients, timestamp: new Date(now).toISOString() });
+}
+
+// Add rate-limited recipients to the webhook's digest window
+function holdForDigest(webhookName, phones, callerNumber, windowMs, now = Date.now()) {
+    const key = `rate:${webhookName}`;
+    let window = throttle.windows.find(entry => entry.key === key && Date.parse(entry.closesAt) > now);
+    if (!window) {
+        window = {
+            key,
+            type: 'rate',
+            webhookName,
+            openedAt: new Date(now).toISOString(),
+            closesAt: new Date(now + windowMs).toISOString(),
+            count: 0,
+            callers: [],
+            recipients: []
+        };
+        throttle.windows.push(window);
+    }
+
+    window.count++;
+    if (callerNumber && !window.callers.includes(callerNumber)) window.callers.push(callerNumber);
+    for (const phone of phones) {
+        if (!window.recipients.some(recipient => samePhone(recipient, phone))) window.recipients.push(phone);
+    }
+}
+
+// The summary SMS for a closed window
+function getDigestMessage(window) {
+    const timeSettings = getTimeSettings(notificationConfigs[window.webhookName]);
+    const since = formatDate(new Date(window.openedAt), 'h:mm A', timeSettings);
+    const plural = window.count === 1 ? '' : 's';
+
+    if (window.type === 'dedupe') {
+        return `${window.webhookName}: ${window.count} more call${plural} from ${window.callerNumber} since ${since}`;
+    }
+
+    const callers = window.callers.slice(0, MAX_DIGEST_CALLERS).join(', ');
+    const more = window.callers.length > MAX_DIGEST_CALLERS ? ` and ${window.callers.length - MAX_DIGEST_CALLERS} more` : '';
+    return `${window.webhookName}: ${window.count} alert${plural} held back by the rate limit since ${since}` +
+        (callers ? `. Callers: ${callers}${more}` : '');
+}
+
+// Send digests for every window that has closed with held-back alerts
+let throttleRunning = false;
+
+async function processThrottleWindows() {
+    if (throttleRunning) return;
+    throttleRunning = true;
+
+    try {
+        const now = Date.now();
+        const closed = throttle.windows.filter(window => Date.parse(window.closesAt) <= now);
+
+        for (const window of closed) {
+            if (window.type === 'quiet') {
+                await sendQuietHoursWindow(window);
+                console.log(`Sent ${window.count} text(s) held for quiet hours to ${window.phone}`);
+            } else if (!(await sendWindowDigest(window))) {
+                await saveThrottle(throttle);
+                continue;
+            }
+
+            // Removed only once its digest is out, so a crash or failed send doesn't lose the summary
+            throttle.windows = throttle.windows.filter(entry => entry !== window);
+            await saveThrottle(throttle);
+        }
+    } catch (error) {
+        console.error('Error processing throttle windows:', error);
+    } finally {
+        throttleRunning = false;
+    }
+}
+
+// Send the summary of what a dedupe or rate-limit window held back
+// Returns false if it failed and the window should be tried again later
+async function sendWindowDigest(window) {
+    const recipients = filterSmsRecipients(window.recipients.join(','), window.webhookName);
+    if (window.count === 0 || !recipients) return true;
+
+    const message = getDigestMessage(window);
+    const context = { webhookName: window.webhookName, payload: { digest: window.type, count: window.count }, message };
+    const result = await trackDelivery(context, 'sms', parsePhoneNumbers(recipients),
+        () => sendSMS(message, recipients, getSmsOptions(window.webhookName)), { retry: true });
+    if (result.success) recordSmsSend(window.webhookName, parsePhoneNumbers(recipients));
+    if (result.success || result.queued || result.budgetExceeded) {
+        console.log(`Sent ${window.type} digest for ${window.webhookName} (${window.count} held)`);
+        return true;
+    }
+
+    window.attempts = (window.attempts || 0) + 1;
+    if (window.attempts >= RETRY_MAX_ATTEMPTS) {
+        console.error(`Gave up on the ${window.type} digest for ${window.webhookName} after ${window.attempts} attempts`);
+        return true;
+    }
+    window.closesAt = new Date(Date.now() + getRetryDelay(window.attempts)).toISOString();
+    return false;
+}
+
+// Digest mode
+//   webhook.digest: { interval: '15m' | 'hourly' | 'daily', time: 'HH:mm' (daily only), template }
+// Triggered events are collected instead of sent, and one summary goes out on the interval.
+// The digest template sees {count}, {webhook}, {description}, {since}, {until}, {callers},
+// {lines} (one "time caller" line per event), {first.*} and {last.*} (the first and last event's fields)
+
+// Returns an error message for invalid digest settings, or null
+function validateDigestSettings(webhook) {
+    const digest = webhook.digest;
+    if (!digest) return null;
+    if (!Object.keys(DIGEST_INTERVALS).includes(digest.interval)) return 'Digest interval must be 15m, hourly or daily';
+    if (digest.interval === 'daily' && digest.time && !TIME_OF_DAY.test(digest.time)) return 'Invalid digest time, use HH:mm';
+    if (webhook.escalation) return 'A webhook cannot use both digest mode and an escalation policy';
+    // A digest sums up many events, so there is no single rule to route it by
+    if (Array.isArray(webhook.rules) && webhook.rules.length) return 'A webhook cannot use both digest mode and routing rules';
+
+    const templateError = digest.template && validateTemplate(digest.template);
+    return templateError ? `Invalid digest template: ${templateError}` : null;
+}
+
+// When the next digest is due after the given moment
+function getNextDigestTime(digest, timeSettings, from = new Date()) {
+    const minutes = DIGEST_INTERVALS[digest.interval];
+    if (minutes) {
+        const step = minutes * 60 * 1000;
+        return new Date(Math.floor(from.getTime() / step) * step + step);
+    }
+
+    // Daily: the digest time today in the webhook's timezone, or tomorrow if that has passed
+    const time = digest.time || DEFAULT_DIGEST_TIME;
+    const today = zonedTimeToDate(getDateKey(getZonedParts(from, timeSettings.timezone)), time, timeSettings.timezone);
+    if (today > from) return today;
+    const tomorrow = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    return zonedTimeToDate(getDateKey(getZonedParts(tomorrow, timeSettings.timezone)), time, timeSettings.timezone);
+}
+
+// Add a triggered event to the webhook's pending digest
+async function addToDigest(webhookName, webhook, data) {
+    const now = new Date();
+    if (!pendingDigests[webhookName]) {
+        pendingDigests[webhookName] = {
+            startedAt: now.toISOString(),
+            nextSendAt: getNextDigestTime(webhook.digest, getTimeSettings(webhook), now).toISOString(),
+            events: []
+        };
+    }
+
+    const { body, schedule, oncall, ...fields } = data;
+    pendingDigests[webhookName].events.push({ timestamp: now.toISOString(), ...fields });
+    await saveDigests(pendingDigests);
+    return pendingDigests[webhookName];
+}
+
+// Webhooks whose digest is being sent right now
+const digestsSending = new Set();
+
+// Render and send a webhook's pending digest, then clear the events it carried.
+// The events stay saved until then, so a crash mid-send doesn't lose them.
+// Returns null if the digest is already being sent.
+async function sendDigest(webhookName) {
+    if (digestsSending.has(webhookName)) return null;
+    const pending = pendingDigests[webhookName];
+    const webhook = notificationConfigs[webhookName];
+    if (!pending || pending.events.length === 0 || !webhook) {
+        delete pendingDigests[webhookName];
+        await saveDigests(pendingDigests);
+        return {};
+    }
+
+    digestsSending.add(webhookName);
+    try {
+        return await sendPendingDigest(webhookName, webhook, pending);
+    } finally {
+        digestsSending.delete(webhookName);
+    }
+}
+
+async function sendPendingDigest(webhookName, webhook, pending) {
+    const timeSettings = getTimeSettings(webhook);
+    const events = pending.events.slice();
+    const callers = [...new Set(events.map(event => event.callerNumber).filter(caller => caller))];
+    const lines = events.map(event => {
+        const caller = event.callerName && event.callerName !== event.callerNumber
+            ? `${event.callerName} (${event.callerNumber})`
+            : event.callerNumber || 'Unknown';
+        return `${formatDate(new Date(event.timestamp), 'h:mm A', timeSettings)} ${caller}`;
+    });
+    const message = formatMessage(webhook.digest?.template || DEFAULT_DIGEST_TEMPLATE, {
+        count: events.length,
+        webhook: webhookName,
+        description: webhook.description,
+        since: pending.startedAt,
+        until: new Date().toISOString(),
+        callers: callers.join(', '),
+        lines: lines.join('\n'),
+        first: events[0],
+        last: events[events.length - 1],
+        events
+    }, timeSettings);
+
+    const resolved = resolveRecipients(resolveScheduleRoute(webhook));
+    const recipients = filterSmsRecipients(resolved.recipients, webhookName);
+    const email = resolved.email;
+    const title = `${APP_NAME}: ${webhook.description || webhookName} digest`;
+    const context = { webhookName, payload: { digest: true, count: events.length }, message };
+
+    const channels = await sendToChannels(context, { ...webhook, recipients, email }, {
+        webhookName,
+        title,
+        message,
+        data: {},
+        payload: context.payload,
+        timeSettings,
+        timestamp: new Date()
+    });
+    if (channels.sms?.success) {
+        recordSmsSend(webhookName, parsePhoneNumbers(recipients));
+        await saveThrottle(throttle);
+    }
+
+    // Nothing went out, so the events roll into the next digest
+    const results = Object.values(channels);
+    if (results.length && !results.some(result => result.success || result.queued || result.budgetExceeded)) {
+        pending.nextSendAt = getNextDigestTime(webhook.digest, timeSettings).toISOString();
+        await saveDigests(pendingDigests);
+        console.error(`Digest for ${webhookName} failed on every channel; trying again at ${pending.nextSendAt}`);
+        return channels;
+    }
+
+    // Events that came in during the send wait for the next digest
+    pending.events.splice(0, events.length);
+    if (pending.events.length === 0) {
+        delete pendingDigests[webhookName];
+    } else {
+        pending.startedAt = pending.events[0].timestamp;
+        pending.nextSendAt = getNextDigestTime(webhook.digest, timeSettings).toISOString();
+    }
+    await saveDigests(pendingDigests);
+
+    await addToChangelog('digest_sent', webhookName, { count: events.length });
+    console.log(`Digest for ${webhookName} sent with ${events.length} events`);
+    return channels;
+}
+
+// Send every digest whose time has come
+let digestsRunning = false;
+
+async function processDigests() {
+    if (digestsRunning) return;
+    digestsRunning = true;
+
+    try {
+        const now = Date.now();
+        for (const [webhookName, pending] of Object.entries(pendingDigests)) {
+            if (Date.parse(pending.nextSendAt) <= now) {
+                await sendDigest(webhookName);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing digests:', error);
+    } finally {
+        digestsRunning = false;
+    }
+}
+
+// Map an inbound payload to the fields templates use
+function buildTemplateData(payload, query = {}) {
+    const data = {
+        callerNumber: payload.callerNumber || payload.caller || payload.from,
+        callerName: payload.callerName || payload.name,
+        extension: payload.extension || payload.extensionNumber || payload.to,
+        customMessage: payload.message || query.message,
+        queueName: payload.queueName,
+        waitTime: payload.waitTime,
+        ...payload,
+        body: payload
+    };
+
+    // Withheld caller IDs and internal extensions are left as sent
+    const caller = normalizePhoneNumber(data.callerNumber);
+    if (caller.number) data.callerNumber = caller.number;
+    return data;
+}
+
+// Contacts directory
+//   [{ id, phone, name, company, vip, notes, updatedAt }]
+// The caller's entry is added to template data as {contact.name}, {contact.company} and so on,
+// and its name fills in {callerName} when the payload has none
+
+// Returns an error message for an invalid contact, or null
+function validateContact(contact) {
+    if (!contact || typeof contact !== 'object') return 'Contact is required';
+    const phone = normalizePhoneNumber(contact.phone);
+    if (phone.error) return `Invalid phone number ${contact.phone || ''} (${phone.error})`;
+    if (!contact.name || !String(contact.name).trim()) return 'Name is required';
+    return null;
+}
+
+// Keep only the known fields, trimmed
+function cleanContact(contact) {
+    return {
+        phone: normalizePhoneNumber(contact.phone).number,
+        name: String(contact.name).trim(),
+        company: String(contact.company || '').trim(),
+        vip: contact.vip === true || /^(true|yes|y|1|vip)$/i.test(String(contact.vip || '').trim()),
+        notes: String(contact.notes || '').trim()
+    };
+}
+
+function findContact(number) {
+    if (isEmpty(number)) return null;
+    const phone = normalizePhoneNumber(number).number || number;
+    return contacts.find(contact => samePhone(contact.phone, phone)) || null;
+}
+
+// Add the caller's directory entry to template data
+function enrichWithContact(data) {
+    const contact = findContact(data.callerNumber);
+    data.contact = contact && {
+        name: contact.name,
+        company: contact.company,
+        vip: contact.vip,
+        notes: contact.notes
+    };
+    if (contact && isEmpty(data.callerName)) data.callerName = contact.name;
+    return data;
+}
+
+// Split CSV text into rows of fields; handles quoted fields with commas, quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Add or update contacts from CSV with a header row (phone, name, company, vip, notes)
+// Rows are matched to existing contacts by phone number
+function importContactsCsv(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) return { error: 'CSV is empty' };
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('phone') || !columns.includes('name')) {
+        return { error: 'CSV needs a header row with phone and name columns' };
+    }
+
+    const result = { created: 0, updated: 0, skipped: [] };
+    rows.forEach((fields, index) => {
+        const entry = {};
+        columns.forEach((column, position) => {
+            if (CONTACT_FIELDS.includes(column)) entry[column] = fields[position];
+        });
+
+        const contactError = validateContact(entry);
+        if (contactError) {
+            result.skipped.push({ line: index + 2, error: contactError });
+            return;
+        }
+
+        const contact = cleanContact(entry);
+        const existing = findContact(contact.phone);
+        if (existing) {
+            Object.assign(existing, contact, { updatedAt: new Date().toISOString() });
+            result.updated++;
+        } else {
+            contacts.push({ id: crypto.randomUUID(), ...contact, updatedAt: new Date().toISOString() });
+            result.created++;
+        }
+    });
+    return result;
+}
+
+// GSM 03.38 character sets; extended characters take two septets
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+// Work out encoding, length and segment count for an SMS body
+function analyzeSms(text) {
+    const chars = Array.from(text);
+    const isGsm = chars.every(char => GSM7_BASIC.includes(char) || GSM7_EXTENDED.includes(char));
+
+    if (isGsm) {
+        const units = chars.reduce((total, char) => total + (GSM7_EXTENDED.includes(char) ? 2 : 1), 0);
+        return {
+            encoding: 'GSM-7',
+            characters: chars.length,
+            units,
+            segments: units === 0 ? 0 : units <= 160 ? 1 : Math.ceil(units / 153)
+        };
+    }
+
+    // UCS-2 counts UTF-16 code units, so emoji take two
+    const units = text.length;
+    return {
+        encoding: 'UCS-2',
+        characters: chars.length,
+        units,
+        segments: units <= 70 ? 1 : Math.ceil(units / 67)
+    };
+}
+
+// Per-webhook SMS length handling, webhook.smsLength:
+//   { maxLength, truncateFields: ['customMessage', ...], split, substitute }
+// One curly quote or emoji switches a whole message to UCS-2 (70 characters a segment
+// instead of 160), so substitute swaps them for plain GSM-7 equivalents first.
+// With maxLength, truncateFields are shortened in order until the message fits, then the end is cut.
+// split sends a message longer than one segment as single-segment texts marked (1/3), (2/3)...
+const SMS_MAX_LENGTH = CHANNEL_PROVIDERS.sms.capabilities.maxLength;
+const SMS_PART_MARKER_LENGTH = '(9/9) '.length;
+
+const GSM7_SUBSTITUTIONS = {
+    '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'", '`': "'", '´': "'",
+    '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"', '«': '"', '»': '"',
+    '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-', '−': '-',
+    '…': '...', '•': '*', '·': '*', '™': 'TM', '©': '(C)', '®': '(R)',
+    '\u00A0': ' ', '\u2002': ' ', '\u2003': ' ', '\u2009': ' ', '\u202F': ' ', '\u3000': ' ',
+    '\u200B': '', '\u200C': '', '\u200D': '', '\uFE0F': '', '\uFEFF': '',
+    '\u{1F642}': ':)', '\u{1F60A}': ':)', '\u{1F600}': ':D', '\u{1F603}': ':D', '\u{1F604}': ':D',
+    '\u{1F641}': ':(', '☹': ':(', '\u{1F622}': ":'(", '\u{1F609}': ';)', '❤': '<3',
+    '\u{1F44D}': '+1', '\u{1F44E}': '-1', '✅': '[OK]', '✔': '[OK]', '❌': '[X]',
+    '⚠': '[!]', '\u{1F6A8}': '[!]', '☎': '[call]', '\u{1F4DE}': '[call]'
+};
+
+function isGsmChar(char) {
+    return GSM7_BASIC.includes(char) || GSM7_EXTENDED.includes(char);
+}
+
+// Replace characters that force UCS-2 with GSM-7 lookalikes; other emoji are dropped and
+// accented letters lose their accents. Anything else (e.g. non-Latin scripts) is left alone.
+function substituteGsm(text) {
+    return Array.from(text).map(char => {
+        if (isGsmChar(char)) return char;
+        if (GSM7_SUBSTITUTIONS[char] !== undefined) return GSM7_SUBSTITUTIONS[char];
+        if (/\p{Extended_Pictographic}/u.test(char)) return '';
+        const plain = char.normalize('NFD').replace(/\p{M}/gu, '');
+        return plain && Array.from(plain).every(isGsmChar) ? plain : char;
+    }).join('');
+}
+
+function getSmsOptions(webhookName) {
+    return notificationConfigs[webhookName]?.smsLength || {};
+}
+
+// Cut text to fit maxUnits, ending with "..."
+function cutSms(text, maxUnits) {
+    const chars = Array.from(text);
+    let used = 0;
+    let end = 0;
+    while (end < chars.length && used + analyzeSms(chars[end]).units <= maxUnits - 3) {
+        used += analyzeSms(chars[end]).units;
+        end++;
+    }
+    return chars.slice(0, end).join('').trimEnd() + '...';
+}
+
+// Split text into single-segment parts at word boundaries, each prefixed with (n/total)
+function splitSms(text) {
+    const capacity = analyzeSms(text).encoding === 'GSM-7' ? 160 : 70;
+    let count = Math.ceil(analyzeSms(text).units / (capacity - SMS_PART_MARKER_LENGTH));
+
+    // The marker grows with the part count, so repeat until the count settles
+    for (;;) {
+        const room = capacity - `(${count}/${count}) `.length;
+        const parts = [];
+        let rest = text.trim();
+        while (rest) {
+            if (analyzeSms(rest).units <= room) {
+                parts.push(rest);
+                break;
+            }
+            const chars = Array.from(rest);
+            let used = 0;
+            let end = 0;
+            while (used + analyzeSms(chars[end]).units <= room) {
+                used += analyzeSms(chars[end]).units;
+                end++;
+            }
+            const prefix = chars.slice(0, end).join('');
+            const space = prefix.search(/\s\S*$/);
+            const cut = space > room / 2 ? space : prefix.length;
+            parts.push(rest.slice(0, cut).trimEnd());
+            rest = rest.slice(cut).trimStart();
+        }
+        if (parts.length <= count) {
+            return parts.map((part, index) => `(${index + 1}/${parts.length}) ${part}`);
+        }
+        count = parts.length;
+    }
+}
+
+// Shallow-copy context with the value at path replaced
+function setPath(context, path, value) {
+    const [key, ...rest] = path;
+    return { ...context, [key]: rest.length ? setPath(context?.[key], rest, value) : value };
+}
+
+// Render the SMS text for a webhook, shortening its truncateFields until the message fits maxLength
+function renderSms(template, data, timeSettings, options = {}) {
+    let message = formatMessage(template, data, timeSettings);
+    if (!options.maxLength) return message;
+
+    const measure = text => analyzeSms(options.substitute ? substituteGsm(text) : text).units;
+    let context = data;
+    for (const field of options.truncateFields || []) {
+        const path = field.split('.');
+        let value = resolvePath(context, path);
+        // A field is cut down to '...' at most; emptying it would bring in the template's fallback
+        while (!isEmpty(value) && value !== '...' && measure(message) > options.maxLength) {
+            const chars = Array.from(String(value));
+            const keep = chars.length - (measure(message) - options.maxLength) - 3;
+            value = (keep > 0 ? chars.slice(0, keep).join('').trimEnd() : '') + '...';
+            context = setPath(context, path, value);
+            message = formatMessage(template, context, timeSettings);
+        }
+    }
+    return message;
+}
+
+// The texts actually sent for a message: substituted, cut to maxLength and split as configured
+// Returns { parts, segments, encoding, substituted, cut }
+function prepareSms(message, options = {}) {
+    let text = options.substitute ? substituteGsm(message) : message;
+    const substituted = text !== message;
+    const maxLength = options.maxLength || SMS_MAX_LENGTH;
+    const cut = analyzeSms(text).units > maxLength;
+    if (cut) text = cutSms(text, maxLength);
+
+    const parts = options.split && analyzeSms(text).segments > 1 ? splitSms(text) : [text];
+    return { ...describeSmsParts(parts), substituted, cut };
+}
+
+// Segment count and encoding for a list of texts
+function describeSmsParts(parts) {
+    const analyses = parts.map(analyzeSms);
+    return {
+        parts,
+        segments: analyses.reduce((total, analysis) => total + analysis.segments, 0),
+        encoding: analyses.some(analysis => analysis.encoding === 'UCS-2') ? 'UCS-2' : 'GSM-7'
+    };
+}
+
+function validateSmsLength(webhook) {
+    const options = webhook.smsLength;
+    if (options === undefined || options === null) return null;
+    if (typeof options !== 'object' || Array.isArray(options)) return 'SMS length settings must be an object';
+    if (options.maxLength !== undefined && options.maxLength !== null &&
+        (!Number.isInteger(options.maxLength) || options.maxLength < 20 || options.maxLength > SMS_MAX_LENGTH)) {
+        return `SMS max length must be a whole number from 20 to ${SMS_MAX_LENGTH}`;
+    }
+    const fields = options.truncateFields || [];
+    if (!Array.isArray(fields) || fields.some(field => typeof field !== 'string' || !/^[\w.]+$/.test(field))) {
+        return 'Truncate fields must be a list of template field names';
+    }
+    if (fields.length && !options.maxLength) {
+        return 'Truncate fields need an SMS max length';
+    }
+    return null;
+}
+
+// SMS usage is kept as daily totals in the default timezone, so it outlives the delivery log:
+//   usage.days['YYYY-MM-DD'] = { [webhookName]: { messages, segments, recipients: { [phone]: { messages, segments } } } }
+// A split message counts each text it was sent as; segments are what carriers bill.
+//
+// Monthly budgets, webhook.budget: { monthlySegments, warnPercent }
+// Past warnPercent (default 80) a warning goes to the changelog. Once the budget is used,
+// non-urgent alerts skip SMS until the month ends; urgent ones are always sent.
+
+function getUsageDateKey(date = new Date()) {
+    return formatDate(date, 'YYYY-MM-DD', getTimeSettings());
+}
+
+// Count a successful SMS send; response is what sendSMS returned
+async function recordUsage(webhookName, recipients, response, now = new Date()) {
+    const failed = (response?.failed || []).map(entry => entry.to);
+    const sent = recipients.filter(phone => !failed.includes(phone));
+    if (sent.length === 0) return;
+
+    const texts = response?.parts ? response.parts.length : 1;
+    const segments = response?.segments || texts;
+    const dateKey = getUsageDateKey(now);
+    const day = usage.days[dateKey] || (usage.days[dateKey] = {});
+
+    const totals = day[webhookName] || (day[webhookName] = { messages: 0, segments: 0, recipients: {} });
+    totals.messages += texts * sent.length;
+    totals.segments += segments * sent.length;
+    for (const phone of sent) {
+        const recipient = totals.recipients[phone] || (totals.recipients[phone] = { messages: 0, segments: 0 });
+        recipient.messages += texts;
+        recipient.segments += segments;
+    }
+
+    const cutoff = getUsageDateKey(new Date(now.getTime() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const key of Object.keys(usage.days)) {
+        if (key < cutoff) delete usage.days[key];
+    }
+
+    await noteBudgetLevel(webhookName, now);
+    await saveUsage(usage);
+}
+
+// Segments a webhook has sent so far in the month of the given date
+function getMonthSegments(webhookName, now = new Date()) {
+    const month = getUsageDateKey(now).slice(0, 7);
+    return Object.entries(usage.days)
+        .filter(([key]) => key.startsWith(month))
+        .reduce((total, [, day]) => total + (day[webhookName]?.segments || 0), 0);
+}
+
+// { month, limit, used, percent, status: 'ok' | 'warning' | 'exceeded' }, or null without a budget
+function getBudgetStatus(webhookName, webhook, now = new Date()) {
+    const limit = webhook?.budget?.monthlySegments;
+    if (!limit) return null;
+
+    const used = getMonthSegments(webhookName, now);
+    const percent = Math.round(used / limit * 100);
+    const warnPercent = webhook.budget.warnPercent || DEFAULT_BUDGET_WARN_PERCENT;
+    const status = used >= limit ? 'exceeded' : percent >= warnPercent ? 'warning' : 'ok';
+    return { month: getUsageDateKey(now).slice(0, 7), limit, used, percent, status };
+}
+
+// Why a text can't go out under the webhook's monthly budget, or null if it can.
+// Once the budget is used only urgent alerts are texted.
+function getBudgetBlock(webhookName, webhook, data) {
+    const budget = getBudgetStatus(webhookName, webhook);
+    if (budget?.status !== 'exceeded' || isUrgentAlert(webhook, data || {})) return null;
+    return `Monthly SMS budget of ${budget.limit} segments used`;
+}
+
+// Log the first time each month a webhook passes its warning level and uses its budget
+async function noteBudgetLevel(webhookName, now = new Date()) {
+    const budget = getBudgetStatus(webhookName, notificationConfigs[webhookName], now);
+    if (!budget || budget.status === 'ok') return;
+
+    const previous = usage.budgetAlerts[webhookName];
+    const alreadyNoted = previous && previous.month === budget.month &&
+        (previous.status === budget.status || previous.status === 'exceeded');
+    if (alreadyNoted) return;
+
+    usage.budgetAlerts[webhookName] = { month: budget.month, status: budget.status };
+    const action = budget.status === 'exceeded' ? 'budget_exceeded' : 'budget_warning';
+    console.warn(`${webhookName} has used ${budget.used} of its ${budget.limit} SMS segment budget for ${budget.month}`);
+    await addToChangelog(action, webhookName, { month: budget.month, used: budget.used, limit: budget.limit });
+}
+
+function validateBudget(webhook) {
+    const budget = webhook.budget;
+    if (budget === undefined || budget === null) return null;
+    if (typeof budget !== 'object' || Array.isArray(budget)) return 'Budget must be an object';
+    if (!Number.isInteger(budget.monthlySegments) || budget.monthlySegments < 1) {
+        return 'Monthly SMS budget must be a whole number of segments';
+    }
+    if (budget.warnPercent !== undefined && budget.warnPercent !== null &&
+        (!Number.isInteger(budget.warnPercent) || budget.warnPercent < 1 || budget.warnPercent > 100)) {
+        return 'Budget warning level must be a whole number from 1 to 100 (percent)';
+    }
+    return null;
+}
+
+// Every YYYY-MM-DD key from one date to another, inclusive
+function getDateKeys(from, to) {
+    const keys = [];
+    for (let date = new Date(`${from}T00:00:00Z`); ; date.setUTCDate(date.getUTCDate() + 1)) {
+        const key = date.toISOString().slice(0, 10);
+        if (key > to) return keys;
+        keys.push(key);
+    }
+}
+
+function getSmsCost(segments) {
+    return Math.round(segments * (settings.smsCostPerSegment || 0) * 10000) / 10000;
+}
+
+// Add up daily usage between two date keys, optionally for one webhook
+function aggregateUsage(from, to, webhookName) {
+    const totals = { messages: 0, segments: 0, recipients: new Set() };
+    const days = [];
+    const webhooks = {};
+    const recipients = {};
+
+    for (const dateKey of getDateKeys(from, to)) {
+        const dayTotals = { date: dateKey, messages: 0, segments: 0, recipients: new Set() };
+
+        for (const [name, entry] of Object.entries(usage.days[dateKey] || {})) {
+            if (webhookName && name !== webhookName) continue;
+            const webhook = webhooks[name] || (webhooks[name] = { messages: 0, segments: 0, recipients: new Set() });
+            for (const target of [webhook, dayTotals, totals]) {
+                target.messages += entry.messages;
+                target.segments += entry.segments;
+                Object.keys(entry.recipients).forEach(phone => target.recipients.add(phone));
+            }
+            for (const [phone, counts] of Object.entries(entry.recipients)) {
+                const recipient = recipients[phone] || (recipients[phone] = { messages: 0, segments: 0 });
+                recipient.messages += counts.messages;
+                recipient.segments += counts.segments;
+            }
+        }
+
+        days.push({ ...dayTotals, recipients: dayTotals.recipients.size });
+    }
+
+    return { totals: { ...totals, recipients: totals.recipients.size }, days, webhooks, recipients };
+}
+
+// Generate a webhook shared secret
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Hide webhook secrets and channel credentials from viewers and the changelog
+function redactWebhook(webhook) {
+    if (!webhook) return webhook;
+    const { secret, previousSecret, ...rest } = webhook;
+    const redacted = secret || previousSecret ? { ...rest, secret: secret ? '********' : undefined } : { ...webhook };
+
+    for (const { provider, settings } of getChannelTargets(webhook)) {
+        if (provider.redact) redacted[provider.key] = provider.redact(settings);
+    }
+    return redacted;
+}
+
+// Returns an error message for invalid secret settings, or null
+// signatureTolerance is how many seconds an HMAC timestamp may be off (default DEFAULT_SIGNATURE_TOLERANCE)
+function validateSecretSettings(webhook) {
+    if (webhook.secretMode && !SECRET_MODES.includes(webhook.secretMode)) return 'Invalid secret mode';
+    if (webhook.secret !== undefined && webhook.secret !== null && typeof webhook.secret !== 'string') {
+        return 'Secret must be a string';
+    }
+    const tolerance = webhook.signatureTolerance;
+    if (tolerance !== undefined && tolerance !== null && (!Number.isInteger(tolerance) || tolerance < 1)) {
+        return 'Signature tolerance must be a whole number of seconds';
+    }
+    return null;
+}
+
+// Fill in a secret when a webhook's secretMode needs one
+function applySecretDefaults(webhook) {
+    if (webhook.secretMode && webhook.secretMode !== 'none' && !webhook.secret) {
+        webhook.secret = generateSecret();
+    }
+    return webhook;
+}
+
+// Signatures already accepted, kept until they fall outside the tolerance window
+const seenSignatures = new Map();
+
+// Check an inbound request against the webhook's secret, returns an error message or null
+function verifyInboundRequest(webhook, req) {
+    const mode = webhook.secretMode || 'none';
+    if (mode === 'none') return null;
+    // Fail closed: without a secret there is nothing to check against
+    if (typeof webhook.secret !== 'string' || !webhook.secret) return 'Webhook secret is not set';
+
+    // The previous secret keeps working for a grace period after rotation
+    const secrets = [webhook.secret];
+    if (typeof webhook.previousSecret === 'string' && webhook.previousSecret &&
+        new Date(webhook.previousSecretExpiresAt) > new Date()) {
+        secrets.push(webhook.previousSecret);
+    }
+
+    if (mode === 'token') {
+        const token = req.query.token;
+        return token && secrets.some(secret => safeEqual(token, secret)) ? null : 'Invalid or missing token';
+    }
+
+    if (mode === 'header') {
+        const provided = req.get('x-webhook-secret');
+        return provided && secrets.some(secret => safeEqual(provided, secret)) ? null : 'Invalid or missing X-Webhook-Secret header';
+    }
+
+    if (mode === 'hmac') {
+        const timestamp = parseInt(req.get('x-webhook-timestamp'), 10);
+        const signature = (req.get('x-webhook-signature') || '').replace(/^sha256=/, '');
+        const tolerance = Number.isInteger(webhook.signatureTolerance) && webhook.signatureTolerance > 0
+            ? webhook.signatureTolerance
+            : DEFAULT_SIGNATURE_TOLERANCE;
+
+        if (!timestamp || !signature) {
+            return 'Missing X-Webhook-Timestamp or X-Webhook-Signature header';
+        }
+        if (Math.abs(Date.now() / 1000 - timestamp) > tolerance) {
+            return 'Signature timestamp outside tolerance';
+        }
+
+        const signedPayload = `${timestamp}.${req.rawBody ? req.rawBody.toString('utf8') : ''}`;
+        const valid = secrets.some(secret => {
+            const expected = crypto.createHmac('sha256', secret).update(signedPayload).digest('hex');
+            return safeEqual(signature, expected);
+        });
+        if (!valid) {
+            return 'Invalid signature';
+        }
+
+        const now = Date.now();
+        for (const [seen, expiresAt] of seenSignatures) {
+            if (expiresAt < now) seenSignatures.delete(seen);
+        }
+        if (seenSignatures.has(signature)) {
+            return 'Signature already used';
+        }
+        seenSignatures.set(signature, now + tolerance * 1000);
+        return null;
+    }
+
+    return 'Unknown secret mode';
+}
+
+// Hash a password with scrypt, stored as scrypt$salt$hash
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (error, key) => error ? reject(error) : resolve(key));
+    });
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, expected.length, (error, key) => error ? reject(error) : resolve(key));
+    });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// API tokens are only stored as a SHA-256 hash
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD, or a random password
+async function ensureAdminUser() {
+    if (Object.keys(users).length > 0) return;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+        password = crypto.randomBytes(12).toString('base64url');
+        console.log(`No users found - created "${username}" with password: ${password}`);
+        console.log('Change it with POST /api/me/password, or set ADMIN_PASSWORD before first start');
+    }
+
+    users[username] = {
+        passwordHash: await hashPassword(password),
+        role: 'admin',
+        createdAt: new Date().toISOString()
+    };
+    await saveUsers(users);
+}
+
+// Active manager sessions (cleared on restart)
+const sessions = new Map();
+
+// Failed login attempts per username. Behind Render's proxy every client shares an IP,
+// so keying on the IP would let one person lock everyone out.
+const loginFailures = new Map();
+
+function parseCookies(req) {
+    const cookies = {};
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return cookies;
+}
+
+// Work out who is calling from the session cookie or a Bearer API token
+function authenticate(req, res, next) {
+    req.user = null;
+
+    const sessionId = parseCookies(req)[SESSION_COOKIE];
+    const session = sessionId && sessions.get(sessionId);
+    if (session) {
+        if (session.expiresAt > Date.now() && users[session.username]) {
+            req.user = { username: session.username, role: users[session.username].role, via: 'session' };
+        } else {
+            sessions.delete(sessionId);
+        }
+    }
+
+    const header = req.get('authorization') || '';
+    if (!req.user && header.startsWith('Bearer ')) {
+        const tokenHash = hashToken(header.slice(7).trim());
+        const token = apiTokens.find(entry => entry.tokenHash === tokenHash);
+        if (token) {
+            token.lastUsedAt = new Date().toISOString();
+            req.user = { username: `token:${token.name}`, role: token.role, via: 'token' };
+        }
+    }
+
+    next();
+}
+
+// Require at least the given role (viewer < editor < admin)
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+            return res.status(403).json({ error: `Requires ${role} role` });
+        }
+        next();
+    };
+}
+
+app.use(authenticate);
+
+// Login page
+app.get('/login', (req, res) => {
+    res.send(getLoginHTML());
+});
+
+app.post('/api/login', async (req, res) => {
+    const { username, password } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+        const failures = loginFailures.get(username);
+        if (failures && failures.count >= LOGIN_MAX_FAILURES && failures.lockedUntil > Date.now()) {
+            return res.status(429).json({ error: 'Too many failed logins, try again later' });
+        }
+
+        const user = Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+        if (!user || !password || !(await verifyPassword(password, user.passwordHash))) {
+            // Only real accounts are tracked, so made-up usernames can't fill the map
+            if (user) {
+                const count = (failures && failures.lockedUntil > Date.now() ? failures.count : 0) + 1;
+                loginFailures.set(username, { count, lockedUntil: Date.now() + LOGIN_LOCKOUT_MS });
+            }
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        loginFailures.delete(username);
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        sessions.set(sessionId, { username, expiresAt: Date.now() + SESSION_TTL_MS });
+
+        res.cookie(SESSION_COOKIE, sessionId, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure || req.get('x-forwarded-proto') === 'https',
+            maxAge: SESSION_TTL_MS
+        });
+        res.json({ success: true, username, role: user.role });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+app.post('/api/logout', (req, res) => {
+    sessions.delete(parseCookies(req)[SESSION_COOKIE]);
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true });
+});
+
+app.get('/api/me', requireRole('viewer'), (req, res) => {
+    res.json(req.user);
+});
+
+// Change your own password
+app.post('/api/me/password', requireRole('viewer'), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const user = users[req.user.username];
+
+    if (req.user.via !== 'session' || !user) {
+        return res.status(400).json({ error: 'Only logged-in users can change their password' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < 8) {
+        return res.status(400).json({ error: 'New password must be at least 8 characters' });
+    }
+    if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, user.passwordHash))) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    user.passwordHash = await hashPassword(newPassword);
+    await saveUsers(users);
+    res.json({ success: true, message: 'Password changed' });
+});
+
+// User management
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    const list = Object.entries(users).map(([username, user]) => ({
+        username,
+        role: user.role,
+        createdAt: user.createdAt
+    }));
+    res.json(list);
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    const { username, password, role } = req.body;
+
+    if (typeof username !== 'string' || !username || typeof password !== 'string' || !ROLES.includes(role)) {
+        return res.status(400).json({ error: 'username, password and a valid role are required' });
+    }
+    if (users[username]) {
+        return res.status(409).json({ error: 'User already exists' });
+    }
+    if (password.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    users[username] = {
+        passwordHash: await hashPassword(password),
+        role,
+        createdAt: new Date().toISOString()
+    };
+    await saveUsers(users);
+    await addToChangelog('user_created', 'system', { username, role });
+    res.json({ success: true, message: 'User created' });
+});
+
+app.put('/api/users/:username', requireRole('admin'), async (req, res) => {
+    const user = users[req.params.username];
+    const { password, role } = req.body;
+
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ error: 'Invalid role' });
+    }
+    if (password && (typeof password !== 'string' || password.length < 8)) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    if (role) user.role = role;
+    if (password) user.passwordHash = await hashPassword(password);
+    await saveUsers(users);
+    await addToChangelog('user_updated', 'system', { username: req.params.username, role: user.role });
+    res.json({ success: true, message: 'User updated' });
+});
+
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+    const username = req.params.username;
+
+    if (!users[username]) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    if (username === req.user.username) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    delete users[username];
+    for (const [sessionId, session] of sessions) {
+        if (session.username === username) sessions.delete(sessionId);
+    }
+    await saveUsers(users);
+    await addToChangelog('user_deleted', 'system', { username });
+    res.json({ success: true, message: 'User deleted' });
+});
+
+// API tokens for scripted access
+app.get('/api/tokens', requireRole('admin'), (req, res) => {
+    res.json(apiTokens.map(({ tokenHash, ...token }) => token));
+});
+
+app.post('/api/tokens', requireRole('admin'), async (req, res) => {
+    const { name, role } = req.body;
+
+    if (!name || !ROLES.includes(role)) {
+        return res.status(400).json({ error: 'name and a valid role are required' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const entry = {
+        id: crypto.randomUUID(),
+        name,
+        role,
+        tokenHash: hashToken(token),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+    };
+    apiTokens.push(entry);
+    await saveApiTokens(apiTokens);
+    await addToChangelog('api_token_created', 'system', { name, role });
+
+    // The raw token is only ever shown here
+    res.json({ success: true, id: entry.id, token });
+});
+
+app.delete('/api/tokens/:id', requireRole('admin'), async (req, res) => {
+    const token = apiTokens.find(entry => entry.id === req.params.id);
+
+    if (!token) {
+        return res.status(404).json({ error: 'Token not found' });
+    }
+
+    apiTokens = apiTokens.filter(entry => entry.id !== token.id);
+    await saveApiTokens(apiTokens);
+    await addToChangelog('api_token_revoked', 'system', { name: token.name });
+    res.json({ success: true, message: 'Token revoked' });
+});
+
+// Root endpoint - shows status
+app.get('/', (req, res) => {
+    const baseUrl = `https://${req.get('host')}`;
+    
+    const endpoints = Object.keys(notificationConfigs).map(key => ({
+        name: key,
+        url: `${baseUrl}/sms-whook/${key}`,
+        description: notificationConfigs[key].description,
+        recipients: parsePhoneNumbers(notificationConfigs[key].recipients).length + ' recipient(s)'
+    }));
+    
+    res.json({
+        status: 'running',
+        version: APP_VERSION,
+        message: APP_NAME,
+        manager: `${baseUrl}/manager`,
+        availableEndpoints: endpoints,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Shorter webhook URL endpoint
+app.post('/sms-whook/:type', async (req, res) => {
+    const notificationType = req.params.type;
+    const config = notificationConfigs[notificationType];
+    
+    if (!config) {
+        return res.status(404).json({
+            error: 'Unknown notification type',
+            available: Object.keys(notificationConfigs)
+        });
+    }
+    
+    const authError = verifyInboundRequest(config, req);
+    if (authError) {
+        console.warn(`${notificationType.toUpperCase()} request rejected: ${authError}`);
+        return res.status(401).json({ success: false, error: authError });
+    }
+    
+    console.log(`${notificationType.toUpperCase()} notification received`);
+    console.log('Payload:', JSON.stringify(req.body, null, 2));
+    
+    try {
+        const data = enrichWithContact(buildTemplateData(req.body, req.query));
+        const rule = matchRoutingRule(config, data);
+        const webhook = applyRoutingRule(config, rule);
+        const route = applyRuleChannels(resolveScheduleRoute(webhook), rule);
+        data.schedule = route.schedule;
+        data.rule = rule && rule.name;
+        
+        if (route.suppressed) {
+            console.log(`${notificationType.toUpperCase()} suppressed by schedule ${route.schedule.name}`);
+            await addToChangelog('webhook_suppressed', notificationType, {
+                callerNumber: data.callerNumber,
+                schedule: route.schedule.name,
+                open: route.schedule.open,
+                rule: data.rule
+            });
+            return res.status(200).json({
+                success: true,
+                type: notificationType,
+                message: 'Notification suppressed by schedule',
+                suppressed: true,
+                schedule: route.schedule,
+                rule: data.rule
+            });
+        }
+        
+        // Swap rotation, person and group references for whoever should get the alert right now
+        const [rotationName] = getRotationRefs({ recipients: route.recipients, email: route.email });
+        data.oncall = rotationName && rotations[rotationName] ? getOnCall(rotations[rotationName]) : null;
+        const resolved = resolveRecipients(route);
+        const onCallRecipients = resolved.recipients;
+        route.recipients = filterSmsRecipients(onCallRecipients, notificationType);
+        route.email = resolved.email;
+        
+        const message = formatMessage(webhook.messageTemplate, data, getTimeSettings(config));
+
+        const channels = {};
+        const context = { webhookName: notificationType, payload: req.body, message };
+        const title = `${APP_NAME}: ${config.description || notificationType}`;
+        const alert = {
+            webhookName: notificationType,
+            title,
+            message,
+            smsMessage: renderSms(webhook.messageTemplate, data, getTimeSettings(config), config.smsLength || {}),
+            data,
+            payload: req.body,
+            timeSettings: getTimeSettings(config),
+            timestamp: new Date()
+        };
+
+        // Repeat calls from the same caller are logged but not sent until the window's digest
+        const dedupe = checkDuplicate(notificationType, config, data.callerNumber);
+        if (dedupe.duplicate) {
+            const reason = `Duplicate of an alert at ${dedupe.window.openedAt}`;
+            const targets = getChannelTargets({ ...webhook, recipients: route.recipients, email: route.email });
+            for (const { type, provider, settings } of targets) {
+                channels[type] = await recordSuppressedDelivery(context, type, provider.getRecipients(settings), reason);
+            }
+            await saveThrottle(throttle);
+            await addToChangelog('webhook_deduplicated', notificationType, {
+                callerNumber: data.callerNumber,
+                count: dedupe.window.count
+            });
+            return res.status(200).json({
+                success: true,
+                type: notificationType,
+                message: 'Duplicate alert suppressed',
+                suppressed: true,
+                duplicateCount: dedupe.window.count,
+                channels
+            });
+        }
+
+        // Digest mode collects the event for the next summary instead of sending now
+        if (config.digest) {
+            const pending = await addToDigest(notificationType, config, data);
+            openDedupeWindow(notificationType, config, data.callerNumber, []);
+            await saveThrottle(throttle);
+            return res.status(202).json({
+                success: true,
+                type: notificationType,
+                message: 'Added to digest',
+                digest: { pending: pending.events.length, nextSendAt: pending.nextSendAt }
+            });
+        }
+
+        // Send on every channel enabled for this webhook.
+        // With an escalation policy, SMS and email go to the policy's levels until someone acknowledges
+        let incident = null;
+        let smsRecipients = route.recipients;
+        if (config.escalation && escalationPolicies[config.escalation]) {
+            const opened = await openIncident({
+                webhookName: notificationType,
+                policyName: config.escalation,
+                title,
+                message,
+                payload: req.body,
+                baseUrl: PUBLIC_URL || `${req.protocol}://${req.get('host')}`
+            });
+            incident = opened.incident;
+            Object.assign(channels, opened.channels);
+        } else {
+            // Checked before quiet hours and rate limits so nothing is held that could never be sent
+            const budgetBlock = getBudgetBlock(notificationType, webhook, data);
+            if (route.recipients && budgetBlock) {
+                const result = await recordSuppressedDelivery(context, 'sms', parsePhoneNumbers(route.recipients), budgetBlock);
+                channels.sms = { ...result, budgetExceeded: true };
+                route.recipients = '';
+                smsRecipients = '';
+            }
+
+            if (route.recipients && !isUrgentAlert(webhook, data)) {
+                const quiet = await applyQuietHours({ ...context, message: alert.smsMessage }, route.recipients);
+                if (quiet.held.length) {
+                    channels[quiet.recipients ? 'smsQuietHours' : 'sms'] = {
+                        success: false,
+                        quietHours: true,
+                        held: quiet.held.length,
+                        deliveryIds: quiet.held.map(result => result.deliveryId)
+                    };
+                }
+                route.recipients = quiet.recipients;
+                route.email = [...new Set([...parseEmailAddresses(route.email), ...quiet.emails])].join(',');
+                smsRecipients = route.recipients;
+            }
+
+            if (route.recipients) {
+                const limited = applyRateLimits(notificationType, config, route.recipients);
+                smsRecipients = limited.allowed.join(',');
+                if (limited.held.length) {
+                    const result = await recordSuppressedDelivery(context, 'sms', limited.held, limited.reason);
+                    holdForDigest(notificationType, limited.held, data.callerNumber, limited.windowMs);
+                    channels[limited.allowed.length ? 'smsHeld' : 'sms'] = { ...result, rateLimited: true };
+                }
+            }
+        }
+
+        // The first escalation level has already had SMS and email
+        const targets = incident
+            ? { ...webhook, recipients: '', email: '' }
+            : { ...webhook, recipients: smsRecipients, email: route.email };
+        Object.assign(channels, await sendToChannels(context, targets, alert));
+        // Failed and queued texts don't use up anyone's rate limit
+        if (targets.recipients && channels.sms?.success) recordSmsSend(notificationType, parsePhoneNumbers(targets.recipients));
+
+        const results = Object.values(channels);
+        if (results.length === 0 && onCallRecipients) {
+            // Everyone replied STOP or MUTE; nothing failed
+            await addToChangelog('webhook_suppressed', notificationType, {
+                callerNumber: data.callerNumber,
+                reason: 'All SMS recipients opted out or muted'
+            });
+            return res.status(200).json({
+                success: true,
+                type: notificationType,
+                message: 'All SMS recipients have opted out or muted this webhook',
+                suppressed: true
+            });
+        }
+        if (results.length === 0) {
+            throw new Error('No notification channels configured for this webhook');
+        }
+        const anySent = results.some(result => result.success);
+        const anyQueued = results.some(result => result.queued || result.rateLimited || result.quietHours);
+        if (anySent || anyQueued) {
+            openDedupeWindow(notificationType, config, data.callerNumber,
+                incident ? incident.notified : parsePhoneNumbers(route.recipients));
+        }
+        await saveThrottle(throttle);
+
+        // Add to changelog
+        await addToChangelog('webhook_triggered', notificationType, {
+            callerNumber: data.callerNumber,
+            rule: data.rule,
+            channels: Object.keys(channels).filter(name => channels[name].success)
+        });
+
+        let status = 500;
+        let summary = 'All notification channels failed';
+        if (anySent) {
+            status = 200;
+            summary = 'Notification sent successfully';
+        } else if (anyQueued) {
+            status = 202;
+            if (results.some(result => result.queued)) {
+                summary = 'Notification queued for retry';
+            } else if (results.some(result => result.rateLimited)) {
+                summary = 'Notification held by rate limit';
+            } else {
+                summary = 'Notification deferred for quiet hours';
+            }
+        } else if (results.every(result => result.budgetExceeded)) {
+            // Held back on purpose, so not a failure
+            status = 200;
+            summary = 'Monthly SMS budget used; only urgent alerts are texted';
+        }
+
+        // Queued, held and budget-skipped alerts were accepted, so only a 500 is a failure
+        res.status(status).json({
+            success: status < 500,
+            type: notificationType,
+            message: summary,
+            recipientCount: parsePhoneNumbers(route.recipients).length,
+            schedule: route.schedule,
+            rule: data.rule,
+            incident: incident && { id: incident.id, code: incident.code, policy: incident.policy },
+            channels
+        });
+    } catch (error) {
+        console.error('Error processing webhook:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Backward compatibility with old URL
+app.post('/notify/:type', (req, res) => {
+    req.params.type = req.params.type;
+    req.url = `/sms-whook/${req.params.type}`;
+    app.handle(req, res);
+});
+
+// Acknowledge links sent with escalating alerts
+// GET only shows a confirmation page so link previews in messaging apps can't acknowledge by accident
+app.get('/ack/:token', (req, res) => {
+    const incident = incidents.find(entry => entry.ackToken === req.params.token);
+    if (!incident) {
+        return res.status(404).send(getAckHTML(null));
+    }
+    res.send(getAckHTML(incident));
+});
+
+app.post('/ack/:token', async (req, res) => {
+    const incident = incidents.find(entry => entry.ackToken === req.params.token);
+    if (!incident) {
+        return res.status(404).send(getAckHTML(null));
+    }
+    await acknowledgeIncident(incident, 'link', 'link');
+    res.send(getAckHTML(incident));
+});
+
+// Inbound SMS from the messaging provider (GoTo message events or { from, text })
+// Replies are texted back, so the endpoint only works with INBOUND_SMS_TOKEN set
+app.post('/sms-inbound', async (req, res) => {
+    if (!INBOUND_SMS_TOKEN) {
+        return res.status(503).json({ success: false, error: 'Inbound SMS is not configured (set INBOUND_SMS_TOKEN)' });
+    }
+    if (!safeEqual(String(req.query.token || ''), INBOUND_SMS_TOKEN)) {
+        return res.status(401).json({ success: false, error: 'Invalid token' });
+    }
+
+    const inbound = parseInboundMessage(req.body);
+    // Outbound echoes and delivery receipts arrive on the same channel
+    if (!inbound.inbound || !inbound.from || !inbound.text) {
+        return res.json({ success: true, handled: false });
+    }
+
+    console.log(`SMS reply from ${inbound.from}: ${inbound.text}`);
+    const entry = await handleInboundMessage(inbound);
+    res.json({
+        success: true,
+        handled: !!entry.command,
+        command: entry.command,
+        deliveryId: entry.deliveryId,
+        incidentId: entry.incidentId,
+        reply: entry.reply
+    });
+});
+
+// API endpoints for the web manager
+app.get('/api/webhooks', requireRole('viewer'), (req, res) => {
+    // Only editors and admins may see webhook secrets
+    const redact = req.user.role === 'viewer';
+    const mapWebhooks = (webhooks) => Object.fromEntries(
+        Object.entries(webhooks).map(([name, webhook]) => [name, redact ? redactWebhook(webhook) : webhook])
+    );
+
+    res.json({
+        webhooks: mapWebhooks(notificationConfigs),
+        archived: mapWebhooks(archivedWebhooks),
+        version: APP_VERSION
+    });
+});
+
+// Returns an error message for invalid webhook settings, or null. Create, update and import all
+// check through here; an import passes the people, groups, rotations, schedules and escalation
+// policies it brings along with the existing ones as known.
+function validateWebhookConfig(webhook, known = { people, groups, rotations, schedules, escalations: escalationPolicies }) {
+    if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) return 'Webhook settings must be an object';
+    const secretError = validateSecretSettings(webhook);
+    if (secretError) return secretError;
+    const templateError = validateTemplate(webhook.messageTemplate);
+    if (templateError) return `Invalid message template: ${templateError}`;
+    const timeError = validateTimeSettings(webhook);
+    if (timeError) return timeError;
+    // Rules are checked before anything reads their recipients
+    const rulesError = validateRoutingRules(webhook.rules);
+    if (rulesError) return rulesError;
+    if (webhook.schedule && !known.schedules[webhook.schedule]) return `Unknown schedule "${webhook.schedule}"`;
+    const unknownRotation = getRotationRefs(webhook).find(ref => !known.rotations[ref]);
+    if (unknownRotation) return `Unknown on-call rotation "${unknownRotation}"`;
+    const unknownRecipient = findUnknownRecipientRef(webhook, known);
+    if (unknownRecipient) return unknownRecipient;
+    if (webhook.escalation && !known.escalations[webhook.escalation]) return `Unknown escalation policy "${webhook.escalation}"`;
+    return validateThrottleSettings(webhook) || validateDigestSettings(webhook) || validateChannels(webhook) ||
+        validateSmsLength(webhook) || validateBudget(webhook);
+}
+
+app.post('/api/webhooks', requireRole('editor'), async (req, res) => {
+    const { name, config } = req.body;
+    if (!name || !config) {
+        return res.status(400).json({ error: 'Invalid webhook data' });
+    }
+    const configError = validateWebhookConfig(config);
+    if (configError) {
+        return res.status(400).json({ error: configError });
+    }
+    const phoneErrors = normalizeWebhookNumbers(config);
+    if (phoneErrors.length) {
+        return res.status(400).json(phoneErrorResponse(phoneErrors));
+    }
+    notificationConfigs[name] = applySecretDefaults(config);
+    await saveWebhooks(notificationConfigs);
+    await addToChangelog('webhook_created', name, redactWebhook(config));
+    res.json({ success: true, message: 'Webhook created' });
+});
+
+app.put('/api/webhooks/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    const config = req.body;
+    if (!notificationConfigs[name]) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    // The saved settings are checked together with the changes, since the update is merged into them
+    const configError = validateWebhookConfig({ ...notificationConfigs[name], ...config });
+    if (configError) {
+        return res.status(400).json({ error: configError });
+    }
+    const phoneErrors = normalizeWebhookNumbers(config);
+    if (phoneErrors.length) {
+        return res.status(400).json(phoneErrorResponse(phoneErrors));
+    }
+    const oldConfig = { ...notificationConfigs[name] };
+    notificationConfigs[name] = applySecretDefaults({ ...notificationConfigs[name], ...config });
+    await saveWebhooks(notificationConfigs);
+    await addToChangelog('webhook_updated', name, {
+        old: redactWebhook(oldConfig),
+        new: redactWebhook(notificationConfigs[name])
+    });
+    res.json({ success: true, message: 'Webhook updated' });
+});
+
+// Render a template against a sample payload without sending anything
+// Body: { payload, template, smsLength } - template defaults to the saved one, so unsaved edits can be previewed
+app.post('/api/webhooks/:name/preview', requireRole('viewer'), (req, res) => {
+    const webhook = notificationConfigs[req.params.name];
+    const template = req.body.template !== undefined ? req.body.template : webhook?.messageTemplate;
+    const payload = req.body.payload || {};
+
+    if (template === undefined) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+        return res.status(400).json({ error: 'payload must be a JSON object' });
+    }
+
+    const templateError = validateTemplate(template);
+    if (templateError) {
+        return res.status(400).json({ error: `Invalid message template: ${templateError}` });
+    }
+
+    // Unsaved timezone/locale edits can be previewed too
+    const timeSettings = getTimeSettings({
+        timezone: req.body.timezone ?? webhook?.timezone,
+        locale: req.body.locale ?? webhook?.locale
+    });
+    const timeError = validateTimeSettings(timeSettings);
+    if (timeError) {
+        return res.status(400).json({ error: timeError });
+    }
+
+    // Unsaved SMS length settings too; null clears them
+    const smsLength = req.body.smsLength !== undefined ? req.body.smsLength : webhook?.smsLength;
+    const smsLengthError = validateSmsLength({ smsLength });
+    if (smsLengthError) {
+        return res.status(400).json({ error: smsLengthError });
+    }
+
+    // The first matching rule's template is the one that would be sent. Unsaved rules from the
+    // editor count too; half-finished ones are skipped rather than failing the preview.
+    const data = enrichWithContact(buildTemplateData(payload, req.query));
+    const rules = req.body.rules !== undefined ? req.body.rules : webhook?.rules;
+    const rule = validateRoutingRules(rules) ? null : matchRoutingRule({ rules }, data);
+    const sendTemplate = rule?.messageTemplate || template;
+
+    const message = formatMessage(sendTemplate, data, timeSettings);
+    const smsMessage = renderSms(sendTemplate, data, timeSettings, smsLength || {});
+    const sms = prepareSms(smsMessage, smsLength || {});
+    res.json({
+        message,
+        rule: rule ? rule.name || '' : null,
+        ...analyzeSms(message),
+        sms: {
+            parts: sms.parts,
+            segments: sms.segments,
+            encoding: sms.encoding,
+            truncated: smsMessage !== message || sms.cut,
+            substituted: sms.substituted
+        }
+    });
+});
+
+// Issue a new secret; the old one keeps working for a grace period
+app.post('/api/webhooks/:name/rotate-secret', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    const webhook = notificationConfigs[name];
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (webhook.secret) {
+        webhook.previousSecret = webhook.secret;
+        webhook.previousSecretExpiresAt = new Date(Date.now() + SECRET_ROTATION_GRACE_MS).toISOString();
+    }
+    webhook.secret = generateSecret();
+    await saveWebhooks(notificationConfigs);
+    await addToChangelog('webhook_secret_rotated', name);
+
+    res.json({
+        success: true,
+        message: 'Secret rotated',
+        secret: webhook.secret,
+        previousSecretExpiresAt: webhook.previousSecretExpiresAt || null
+    });
+});
+
+app.post('/api/webhooks/:name/archive', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (notificationConfigs[name]) {
+        archivedWebhooks[name] = {
+            ...notificationConfigs[name],
+            archivedAt: new Date().toISOString()
+        };
+        delete notificationConfigs[name];
+        await saveWebhooks(notificationConfigs);
+        await saveArchived(archivedWebhooks);
+        await addToChangelog('webhook_archived', name);
+        res.json({ success: true, message: 'Webhook archived' });
+    } else {
+        res.status(404).json({ error: 'Webhook not found' });
+    }
+});
+
+app.post('/api/webhooks/:name/restore', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (archivedWebhooks[name]) {
+        notificationConfigs[name] = { ...archivedWebhooks[name] };
+        delete notificationConfigs[name].archivedAt;
+        delete archivedWebhooks[name];
+        await saveWebhooks(notificationConfigs);
+        await saveArchived(archivedWebhooks);
+        await addToChangelog('webhook_restored', name);
+        res.json({ success: true, message: 'Webhook restored' });
+    } else {
+        res.status(404).json({ error: 'Archived webhook not found' });
+    }
+});
+
+app.get('/api/changelog', requireRole('viewer'), (req, res) => {
+    res.json(changelog);
+});
+
+// Delivery log, newest first
+// Filters: webhook, status, channel, from/to (ISO dates), limit
+app.get('/api/deliveries', requireRole('viewer'), (req, res) => {
+    const { webhook, status, channel, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_DELIVERIES);
+    const fromTime = from ? new Date(from).getTime() : null;
+    // A date-only "to" includes that whole day
+    const toTime = to ? new Date(to).getTime() + (to.length === 10 ? 86400000 - 1 : 0) : null;
+
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const matches = deliveries.filter(delivery => {
+        const time = new Date(delivery.timestamp).getTime();
+        if (webhook && delivery.webhookName !== webhook) return false;
+        if (status && delivery.status !== status) return false;
+        if (channel && delivery.channel !== channel) return false;
+        if (fromTime !== null && time < fromTime) return false;
+        if (toTime !== null && time > toTime) return false;
+        return true;
+    });
+
+    res.json({
+        total: matches.length,
+        deliveries: matches.slice(-limit).reverse()
+    });
+});
+
+app.get('/api/deliveries/:id', requireRole('viewer'), (req, res) => {
+    const delivery = deliveries.find(entry => entry.id === req.params.id);
+    if (delivery) {
+        res.json({ ...delivery, conversation: inboundMessages.filter(message => message.deliveryId === delivery.id) });
+    } else {
+        res.status(404).json({ error: 'Delivery not found' });
+    }
+});
+
+// SMS usage between two dates (YYYY-MM-DD, default the last 30 days), optionally for one webhook
+// Budgets are always for the current month
+app.get('/api/usage', requireRole('viewer'), (req, res) => {
+    const now = new Date();
+    const to = req.query.to || getUsageDateKey(now);
+    const from = req.query.from ||
+        getUsageDateKey(new Date(now.getTime() - (DEFAULT_USAGE_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+    const webhookName = req.query.webhook || null;
+
+    if (!DATE_KEY.test(from) || !DATE_KEY.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+        return res.status(400).json({ error: 'Invalid date range, use YYYY-MM-DD' });
+    }
+    if (from > to) {
+        return res.status(400).json({ error: '"from" must not be after "to"' });
+    }
+    if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= USAGE_MAX_RANGE_DAYS) {
+        return res.status(400).json({ error: `Date range can be at most ${USAGE_MAX_RANGE_DAYS} days` });
+    }
+
+    const result = aggregateUsage(from, to, webhookName);
+    const names = new Set(Object.keys(result.webhooks));
+    for (const [name, webhook] of Object.entries(notificationConfigs)) {
+        if (webhook.budget && (!webhookName || name === webhookName)) names.add(name);
+    }
+
+    const webhooks = [...names].map(name => {
+        const totals = result.webhooks[name] || { messages: 0, segments: 0, recipients: new Set() };
+        return {
+            name,
+            messages: totals.messages,
+            segments: totals.segments,
+            recipients: totals.recipients.size,
+            cost: getSmsCost(totals.segments),
+            budget: getBudgetStatus(name, notificationConfigs[name], now)
+        };
+    }).sort((a, b) => b.segments - a.segments);
+
+    const recipients = Object.entries(result.recipients)
+        .map(([phone, totals]) => ({
+            phone,
+            name: Object.keys(people).find(name => samePhone(people[name].phone, phone)) || findContact(phone)?.name || null,
+            ...totals,
+            cost: getSmsCost(totals.segments)
+        }))
+        .sort((a, b) => b.segments - a.segments);
+
+    res.json({
+        from,
+        to,
+        webhook: webhookName,
+        costPerSegment: settings.smsCostPerSegment || 0,
+        totals: { ...result.totals, cost: getSmsCost(result.totals.segments) },
+        days: result.days.map(day => ({ ...day, cost: getSmsCost(day.segments) })),
+        webhooks,
+        recipients
+    });
+});
+
+// SMS replies grouped by the alert they answer, newest first
+app.get('/api/conversations', requireRole('viewer'), (req, res) => {
+    const threads = new Map();
+    for (const message of inboundMessages) {
+        const key = message.deliveryId || 'unmatched';
+        if (!threads.has(key)) {
+            const delivery = message.deliveryId && deliveries.find(entry => entry.id === message.deliveryId);
+            threads.set(key, {
+                deliveryId: message.deliveryId,
+                webhookName: message.webhookName,
+                alert: delivery ? { timestamp: delivery.timestamp, message: delivery.message, recipients: delivery.recipients } : null,
+                messages: []
+            });
+        }
+        threads.get(key).messages.push(message);
+    }
+
+    const result = [...threads.values()].sort((a, b) =>
+        Date.parse(b.messages[b.messages.length - 1].timestamp) - Date.parse(a.messages[a.messages.length - 1].timestamp));
+    res.json(result);
+});
+
+// Numbers that opted out with STOP, and active mutes
+app.get('/api/sms-preferences', requireRole('viewer'), (req, res) => {
+    res.json({
+        optOuts: smsPreferences.optOuts,
+        mutes: smsPreferences.mutes.filter(mute => Date.parse(mute.until) > Date.now())
+    });
+});
+
+app.delete('/api/sms-preferences/opt-outs/:phone', requireRole('editor'), async (req, res) => {
+    const before = smsPreferences.optOuts.length;
+    smsPreferences.optOuts = smsPreferences.optOuts.filter(optOut => !samePhone(optOut.phone, req.params.phone));
+    if (smsPreferences.optOuts.length === before) {
+        return res.status(404).json({ error: 'Number has not opted out' });
+    }
+
+    await saveSmsPreferences(smsPreferences);
+    await addToChangelog('sms_opt_out_removed', 'system', { phone: req.params.phone, by: req.user.username });
+    res.json({ success: true, message: 'Opt-out removed' });
+});
+
+app.delete('/api/sms-preferences/mutes/:phone', requireRole('editor'), async (req, res) => {
+    const webhookName = req.query.webhook || null;
+    const before = smsPreferences.mutes.length;
+    smsPreferences.mutes = smsPreferences.mutes.filter(mute =>
+        !(samePhone(mute.phone, req.params.phone) && (mute.webhookName || null) === webhookName));
+    if (smsPreferences.mutes.length === before) {
+        return res.status(404).json({ error: 'Mute not found' });
+    }
+
+    await saveSmsPreferences(smsPreferences);
+    await addToChangelog('sms_mute_removed', webhookName || 'system', { phone: req.params.phone, by: req.user.username });
+    res.json({ success: true, message: 'Mute removed' });
+});
+
+// Pending digests by webhook
+app.get('/api/digests', requireRole('viewer'), (req, res) => {
+    const result = {};
+    for (const [name, pending] of Object.entries(pendingDigests)) {
+        result[name] = { startedAt: pending.startedAt, nextSendAt: pending.nextSendAt, count: pending.events.length };
+    }
+    res.json(result);
+});
+
+// Send a webhook's pending digest now
+app.post('/api/digests/:name/send', requireRole('editor'), async (req, res) => {
+    if (!pendingDigests[req.params.name]) {
+        return res.status(404).json({ error: 'No pending digest for this webhook' });
+    }
+    const channels = await sendDigest(req.params.name);
+    if (!channels) {
+        return res.status(409).json({ error: 'This digest is being sent already' });
+    }
+    const results = Object.values(channels);
+    if (results.length && !results.some(result => result.success || result.queued || result.budgetExceeded)) {
+        return res.status(500).json({ success: false, error: 'Digest failed on every channel; it will be sent again later', channels });
+    }
+    res.json({ success: true, message: 'Digest sent', channels });
+});
+
+// Contacts directory
+// Query: search (matches name, company, phone or notes)
+app.get('/api/contacts', requireRole('viewer'), (req, res) => {
+    const search = String(req.query.search || '').toLowerCase();
+    const result = contacts
+        .filter(contact => !search || [contact.name, contact.company, contact.phone, contact.notes]
+            .some(value => String(value || '').toLowerCase().includes(search)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    res.json(result);
+});
+
+app.post('/api/contacts', requireRole('editor'), async (req, res) => {
+    const contactError = validateContact(req.body);
+    if (contactError) {
+        return res.status(400).json({ error: contactError });
+    }
+    if (findContact(req.body.phone)) {
+        return res.status(409).json({ error: 'A contact with this phone number already exists' });
+    }
+
+    const contact = { id: crypto.randomUUID(), ...cleanContact(req.body), updatedAt: new Date().toISOString() };
+    contacts.push(contact);
+    await saveContacts(contacts);
+    await addToChangelog('contact_created', contact.name, { phone: contact.phone });
+    res.json({ success: true, message: 'Contact created', contact });
+});
+
+// CSV body (text/csv) with a header row; existing numbers are updated
+const parseCsvBody = express.text({ type: ['text/csv', 'text/plain'], limit: CONTACT_IMPORT_LIMIT });
+
+app.post('/api/contacts/import', requireRole('editor'), parseCsvBody, async (req, res) => {
+    if (typeof req.body !== 'string') {
+        return res.status(400).json({ error: 'Send the CSV as text/csv' });
+    }
+
+    const result = importContactsCsv(req.body);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    await saveContacts(contacts);
+    await addToChangelog('contacts_imported', 'contacts', {
+        created: result.created,
+        updated: result.updated,
+        skipped: result.skipped.length
+    });
+    res.json({ success: true, message: `Imported ${result.created + result.updated} contacts`, ...result });
+});
+
+app.put('/api/contacts/:id', requireRole('editor'), async (req, res) => {
+    const contact = contacts.find(entry => entry.id === req.params.id);
+    if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+    }
+    const contactError = validateContact(req.body);
+    if (contactError) {
+        return res.status(400).json({ error: contactError });
+    }
+    const existing = findContact(req.body.phone);
+    if (existing && existing !== contact) {
+        return res.status(409).json({ error: 'A contact with this phone number already exists' });
+    }
+
+    const oldContact = { ...contact };
+    Object.assign(contact, cleanContact(req.body), { updatedAt: new Date().toISOString() });
+    await saveContacts(contacts);
+    await addToChangelog('contact_updated', contact.name, { old: oldContact, new: contact });
+    res.json({ success: true, message: 'Contact updated', contact });
+});
+
+app.delete('/api/contacts/:id', requireRole('editor'), async (req, res) => {
+    const contact = contacts.find(entry => entry.id === req.params.id);
+    if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    contacts = contacts.filter(entry => entry !== contact);
+    await saveContacts(contacts);
+    await addToChangelog('contact_deleted', contact.name, { phone: contact.phone });
+    res.json({ success: true, message: 'Contact deleted' });
+});
+
+// Business-hours schedules, with whether each is open right now
+app.get('/api/schedules', requireRole('viewer'), (req, res) => {
+    const result = {};
+    for (const [name, schedule] of Object.entries(schedules)) {
+        result[name] = {
+            ...schedule,
+            status: getScheduleStatus(schedule),
+            usedBy: Object.keys(notificationConfigs).filter(key => notificationConfigs[key].schedule === name)
+        };
+    }
+    res.json(result);
+});
+
+// Check a schedule at a given time (?at=ISO date, defaults to now)
+app.get('/api/schedules/:name/status', requireRole('viewer'), (req, res) => {
+    const schedule = schedules[req.params.name];
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) {
+        return res.status(400).json({ error: 'Invalid date' });
+    }
+    res.json({ at: at.toISOString(), ...getScheduleStatus(schedule, at) });
+});
+
+app.post('/api/schedules', requireRole('editor'), async (req, res) => {
+    const { name, schedule } = req.body;
+    if (!name || !/^[a-z0-9-]+$/.test(name)) {
+        return res.status(400).json({ error: 'Schedule name must use lowercase letters, numbers and hyphens' });
+    }
+    if (schedules[name]) {
+        return res.status(409).json({ error: 'Schedule already exists' });
+    }
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+    }
+
+    schedules[name] = schedule;
+    await saveSchedules(schedules);
+    await addToChangelog('schedule_created', name, schedule);
+    res.json({ success: true, message: 'Schedule created' });
+});
+
+app.put('/api/schedules/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!schedules[name]) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const scheduleError = validateSchedule(req.body);
+    if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+    }
+
+    const oldSchedule = schedules[name];
+    schedules[name] = req.body;
+    await saveSchedules(schedules);
+    await addToChangelog('schedule_updated', name, { old: oldSchedule, new: req.body });
+    res.json({ success: true, message: 'Schedule updated' });
+});
+
+app.delete('/api/schedules/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!schedules[name]) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const usedBy = Object.keys(notificationConfigs).filter(key => notificationConfigs[key].schedule === name);
+    if (usedBy.length > 0) {
+        return res.status(409).json({ error: `Schedule is used by: ${usedBy.join(', ')}` });
+    }
+
+    delete schedules[name];
+    await saveSchedules(schedules);
+    await addToChangelog('schedule_deleted', name);
+    res.json({ success: true, message: 'Schedule deleted' });
+});
+
+// On-call rotations, with who is on call right now
+app.get('/api/rotations', requireRole('viewer'), (req, res) => {
+    const result = {};
+    for (const [name, rotation] of Object.entries(rotations)) {
+        result[name] = {
+            ...rotation,
+            onCall: getOnCall(rotation),
+            usedBy: getRotationUsers(name)
+        };
+    }
+    res.json(result);
+});
+
+// Who is on call over a period (?from=ISO date, defaults to now; &days=, defaults to 14)
+app.get('/api/rotations/:name/calendar', requireRole('viewer'), (req, res) => {
+    const rotation = rotations[req.params.name];
+    if (!rotation) {
+        return res.status(404).json({ error: 'Rotation not found' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const days = parseInt(req.query.days, 10) || 14;
+    if (Number.isNaN(from.getTime())) {
+        return res.status(400).json({ error: 'Invalid date' });
+    }
+    if (days < 1 || days > MAX_CALENDAR_DAYS) {
+        return res.status(400).json({ error: `Days must be between 1 and ${MAX_CALENDAR_DAYS}` });
+    }
+
+    const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+    res.json({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        shifts: getOnCallShifts(rotation, from, to)
+    });
+});
+
+app.post('/api/rotations', requireRole('editor'), async (req, res) => {
+    const { name, rotation } = req.body;
+    if (!name || !/^[a-z0-9-]+$/.test(name)) {
+        return res.status(400).json({ error: 'Rotation name must use lowercase letters, numbers and hyphens' });
+    }
+    if (rotations[name]) {
+        return res.status(409).json({ error: 'Rotation already exists' });
+    }
+    const rotationError = validateRotation(rotation);
+    if (rotationError) {
+        return res.status(400).json({ error: rotationError });
+    }
+    const phoneErrors = normalizePhoneFields([...rotation.members, ...(rotation.overrides || [])], 'phone');
+    if (phoneErrors.length) {
+        return res.status(400).json(phoneErrorResponse(phoneErrors));
+    }
+
+    rotations[name] = rotation;
+    await saveRotations(rotations);
+    await addToChangelog('rotation_created', name, rotation);
+    res.json({ success: true, message: 'Rotation created' });
+});
+
+app.put('/api/rotations/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!rotations[name]) {
+        return res.status(404).json({ error: 'Rotation not found' });
+    }
+    const rotationError = validateRotation(req.body);
+    if (rotationError) {
+        return res.status(400).json({ error: rotationError });
+    }
+    const phoneErrors = normalizePhoneFields([...req.body.members, ...(req.body.overrides || [])], 'phone');
+    if (phoneErrors.length) {
+        return res.status(400).json(phoneErrorResponse(phoneErrors));
+    }
+
+    const oldRotation = rotations[name];
+    rotations[name] = req.body;
+    await saveRotations(rotations);
+    await addToChangelog('rotation_updated', name, { old: oldRotation, new: req.body });
+    res.json({ success: true, message: 'Rotation updated' });
+});
+
+app.delete('/api/rotations/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!rotations[name]) {
+        return res.status(404).json({ error: 'Rotation not found' });
+    }
+
+    const usedBy = getRotationUsers(name);
+    if (usedBy.length > 0) {
+        return res.status(409).json({ error: `Rotation is used by: ${usedBy.join(', ')}` });
+    }
+
+    delete rotations[name];
+    await saveRotations(rotations);
+    await addToChangelog('rotation_deleted', name);
+    res.json({ success: true, message: 'Rotation deleted' });
+});
+
+// Named recipients, with where each is used
+app.get('/api/people', requireRole('viewer'), (req, res) => {
+    const result = {};
+    for (const [name, person] of Object.entries(people)) {
+        result[name] = { ...person, usedBy: getPersonUsers(name) };
+    }
+    res.json(result);
+});
+
+app.post('/api/people', requireRole('editor'), async (req, res) => {
+    const { name, person } = req.body;
+    if (!name || !/^[a-z0-9-]+$/.test(name)) {
+        return res.status(400).json({ error: 'Name must use lowercase letters, numbers and hyphens' });
+    }
+    if (people[name]) {
+        return res.status(409).json({ error: 'Person already exists' });
+    }
+    const personError = validatePerson(person);
+    if (personError) {
+        return res.status(400).json({ error: personError });
+    }
+
+    if (person.phone) person.phone = normalizePhoneNumber(person.phone).number;
+    people[name] = person;
+    await savePeople(people);
+    await addToChangelog('person_created', name, person);
+    res.json({ success: true, message: 'Person created' });
+});
+
+app.put('/api/people/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!people[name]) {
+        return res.status(404).json({ error: 'Person not found' });
+    }
+    const personError = validatePerson(req.body);
+    if (personError) {
+        return res.status(400).json({ error: personError });
+    }
+
+    if (req.body.phone) req.body.phone = normalizePhoneNumber(req.body.phone).number;
+    const oldPerson = people[name];
+    people[name] = req.body;
+    await savePeople(people);
+    await addToChangelog('person_updated', name, { old: oldPerson, new: req.body });
+    res.json({ success: true, message: 'Person updated' });
+});
+
+app.delete('/api/people/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!people[name]) {
+        return res.status(404).json({ error: 'Person not found' });
+    }
+
+    const usedBy = getPersonUsers(name);
+    if (usedBy.length > 0) {
+        return res.status(409).json({ error: `Person is used by: ${usedBy.join(', ')}` });
+    }
+
+    delete people[name];
+    await savePeople(people);
+    await addToChangelog('person_deleted', name);
+    res.json({ success: true, message: 'Person deleted' });
+});
+
+// Recipient groups, with where each is used
+app.get('/api/groups', requireRole('viewer'), (req, res) => {
+    const result = {};
+    for (const [name, group] of Object.entries(groups)) {
+        result[name] = { ...group, usedBy: getReferenceUsers(GROUP_REF, name) };
+    }
+    res.json(result);
+});
+
+app.post('/api/groups', requireRole('editor'), async (req, res) => {
+    const { name, group } = req.body;
+    if (!name || !/^[a-z0-9-]+$/.test(name)) {
+        return res.status(400).json({ error: 'Group name must use lowercase letters, numbers and hyphens' });
+    }
+    if (groups[name]) {
+        return res.status(409).json({ error: 'Group already exists' });
+    }
+    const groupError = validateGroup(group);
+    if (groupError) {
+        return res.status(400).json({ error: groupError });
+    }
+
+    groups[name] = group;
+    await saveGroups(groups);
+    await addToChangelog('group_created', name, group);
+    res.json({ success: true, message: 'Group created' });
+});
+
+app.put('/api/groups/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!groups[name]) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+    const groupError = validateGroup(req.body);
+    if (groupError) {
+        return res.status(400).json({ error: groupError });
+    }
+
+    const oldGroup = groups[name];
+    groups[name] = req.body;
+    await saveGroups(groups);
+    await addToChangelog('group_updated', name, { old: oldGroup, new: req.body });
+    res.json({ success: true, message: 'Group updated' });
+});
+
+app.delete('/api/groups/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!groups[name]) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const usedBy = getReferenceUsers(GROUP_REF, name);
+    if (usedBy.length > 0) {
+        return res.status(409).json({ error: `Group is used by: ${usedBy.join(', ')}` });
+    }
+
+    delete groups[name];
+    await saveGroups(groups);
+    await addToChangelog('group_deleted', name);
+    res.json({ success: true, message: 'Group deleted' });
+});
+
+// Escalation policies
+app.get('/api/escalations', requireRole('viewer'), (req, res) => {
+    const result = {};
+    for (const [name, policy] of Object.entries(escalationPolicies)) {
+        result[name] = {
+            ...policy,
+            usedBy: Object.keys(notificationConfigs).filter(key => notificationConfigs[key].escalation === name)
+        };
+    }
+    res.json(result);
+});
+
+app.post('/api/escalations', requireRole('editor'), async (req, res) => {
+    const { name, policy } = req.body;
+    if (!name || !/^[a-z0-9-]+$/.test(name)) {
+        return res.status(400).json({ error: 'Policy name must use lowercase letters, numbers and hyphens' });
+    }
+    if (escalationPolicies[name]) {
+        return res.status(409).json({ error: 'Escalation policy already exists' });
+    }
+    const policyError = validateEscalationPolicy(policy);
+    if (policyError) {
+        return res.status(400).json({ error: policyError });
+    }
+    const phoneErrors = normalizePhoneFields(policy.levels);
+    if (phoneErrors.length) {
+        return res.status(400).json(phoneErrorResponse(phoneErrors));
+    }
+
+    escalationPolicies[name] = policy;
+    await saveEscalationPolicies(escalationPolicies);
+    await addToChangelog('escalation_created', name, policy);
+    res.json({ success: true, message: 'Escalation policy created' });
+});
+
+app.put('/api/escalations/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!escalationPolicies[name]) {
+        return res.status(404).json({ error: 'Escalation policy not found' });
+    }
+    const policyError = validateEscalationPolicy(req.body);
+    if (policyError) {
+        return res.status(400).json({ error: policyError });
+    }
+    const phoneErrors = normalizePhoneFields(req.body.levels);
+    if (phoneErrors.length) {
+        return res.status(400).json(phoneErrorResponse(phoneErrors));
+    }
+
+    const oldPolicy = escalationPolicies[name];
+    escalationPolicies[name] = req.body;
+    await saveEscalationPolicies(escalationPolicies);
+    await addToChangelog('escalation_updated', name, { old: oldPolicy, new: req.body });
+    res.json({ success: true, message: 'Escalation policy updated' });
+});
+
+app.delete('/api/escalations/:name', requireRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    if (!escalationPolicies[name]) {
+        return res.status(404).json({ error: 'Escalation policy not found' });
+    }
+
+    const usedBy = Object.keys(notificationConfigs).filter(key => notificationConfigs[key].escalation === name);
+    if (usedBy.length > 0) {
+        return res.status(409).json({ error: `Escalation policy is used by: ${usedBy.join(', ')}` });
+    }
+
+    delete escalationPolicies[name];
+    await saveEscalationPolicies(escalationPolicies);
+    await addToChangelog('escalation_deleted', name);
+    res.json({ success: true, message: 'Escalation policy deleted' });
+});
+
+// Incidents, newest first
+// Query: webhook, status (open, acknowledged, unacknowledged), limit
+app.get('/api/incidents', requireRole('viewer'), (req, res) => {
+    const { webhook, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_INCIDENTS);
+
+    const results = incidents
+        .filter(incident => !webhook || incident.webhookName === webhook)
+        .filter(incident => !status || incident.status === status)
+        .slice()
+        .reverse()
+        .slice(0, limit)
+        .map(({ ackToken, ...incident }) => incident);
+
+    res.json({ total: results.length, incidents: results });
+});
+
+app.get('/api/incidents/:id', requireRole('viewer'), (req, res) => {
+    const incident = incidents.find(entry => entry.id === req.params.id);
+    if (!incident) {
+        return res.status(404).json({ error: 'Incident not found' });
+    }
+    const { ackToken, ...result } = incident;
+    res.json(result);
+});
+
+app.post('/api/incidents/:id/acknowledge', requireRole('editor'), async (req, res) => {
+    const incident = incidents.find(entry => entry.id === req.params.id);
+    if (!incident) {
+        return res.status(404).json({ error: 'Incident not found' });
+    }
+    if (!await acknowledgeIncident(incident, req.user.username, 'manager')) {
+        return res.status(409).json({ error: `Incident is already ${incident.status}` });
+    }
+    res.json({ success: true, message: 'Incident acknowledged' });
+});
+
+// Global settings
+app.get('/api/settings', requireRole('viewer'), (req, res) => {
+    res.json({
+        ...settings,
+        serverTimezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        countries: Object.keys(COUNTRY_DIALING)
+    });
+});
+
+app.put('/api/settings', requireRole('admin'), async (req, res) => {
+    const { timezone, locale, defaultCountry, smsCostPerSegment } = req.body;
+    const timeError = validateTimeSettings({ timezone, locale });
+    if (timeError) {
+        return res.status(400).json({ error: timeError });
+    }
+    if (defaultCountry !== undefined && !COUNTRY_DIALING[defaultCountry]) {
+        return res.status(400).json({ error: `Unsupported country "${defaultCountry}"` });
+    }
+    if (smsCostPerSegment !== undefined && (typeof smsCostPerSegment !== 'number' || !(smsCostPerSegment >= 0))) {
+        return res.status(400).json({ error: 'SMS cost per segment must be a number of 0 or more' });
+    }
+
+    const oldSettings = { ...settings };
+    if (timezone !== undefined) settings.timezone = timezone;
+    if (locale !== undefined) settings.locale = locale;
+    if (defaultCountry !== undefined) settings.defaultCountry = defaultCountry;
+    if (smsCostPerSegment !== undefined) settings.smsCostPerSegment = smsCostPerSegment;
+    await saveSettings(settings);
+    await addToChangelog('settings_updated', 'system', { old: oldSettings, new: settings });
+    res.json({ success: true, message: 'Settings saved' });
+});
+
+// Check and normalize a recipient list without saving it
+// Body: { numbers } - comma-separated
+app.post('/api/phone-numbers/normalize', requireRole('viewer'), (req, res) => {
+    const result = normalizePhoneList(String(req.body.numbers || ''));
+    res.json({ numbers: result.value, invalidNumbers: result.errors });
+});
+
+// Retry queue
+app.get('/api/queue', requireRole('viewer'), (req, res) => {
+    res.json(retryQueue);
+});
+
+// Retry a queued or dead-lettered SMS right away
+app.post('/api/queue/:id/retry', requireRole('editor'), async (req, res) => {
+    const id = req.params.id;
+    // The background run may be sending this very item
+    if (retryQueueRunning) {
+        return res.status(409).json({ error: 'The retry queue is being processed; try again in a moment' });
+    }
+    let item = retryQueue.pending.find(entry => entry.id === id);
+
+    if (!item) {
+        const dead = retryQueue.deadLetter.find(entry => entry.id === id);
+        if (!dead) {
+            return res.status(404).json({ error: 'Queue item not found' });
+        }
+        retryQueue.deadLetter = retryQueue.deadLetter.filter(entry => entry.id !== id);
+        item = { ...dead, attempts: 0 };
+        delete item.deadAt;
+        retryQueue.pending.push(item);
+    }
+
+    item.nextAttemptAt = new Date().toISOString();
+    retryQueueRunning = true;
+    let result;
+    try {
+        result = await attemptRetry(item);
+    } finally {
+        retryQueueRunning = false;
+    }
+    await addToChangelog('queue_item_retried', item.webhookName, { queueId: id, success: result.success });
+
+    res.status(result.success ? 200 : result.suppressed ? 409 : 500).json({
+        ...result,
+        message: result.success ? 'Queued SMS sent' : result.suppressed ? 'Queued SMS dropped' : 'Retry failed'
+    });
+});
+
+// Discard a queued or dead-lettered SMS
+app.delete('/api/queue/:id', requireRole('editor'), async (req, res) => {
+    const id = req.params.id;
+    const item = retryQueue.pending.find(entry => entry.id === id) ||
+        retryQueue.deadLetter.find(entry => entry.id === id);
+
+    if (!item) {
+        return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    retryQueue.pending = retryQueue.pending.filter(entry => entry.id !== id);
+    retryQueue.deadLetter = retryQueue.deadLetter.filter(entry => entry.id !== id);
+    await saveRetryQueue(retryQueue);
+
+    const delivery = deliveries.find(entry => entry.id === item.deliveryId);
+    if (delivery) {
+        setDeliveryStatus(delivery, 'discarded');
+        await saveDeliveries(deliveries);
+    }
+
+    await addToChangelog('queue_item_discarded', item.webhookName, { queueId: id });
+    res.json({ success: true, message: 'Queue item discarded' });
+});
+
+// Live notification stream (Server-Sent Events) for open manager tabs
+app.get('/api/notifications/stream', requireRole('viewer'), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    notificationClients.add(res);
+
+    // Keep proxies (Render etc) from closing an idle connection
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        notificationClients.delete(res);
+    });
+});
+
+// Web Push subscriptions
+app.get('/api/push/public-key', requireRole('viewer'), (req, res) => {
+    res.json({
+        enabled: !!(pushConfig.publicKey && pushConfig.privateKey),
+        publicKey: pushConfig.publicKey || null
+    });
+});
+
+app.post('/api/push/subscribe', requireRole('viewer'), async (req, res) => {
+    const subscription = req.body;
+    if (!subscription || !subscription.endpoint || !subscription.keys) {
+        return res.status(400).json({ error: 'Invalid push subscription' });
+    }
+
+    pushSubscriptions = pushSubscriptions.filter(sub => sub.endpoint !== subscription.endpoint);
+    pushSubscriptions.push(subscription);
+    await savePushSubscriptions(pushSubscriptions);
+    res.json({ success: true, message: 'Push subscription saved' });
+});
+
+app.post('/api/push/unsubscribe', requireRole('viewer'), async (req, res) => {
+    const { endpoint } = req.body;
+    pushSubscriptions = pushSubscriptions.filter(sub => sub.endpoint !== endpoint);
+    await savePushSubscriptions(pushSubscriptions);
+    res.json({ success: true, message: 'Push subscription removed' });
+});
+
+// Service worker that shows Web Push notifications while the manager is closed
+app.get('/sw.js', (req, res) => {
+    res.set('Content-Type', 'application/javascript');
+    res.send(`self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(self.registration.showNotification(data.title || '${APP_NAME}', {
+        body: data.body || '',
+        tag: data.webhook,
+        timestamp: data.timestamp ? Date.parse(data.timestamp) : Date.now()
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(clients.openWindow('/manager'));
+});
+`);
+});
+
+// Test endpoint
+app.post('/test-sms', requireRole('editor'), async (req, res) => {
+    try {
+        const type = req.body.type || 'general';
+        const testConfig = notificationConfigs[type] || notificationConfigs.general;
+        
+        const timeSettings = getTimeSettings(testConfig);
+        const testTime = new Date().toLocaleString(timeSettings.locale, { timeZone: timeSettings.timezone });
+        const testMessage = req.body.message || 
+            `Test ${type} notification\nTime: ${testTime}\nYour ${type} webhook is working!`;
+        
+        const testRecipients = resolveRecipients({ recipients: testConfig.recipients }).recipients || config.myPhoneNumber;
+        const context = { webhookName: type, payload: { test: true }, message: testMessage };
+        const result = await sendToChannel(context, 'sms', testRecipients, { ...getTestAlert(type), message: testMessage },
+            { retry: false });
+        
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        res.json({ 
+            success: true,
+            type: type,
+            message: 'Test SMS sent successfully',
+            recipients: parsePhoneNumbers(testRecipients)
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            error: error.message
+        });
+    }
+});
+
+// Channel providers, for the webhook editor
+app.get('/api/channels', requireRole('viewer'), (req, res) => {
+    res.json({
+        channels: Object.entries(CHANNEL_PROVIDERS).map(([type, provider]) => ({
+            type,
+            label: provider.label,
+            key: provider.key,
+            off: provider.off,
+            outbound: !!provider.outbound,
+            fields: provider.fields,
+            capabilities: provider.capabilities,
+            configured: provider.isConfigured()
+        }))
+    });
+});
+
+// Check a channel's connection
+// Body: { webhook, settings } - settings default to the saved webhook's, so unsaved edits can be tested
+app.post('/api/channels/:type/test', requireRole('editor'), async (req, res) => {
+    const provider = CHANNEL_PROVIDERS[req.params.type];
+    if (!provider) {
+        return res.status(404).json({ error: 'Unknown channel' });
+    }
+
+    const webhook = notificationConfigs[req.body.webhook] || {};
+    const settings = req.body.settings !== undefined ? req.body.settings : webhook[provider.key];
+    if (!settings && provider.outbound) {
+        return res.status(400).json({ error: `${provider.label} is not set up for this webhook` });
+    }
+    const settingsError = provider.validate && provider.validate(settings);
+    if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+    }
+
+    try {
+        const result = await provider.test(settings, getTestAlert(req.body.webhook));
+        // Only the status of an outbound post: its body is the other service's, not ours to pass on
+        res.json({
+            success: true,
+            message: result.message || `${provider.label} test sent`,
+            result: provider.outbound ? { status: result.status } : result
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Twilio-compatible stand-in for testing failover (TWILIO_MOCK=true)
+// Sending to +15005550001 fails like an invalid number; GET /mock/twilio/messages lists what was sent
+const mockTwilioMessages = [];
+
+if (TWILIO_MOCK) {
+    const parseForm = express.urlencoded({ extended: false });
+    const checkMockAuth = (req, res, next) => {
+        const expected = 'Basic ' + Buffer.from(`${twilioConfig.accountSid}:${twilioConfig.authToken}`).toString('base64');
+        if (req.params.sid !== twilioConfig.accountSid || !safeEqual(req.get('authorization') || '', expected)) {
+            return res.status(401).json({ code: 20003, message: 'Authenticate', status: 401 });
+        }
+        next();
+    };
+
+    app.get('/mock/twilio/2010-04-01/Accounts/:sid.json', checkMockAuth, (req, res) => {
+        res.json({ sid: req.params.sid, status: 'active' });
+    });
+
+    app.post('/mock/twilio/2010-04-01/Accounts/:sid/Messages.json', checkMockAuth, parseForm, (req, res) => {
+        const { To: to, From: from, Body: body } = req.body;
+        if (!to || !from || !body) {
+            return res.status(400).json({ code: 21604, message: 'A To, From and Body are required', status: 400 });
+        }
+        if (to === '+15005550001') {
+            return res.status(400).json({ code: 21211, message: `The 'To' number ${to} is not a valid phone number.`, status: 400 });
+        }
+
+        const message = {
+            sid: 'SM' + crypto.randomBytes(16).toString('hex'),
+            to,
+            from,
+            body,
+            status: 'queued',
+            date_created: new Date().toUTCString()
+        };
+        mockTwilioMessages.push(message);
+        res.status(201).json(message);
+    });
+
+    app.get('/mock/twilio/messages', requireRole('viewer'), (req, res) => {
+        res.json({ messages: mockTwilioMessages });
+    });
+}
+
+// Health check
+app.get('/health', (req, res) => {
+    const smsProviders = getSmsProviderHealth();
+    const usable = smsProviders.filter(provider => provider.configured && provider.state !== 'open');
+    res.json({ 
+        status: usable.length > 0 || !smsProviders.some(provider => provider.configured) ? 'healthy' : 'degraded',
+        uptime: Math.round(process.uptime()),  // Fixed NaN issue
+        version: APP_VERSION,
+        smsProviders,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Configuration endpoint
+app.get('/config', requireRole('viewer'), (req, res) => {
+    const configs = {};
+    for (const [key, value] of Object.entries(notificationConfigs)) {
+        configs[key] = {
+            description: value.description,
+            recipientCount: parsePhoneNumbers(value.recipients).length,
+            hasEmail: !!value.email,
+            browserNotify: value.browserNotify,
+            channels: getChannelTargets(value).map(target => target.type),
+            tags: value.tags || []
+        };
+    }
+    
+    res.json({
+        version: APP_VERSION,
+        gotoPhoneConfigured: !!config.gotoPhoneNumber,
+        credentialsConfigured: !!config.clientSecret && config.clientSecret !== 'YOUR_CLIENT_SECRET_HERE',
+        emailConfigured: !!emailConfig.host,
+        twilioConfigured: SMS_PROVIDERS.find(provider => provider.name === 'twilio').isConfigured(),
+        pushConfigured: !!(pushConfig.publicKey && pushConfig.privateKey),
+        notificationTypes: configs,
+        archivedCount: Object.keys(archivedWebhooks).length,
+        webhookCount: Object.keys(notificationConfigs).length
+    });
+});
+
+// Serve the web manager interface
+app.get('/manager', (req, res) => {
+    if (!req.user) {
+        return res.redirect('/login');
+    }
+    const html = getManagerHTML(req.get('host'), req.user);
+    res.send(html);
+});
+
+// Help documentation
+app.get('/help', (req, res) => {
+    const helpHTML = getHelpHTML();
+    res.send(helpHTML);
+});
+
+// Export webhooks
+app.get('/api/export', requireRole('admin'), (req, res) => {
+    const exportData = {
+        version: APP_VERSION,
+        timestamp: new Date().toISOString(),
+        webhooks: notificationConfigs,
+        archived: archivedWebhooks,
+        schedules: schedules,
+        rotations: rotations,
+        escalations: escalationPolicies,
+        contacts: contacts,
+        people: people,
+        groups: groups,
+        changelog: changelog
+    };
+    
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', 'attachment; filename="webhook-backup.json"');
+    res.send(JSON.stringify(exportData, null, 2));
+});
+
+// Import webhooks
+app.post('/api/import', requireRole('admin'), async (req, res) => {
+    try {
+        const { webhooks, archived, schedules: importedSchedules, rotations: importedRotations, escalations, contacts: importedContacts } = req.body;
+        const { people: importedPeople, groups: importedGroups } = req.body;
+        
+        for (const [name, person] of Object.entries(importedPeople || {})) {
+            const personError = validatePerson(person);
+            if (personError) {
+                return res.status(400).json({ error: `Invalid person "${name}": ${personError}` });
+            }
+            if (person.phone) person.phone = normalizePhoneNumber(person.phone).number;
+        }
+        // References are checked against what will exist once the import is merged in
+        const known = {
+            people: { ...people, ...importedPeople },
+            groups: { ...groups, ...importedGroups },
+            rotations: { ...rotations, ...importedRotations },
+            schedules: { ...schedules, ...importedSchedules },
+            escalations: { ...escalationPolicies, ...escalations }
+        };
+        for (const [name, group] of Object.entries(importedGroups || {})) {
+            const unknown = (group.members || []).find(member => !known.people[member]);
+            if (unknown) {
+                return res.status(400).json({ error: `Invalid group "${name}": unknown person "${unknown}"` });
+            }
+        }
+        
+        for (const contact of importedContacts || []) {
+            const contactError = validateContact(contact);
+            if (contactError) {
+                return res.status(400).json({ error: `Invalid contact "${contact.name || contact.phone}": ${contactError}` });
+            }
+        }
+        
+        for (const [name, policy] of Object.entries(escalations || {})) {
+            const policyError = validateEscalationPolicy(policy, known);
+            if (policyError) {
+                return res.status(400).json({ error: `Invalid escalation policy "${name}": ${policyError}` });
+            }
+            const phoneErrors = normalizePhoneFields(policy.levels);
+            if (phoneErrors.length) {
+                return res.status(400).json({ ...phoneErrorResponse(phoneErrors), policy: name });
+            }
+        }
+        
+        for (const [name, rotation] of Object.entries(importedRotations || {})) {
+            const rotationError = validateRotation(rotation);
+            if (rotationError) {
+                return res.status(400).json({ error: `Invalid rotation "${name}": ${rotationError}` });
+            }
+            const phoneErrors = normalizePhoneFields([...rotation.members, ...(rotation.overrides || [])], 'phone');
+            if (phoneErrors.length) {
+                return res.status(400).json({ ...phoneErrorResponse(phoneErrors), rotation: name });
+            }
+        }
+        
+        for (const [name, schedule] of Object.entries(importedSchedules || {})) {
+            const scheduleError = validateSchedule(schedule);
+            if (scheduleError) {
+                return res.status(400).json({ error: `Invalid schedule "${name}": ${scheduleError}` });
+            }
+        }
+        
+        // Active and archived webhooks are checked one list at a time, since the same name can be in both
+        for (const [label, list] of [['webhook', webhooks], ['archived webhook', archived]]) {
+            if (list !== undefined && list !== null && (typeof list !== 'object' || Array.isArray(list))) {
+                return res.status(400).json({ error: `Invalid ${label}s: expected an object keyed by name` });
+            }
+            for (const [name, webhook] of Object.entries(list || {})) {
+                const configError = validateWebhookConfig(webhook, known);
+                if (configError) {
+                    return res.status(400).json({ error: `Invalid ${label} "${name}": ${configError}` });
+                }
+                const phoneErrors = normalizeWebhookNumbers(webhook);
+                if (phoneErrors.length) {
+                    return res.status(400).json({ ...phoneErrorResponse(phoneErrors), webhook: name });
+                }
+                applySecretDefaults(webhook);
+            }
+        }
+        
+        if (webhooks) {
+            notificationConfigs = { ...notificationConfigs, ...webhooks };
+            await saveWebhooks(notificationConfigs);
+        }
+        
+        if (archived) {
+            archivedWebhooks = { ...archivedWebhooks, ...archived };
+            await saveArchived(archivedWebhooks);
+        }
+        
+        if (importedSchedules) {
+            schedules = { ...schedules, ...importedSchedules };
+            await saveSchedules(schedules);
+        }
+        
+        if (importedRotations) {
+            rotations = { ...rotations, ...importedRotations };
+            await saveRotations(rotations);
+        }
+        
+        if (escalations) {
+            escalationPolicies = { ...escalationPolicies, ...escalations };
+            await saveEscalationPolicies(escalationPolicies);
+        }
+        
+        if (importedPeople) {
+            people = { ...people, ...importedPeople };
+            await savePeople(people);
+        }
+        
+        if (importedGroups) {
+            groups = { ...groups, ...importedGroups };
+            await saveGroups(groups);
+        }
+        
+        if (importedContacts) {
+            for (const entry of importedContacts) {
+                const existing = findContact(entry.phone);
+                const contact = { ...cleanContact(entry), updatedAt: entry.updatedAt || new Date().toISOString() };
+                if (existing) {
+                    Object.assign(existing, contact);
+                } else {
+                    contacts.push({ id: entry.id || crypto.randomUUID(), ...contact });
+                }
+            }
+            await saveContacts(contacts);
+        }
+        
+        await addToChangelog('data_imported', 'system', { webhookCount: Object.keys(webhooks || {}).length });
+        
+        res.json({ success: true, message: 'Data imported successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Import failed: ' + error.message });
+    }
+});
+
+// Escape text for inclusion in server-rendered HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Function to generate the manager HTML
+function getManagerHTML(host, user) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${APP_NAME}</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 20px;
+        }
+        
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+        }
+        
+        .header {
+            background: white;
+            border-radius: 12px;
+            padding: 20px 30px;
+            margin-bottom: 30px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 15px;
+        }
+        
+        .header-left {
+            display: flex;
+            align-items: center;
+            gap: 20px;
+            flex: 1;
+        }
+        
+        .header h1 {
+            color: #333;
+            font-size: 24px;
+        }
+        
+        .version {
+            color: #6b7280;
+            font-size: 12px;
+        }
+        
+        .webhook-counter {
+            background: #6366f1;
+            color: white;
+            padding: 5px 12px;
+            border-radius: 20px;
+            font-size: 14px;
+            font-weight: 600;
+        }
+        
+        .status {
+            display: inline-block;
+            padding: 5px 12px;
+            border-radius: 20px;
+            font-size: 14px;
+            font-weight: 600;
+        }
+        
+        .status.connected {
+            background: #10b981;
+            color: white;
+        }
+        
+        .status.disconnected {
+            background: #ef4444;
+            color: white;
+        }
+        
+        .quick-actions {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+        }
+        
+        .main-content {
+            background: white;
+            border-radius: 12px;
+            padding: 25px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+            margin-bottom: 20px;
+        }
+        
+        .tabs {
+            display: flex;
+            gap: 10px;
+            margin-bottom: 20px;
+            border-bottom: 2px solid #f3f4f6;
+            align-items: center;
+        }
+        
+        .tab {
+            padding: 10px 20px;
+            background: none;
+            border: none;
+            color: #6b7280;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+            border-bottom: 2px solid transparent;
+            margin-bottom: -2px;
+        }
+        
+        .tab.active {
+            color: #6366f1;
+            border-bottom-color: #6366f1;
+        }
+        
+        .tab-content {
+            display: none;
+        }
+        
+        .tab-content.active {
+            display: block;
+        }
+        
+        .filter-section {
+            margin-bottom: 20px;
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+        }
+        
+        .filter-input {
+            padding: 8px 12px;
+            border: 1px solid #d1d5db;
+            border-radius: 6px;
+            font-size: 14px;
+        }
+        
+        .webhook-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(400px, 1fr));
+            gap: 20px;
+        }
+        
+        .webhook-item {
+            background: #f9fafb;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+            padding: 15px;
+            transition: all 0.3s ease;
+        }
+        
+        .webhook-item:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+        }
+        
+        .webhook-name {
+            font-weight: 600;
+            color: #4b5563;
+            margin-bottom: 8px;
+            font-size: 16px;
+        }
+        
+        .webhook-url {
+            font-size: 12px;
+            color: #6b7280;
+            background: white;
+            padding: 8px;
+            border-radius: 4px;
+            margin: 8px 0;
+            word-break: break-all;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            border: 1px solid #e5e7eb;
+        }
+        
+        .webhook-details {
+            font-size: 13px;
+            color: #6b7280;
+            margin: 8px 0;
+        }
+        
+        .webhook-indicators {
+            display: flex;
+            gap: 8px;
+            margin: 8px 0;
+        }
+        
+        .indicator {
+            padding: 3px 8px;
+            border-radius: 4px;
+            font-size: 11px;
+            font-weight: 500;
+        }
+        
+        .indicator.sms {
+            background: #dbeafe;
+            color: #1e40af;
+        }
+        
+        .indicator.email {
+            background: #fce7f3;
+            color: #9f1239;
+        }
+        
+        .indicator.browser {
+            background: #fef3c7;
+            color: #92400e;
+        }
+        
+        .indicator.chat {
+            background: #ede9fe;
+            color: #5b21b6;
+        }
+        
+        .indicator.secured {
+            background: #d1fae5;
+            color: #065f46;
+        }
+        
+        .indicator.open {
+            background: #dcfce7;
+            color: #166534;
+        }
+        
+        .indicator.closed {
+            background: #fee2e2;
+            color: #991b1b;
+        }
+        
+        .routing-row {
+            display: grid;
+            grid-template-columns: 110px 1fr 1fr;
+            gap: 8px;
+            margin-top: 8px;
+        }
+        
+        .routing-rule {
+            border: 1px solid #e5e7eb;
+            border-radius: 6px;
+            padding: 10px;
+            margin-bottom: 10px;
+        }
+        
+        .calendar-grid {
+            display: grid;
+            grid-template-columns: repeat(7, 1fr);
+            gap: 4px;
+            margin-bottom: 15px;
+        }
+        
+        .calendar-day {
+            border: 1px solid #e5e7eb;
+            border-radius: 6px;
+            padding: 6px;
+            min-height: 60px;
+            font-size: 12px;
+        }
+        
+        .calendar-day.today {
+            border-color: #3b82f6;
+        }
+        
+        .calendar-date {
+            font-weight: 600;
+            color: #6b7280;
+            margin-bottom: 4px;
+        }
+        
+        .calendar-override {
+            color: #b45309;
+        }
+        
+        .hours-grid {
+            display: grid;
+            grid-template-columns: 50px 1fr;
+            gap: 6px 10px;
+            align-items: center;
+        }
+        
+        .webhook-tags {
+            display: flex;
+            gap: 5px;
+            flex-wrap: wrap;
+            margin: 8px 0;
+        }
+        
+        .tag {
+            background: #e5e7eb;
+            color: #4b5563;
+            padding: 2px 8px;
+            border-radius: 4px;
+            font-size: 11px;
+        }
+        
+        .webhook-actions {
+            margin-top: 12px;
+            display: flex;
+            gap: 8px;
+        }
+        
+        .btn {
+            padding: 8px 16px;
+            border: none;
+            border-radius: 6px;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+            transition: all 0.3s ease;
+        }
+        
+        .btn-small {
+            padding: 6px 12px;
+            font-size: 13px;
+        }
+        
+        .btn-primary {
+            background: #6366f1;
+            color: white;
+        }
+        
+        .btn-primary:hover {
+            background: #4f46e5;
+        }
+        
+        .btn-secondary {
+            background: #f3f4f6;
+            color: #4b5563;
+        }
+        
+        .btn-secondary:hover {
+            background: #e5e7eb;
+        }
+        
+        .btn-success {
+            background: #10b981;
+            color: white;
+        }
+        
+        .btn-success:hover {
+            background: #059669;
+        }
+        
+        .btn-warning {
+            background: #f59e0b;
+            color: white;
+        }
+        
+        .btn-warning:hover {
+            background: #d97706;
+        }
+        
+        .btn-copy {
+            background: #8b5cf6;
+            color: white;
+            padding: 4px 10px;
+            font-size: 12px;
+        }
+        
+        .btn-copy:hover {
+            background: #7c3aed;
+        }
+        
+        .modal {
+            display: none;
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        }
+        
+        .modal.active {
+            display: flex;
+        }
+        
+        .modal-content {
+            background: white;
+            border-radius: 12px;
+            padding: 30px;
+            max-width: 600px;
+            width: 90%;
+            max-height: 90vh;
+            overflow-y: auto;
+        }
+        
+        .modal-header {
+            margin-bottom: 20px;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        
+        .modal-header h2 {
+            color: #333;
+        }
+        
+        .close-modal {
+            font-size: 28px;
+            color: #6b7280;
+            cursor: pointer;
+            background: none;
+            border: none;
+        }
+        
+        .close-modal:hover {
+            color: #374151;
+        }
+        
+        .form-group {
+            margin-bottom: 20px;
+        }
+        
+        .form-group label {
+            display: block;
+            margin-bottom: 5px;
+            color: #374151;
+            font-weight: 500;
+        }
+        
+        .form-group input,
+        .form-group textarea {
+            width: 100%;
+            padding: 10px;
+            border: 1px solid #d1d5db;
+            border-radius: 6px;
+            font-size: 14px;
+        }
+        
+        .form-group textarea {
+            min-height: 100px;
+            resize: vertical;
+        }
+        
+        .form-group small {
+            color: #6b7280;
+            font-size: 12px;
+            margin-top: 5px;
+            display: block;
+        }
+        
+        .form-group small.field-error {
+            color: #dc2626;
+        }
+        
+        .checkbox-group {
+            display: flex;
+            gap: 20px;
+            margin-top: 10px;
+        }
+        
+        .checkbox-group label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-weight: normal;
+        }
+        
+        .test-config {
+            background: #f3f4f6;
+            border-radius: 6px;
+            padding: 12px;
+            margin-top: 10px;
+            font-size: 13px;
+            color: #4b5563;
+        }
+        
+        .toast {
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            background: #10b981;
+            color: white;
+            padding: 15px 20px;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+            display: none;
+            animation: slideIn 0.3s ease;
+            z-index: 2000;
+        }
+        
+        .toast.error {
+            background: #ef4444;
+        }
+        
+        .toast.show {
+            display: block;
+        }
+        
+        @keyframes slideIn {
+            from {
+                transform: translateX(100%);
+            }
+            to {
+                transform: translateX(0);
+            }
+        }
+        
+        .changelog-entry {
+            padding: 10px;
+            border-bottom: 1px solid #e5e7eb;
+            font-size: 13px;
+        }
+        
+        .changelog-entry:last-child {
+            border-bottom: none;
+        }
+        
+        .changelog-time {
+            color: #6b7280;
+            font-size: 11px;
+        }
+        
+        .changelog-action {
+            font-weight: 500;
+            color: #4b5563;
+        }
+        
+        .delivery-entry {
+            padding: 10px;
+            border-bottom: 1px solid #e5e7eb;
+            font-size: 13px;
+            cursor: pointer;
+        }
+        
+        .delivery-entry:last-child {
+            border-bottom: none;
+        }
+        
+        .delivery-details {
+            display: none;
+            margin-top: 8px;
+            background: #f9fafb;
+            border: 1px solid #e5e7eb;
+            border-radius: 6px;
+            padding: 10px;
+            white-space: pre-wrap;
+            font-family: monospace;
+            font-size: 12px;
+            cursor: text;
+        }
+        
+        .delivery-entry.expanded .delivery-details {
+            display: block;
+        }
+        
+        .delivery-status {
+            padding: 2px 8px;
+            border-radius: 4px;
+            font-size: 11px;
+            font-weight: 600;
+        }
+        
+        .delivery-status.sent,
+        .delivery-status.acknowledged {
+            background: #d1fae5;
+            color: #065f46;
+        }
+        
+        .delivery-status.failed,
+        .delivery-status.open,
+        .delivery-status.unacknowledged {
+            background: #fee2e2;
+            color: #991b1b;
+        }
+        
+        .delivery-status.pending,
+        .delivery-status.queued,
+        .delivery-status.deferred,
+        .delivery-status.downgraded {
+            background: #fef3c7;
+            color: #92400e;
+        }
+        
+        .delivery-status.dead_letter,
+        .delivery-status.discarded,
+        .delivery-status.suppressed {
+            background: #e5e7eb;
+            color: #4b5563;
+        }
+        
+        .usage-chart {
+            display: flex;
+            align-items: flex-end;
+            gap: 2px;
+            height: 160px;
+            border-bottom: 1px solid #e5e7eb;
+        }
+        
+        .usage-bar {
+            flex: 1;
+            min-height: 1px;
+            background: #6366f1;
+            border-radius: 2px 2px 0 0;
+        }
+        
+        .usage-axis {
+            display: flex;
+            justify-content: space-between;
+            color: #6b7280;
+            font-size: 11px;
+            margin-top: 4px;
+        }
+        
+        .queue-section h3 {
+            color: #4b5563;
+            font-size: 16px;
+            margin: 10px 0;
+        }
+        
+        .empty-state {
+            text-align: center;
+            padding: 40px;
+            color: #6b7280;
+        }
+        
+        .test-section {
+            background: #fef3c7;
+            border: 1px solid #fbbf24;
+            border-radius: 8px;
+            padding: 15px;
+        }
+        
+        .test-section h3 {
+            color: #92400e;
+            margin-bottom: 10px;
+            font-size: 16px;
+        }
+        
+        /* Hide controls the signed-in role cannot use */
+        .role-viewer .editor-only,
+        .role-viewer .admin-only,
+        .role-editor .admin-only {
+            display: none !important;
+        }
+        
+        .access-form {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+            margin-bottom: 15px;
+        }
+        
+        .new-token {
+            background: #d1fae5;
+            border: 1px solid #10b981;
+            border-radius: 6px;
+            padding: 10px;
+            margin-bottom: 15px;
+            font-family: monospace;
+            font-size: 13px;
+            word-break: break-all;
+            display: none;
+        }
+    </style>
+</head>
+<body class="role-${user.role}">
+    <div class="container">
+        <div class="header">
+            <div class="header-left">
+                <div>
+                    <h1>${APP_NAME}</h1>
+                    <div class="version">SubVersion ${APP_VERSION} | ${escapeHtml(user.username)} (${user.role})</div>
+                </div>
+                <span class="webhook-counter" id="webhookCounter">0 Webhooks</span>
+                <span class="status connected" id="connectionStatus">Connected</span>
+            </div>
+            <div class="quick-actions">
+                <button class="btn btn-secondary btn-small" onclick="refreshWebhooks()">Refresh</button>
+                <button class="btn btn-success btn-small" onclick="testConnection()">Test Connection</button>
+                <button class="btn btn-primary btn-small editor-only" onclick="showAddWebhookModal()">+ Add Webhook</button>
+                <button class="btn btn-secondary btn-small admin-only" onclick="exportData()">Export</button>
+                <button class="btn btn-secondary btn-small admin-only" onclick="document.getElementById('importFile').click()">Import</button>
+                <input type="file" id="importFile" style="display: none;" accept=".json" onchange="importData(event)">
+                <button class="btn btn-secondary btn-small" id="notifyButton" onclick="enableNotifications()">Enable Notifications</button>
+                <button class="btn btn-secondary btn-small" onclick="window.open('/help', '_blank')">Help</button>
+                <button class="btn btn-secondary btn-small" onclick="logout()">Log Out</button>
+            </div>
+        </div>
+        
+        <div class="main-content">
+            <div class="tabs">
+                <button class="tab active" onclick="switchTab('active')">Webhooks</button>
+                <button class="tab" onclick="switchTab('archived')">Archived</button>
+                <button class="tab" onclick="switchTab('schedules')">Schedules</button>
+                <button class="tab" onclick="switchTab('rotations')">On Call</button>
+                <button class="tab" onclick="switchTab('people')">People</button>
+                <button class="tab" onclick="switchTab('contacts')">Contacts</button>
+                <button class="tab" onclick="switchTab('incidents')">Incidents</button>
+                <button class="tab" onclick="switchTab('replies')">Replies</button>
+                <button class="tab" onclick="switchTab('deliveries')">Deliveries</button>
+                <button class="tab" onclick="switchTab('usage')">Usage</button>
+                <button class="tab" onclick="switchTab('queue')">Retry Queue</button>
+                <button class="tab" onclick="switchTab('changelog')">Changelog</button>
+                <button class="tab editor-only" onclick="switchTab('test')">Test SMS</button>
+                <button class="tab admin-only" onclick="switchTab('access')">Access</button>
+                <button class="tab admin-only" onclick="switchTab('settings')">Settings</button>
+            </div>
+            
+            <div class="tab-content active" id="active-tab">
+                <div class="filter-section">
+                    <input type="text" class="filter-input" id="searchFilter" placeholder="Search webhooks..." onkeyup="filterWebhooks()">
+                    <input type="text" class="filter-input" id="tagFilter" placeholder="Filter by tags..." onkeyup="filterWebhooks()">
+                    <select class="filter-input" id="typeFilter" onchange="filterWebhooks()">
+                        <option value="">All Types</option>
+                    </select>
+                </div>
+                <div class="webhook-grid" id="webhookList">
+                    <!-- Active webhooks will be loaded here -->
+                </div>
+            </div>
+            
+            <div class="tab-content" id="archived-tab">
+                <div class="webhook-grid" id="archivedList">
+                    <!-- Archived webhooks will be loaded here -->
+                </div>
+            </div>
+            
+            <div class="tab-content" id="schedules-tab">
+                <div class="filter-section editor-only">
+                    <button class="btn btn-primary btn-small" onclick="showAddScheduleModal()">+ Add Schedule</button>
+                </div>
+                <div class="webhook-grid" id="scheduleList">
+                    <!-- Schedules will be loaded here -->
+                </div>
+            </div>
+            
+            <div class="tab-content" id="rotations-tab">
+                <div class="filter-section editor-only">
+                    <button class="btn btn-primary btn-small" onclick="showAddRotationModal()">+ Add Rotation</button>
+                </div>
+                <div class="webhook-grid" id="rotationList">
+                    <!-- Rotations will be loaded here -->
+                </div>
+                <div class="queue-section" id="rotationCalendarSection" style="display: none;">
+                    <h3 id="rotationCalendarTitle"></h3>
+                    <small>Next four weeks, in your browser's time</small>
+                    <div class="calendar-grid" id="rotationCalendar"></div>
+                    <h3>Overrides</h3>
+                    <div class="access-form editor-only">
+                        <input type="text" class="filter-input" id="overrideName" list="rotationMemberList" placeholder="Who covers">
+                        <input type="text" class="filter-input" id="overridePhone" placeholder="Phone (if not a member)">
+                        <input type="datetime-local" class="filter-input" id="overrideStart">
+                        <input type="datetime-local" class="filter-input" id="overrideEnd">
+                        <button class="btn btn-primary btn-small" onclick="addOverride()">Add Override</button>
+                    </div>
+                    <datalist id="rotationMemberList"></datalist>
+                    <div id="overrideList"></div>
+                </div>
+            </div>
+            
+            <div class="tab-content" id="people-tab">
+                <div class="filter-section editor-only">
+                    <button class="btn btn-primary btn-small" onclick="showAddPersonModal()">+ Add Person</button>
+                </div>
+                <div class="webhook-grid" id="personList">
+                    <!-- People will be loaded here -->
+                </div>
+                <div class="queue-section">
+                    <h3>Groups</h3>
+                    <div class="filter-section editor-only">
+                        <button class="btn btn-primary btn-small" onclick="showAddGroupModal()">+ Add Group</button>
+                    </div>
+                    <div class="webhook-grid" id="groupList">
+                        <!-- Groups will be loaded here -->
+                    </div>
+                </div>
+            </div>
+            
+            <div class="tab-content" id="contacts-tab">
+                <div class="filter-section">
+                    <input type="text" class="filter-input" id="contactSearch" placeholder="Search contacts..." oninput="loadContacts()">
+                    <button class="btn btn-primary btn-small editor-only" onclick="showAddContactModal()">+ Add Contact</button>
+                    <button class="btn btn-secondary btn-small editor-only" onclick="document.getElementById('contactImportFile').click()">Import CSV</button>
+                    <input type="file" id="contactImportFile" style="display: none;" accept=".csv,text/csv" onchange="importContacts(event)">
+                </div>
+                <div id="contactList">
+                    <!-- Contacts will be loaded here -->
+                </div>
+            </div>
+            
+            <div class="tab-content" id="incidents-tab">
+                <div class="filter-section">
+                    <select class="filter-input" id="incidentStatusFilter" onchange="loadIncidents()">
+                        <option value="">All Incidents</option>
+                        <option value="open">Open</option>
+                        <option value="acknowledged">Acknowledged</option>
+                        <option value="unacknowledged">Never Acknowledged</option>
+                    </select>
+                </div>
+                <div id="incidentList">
+                    <!-- Incidents will be loaded here -->
+                </div>
+                <div class="queue-section">
+                    <h3>Escalation Policies</h3>
+                    <div class="filter-section editor-only">
+                        <button class="btn btn-primary btn-small" onclick="showAddEscalationModal()">+ Add Policy</button>
+                    </div>
+                    <div class="webhook-grid" id="escalationList">
+                        <!-- Escalation policies will be loaded here -->
+                    </div>
+                </div>
+            </div>
+            
+            <div class="tab-content" id="replies-tab">
+                <div id="conversationList">
+                    <!-- SMS conversations will be loaded here -->
+                </div>
+                <div class="queue-section">
+                    <h3>Opted Out and Muted</h3>
+                    <div id="smsPreferenceList">
+                        <!-- Opt-outs and mutes will be loaded here -->
+                    </div>
+                </div>
+            </div>
+            
+            <div class="tab-content" id="deliveries-tab">
+                <div class="filter-section">
+                    <select class="filter-input" id="deliveryWebhookFilter" onchange="loadDeliveries()">
+                        <option value="">All Webhooks</option>
+                    </select>
+                    <select class="filter-input" id="deliveryStatusFilter" onchange="loadDeliveries()">
+                        <option value="">All Statuses</option>
+                        <option value="sent">Sent</option>
+                        <option value="failed">Failed</option>
+                        <option value="pending">Pending</option>
+                        <option value="queued">Queued for Retry</option>
+                        <option value="dead_letter">Dead Letter</option>
+                        <option value="discarded">Discarded</option>
+                        <option value="suppressed">Suppressed</option>
+                        <option value="deferred">Deferred (Quiet Hours)</option>
+                        <option value="downgraded">Sent by Email (Quiet Hours)</option>
+                    </select>
+                    <input type="date" class="filter-input" id="deliveryFromFilter" onchange="loadDeliveries()">
+                    <input type="date" class="filter-input" id="deliveryToFilter" onchange="loadDeliveries()">
+                </div>
+                <div id="deliveryList">
+                    <!-- Deliveries will be loaded here -->
+                </div>
+            </div>
+            
+            <div class="tab-content" id="usage-tab">
+                <div class="filter-section">
+                    <select class="filter-input" id="usageWebhookFilter" onchange="loadUsage()">
+                        <option value="">All Webhooks</option>
+                    </select>
+                    <input type="date" class="filter-input" id="usageFromFilter" onchange="loadUsage()">
+                    <input type="date" class="filter-input" id="usageToFilter" onchange="loadUsage()">
+                </div>
+                <div class="queue-section">
+                    <h3>SMS Segments per Day</h3>
+                    <div class="usage-chart" id="usageChart"></div>
+                    <div class="usage-axis" id="usageAxis"></div>
+                    <div class="changelog-time" id="usageSummary"></div>
+                </div>
+                <div class="queue-section">
+                    <h3>By Webhook</h3>
+                    <div id="usageWebhookList">
+                        <!-- Per-webhook usage will be loaded here -->
+                    </div>
+                </div>
+                <div class="queue-section">
+                    <h3>By Recipient</h3>
+                    <div id="usageRecipientList">
+                        <!-- Per-recipient usage will be loaded here -->
+                    </div>
+                </div>
+            </div>
+            
+            <div class="tab-content" id="queue-tab">
+                <div class="queue-section">
+                    <h3>Waiting to Retry</h3>
+                    <div id="queuePendingList">
+                        <!-- Pending retries will be loaded here -->
+                    </div>
+                </div>
+                <div class="queue-section">
+                    <h3>Dead Letter</h3>
+                    <div id="queueDeadList">
+                        <!-- Dead-lettered sends will be loaded here -->
+                    </div>
+                </div>
+            </div>
+            
+            <div class="tab-content" id="changelog-tab">
+                <div id="changelogList">
+                    <!-- Changelog will be loaded here -->
+                </div>
+            </div>
+            
+            <div class="tab-content" id="test-tab">
+                <div class="test-section">
+                    <h3>Test SMS Functionality</h3>
+                    <div class="form-group">
+                        <label>Webhook Type</label>
+                        <select id="testType" style="width: 100%; padding: 10px; border: 1px solid #d1d5db; border-radius: 6px;" onchange="showTestConfig()">
+                            <option value="general">General</option>
+                        </select>
+                    </div>
+                    <div id="testConfigDisplay" class="test-config">
+                        <!-- Config will show here -->
+                    </div>
+                    <div class="form-group">
+                        <label>Test Message</label>
+                        <textarea id="testMessage" placeholder="Enter your test message here..."></textarea>
+                    </div>
+                    <button class="btn btn-success" onclick="sendTestSMS()">Send Test SMS</button>
+                </div>
+            </div>
+            
+            <div class="tab-content" id="settings-tab">
+                <div class="queue-section">
+                    <h3>Time and Date</h3>
+                    <div class="form-group">
+                        <label>Default Timezone</label>
+                        <input type="text" class="filter-input" id="settingsTimezone" list="timezoneList" placeholder="e.g. America/New_York" style="width: 100%;">
+                        <small id="serverTimezoneNote">Used for {time}, {date} and date formats unless a webhook sets its own</small>
+                    </div>
+                    <div class="form-group">
+                        <label>Default Locale</label>
+                        <input type="text" class="filter-input" id="settingsLocale" placeholder="e.g. en-US, en-GB, fr-CA" style="width: 100%;">
+                        <small>Controls month/day names and the default {time}/{date} style</small>
+                    </div>
+                    <div class="form-group">
+                        <label>Default Country</label>
+                        <select class="filter-input" id="settingsCountry" style="width: 100%;"></select>
+                        <small>Phone numbers saved without a +country code are treated as numbers in this country</small>
+                    </div>
+                    <div class="form-group">
+                        <label>SMS Cost per Segment</label>
+                        <input type="number" class="filter-input" id="settingsSmsCost" min="0" step="0.0001" placeholder="e.g. 0.0079" style="width: 100%;">
+                        <small>Used to estimate spend on the Usage tab. 0 hides costs.</small>
+                    </div>
+                    <button class="btn btn-primary" onclick="saveSettings()">Save Settings</button>
+                </div>
+            </div>
+            
+            <div class="tab-content" id="access-tab">
+                <div class="queue-section">
+                    <h3>Users</h3>
+                    <div class="access-form">
+                        <input type="text" class="filter-input" id="newUsername" placeholder="Username">
+                        <input type="password" class="filter-input" id="newUserPassword" placeholder="Password (8+ characters)">
+                        <select class="filter-input" id="newUserRole">
+                            <option value="viewer">Viewer</option>
+                            <option value="editor">Editor</option>
+                            <option value="admin">Admin</option>
+                        </select>
+                        <button class="btn btn-primary btn-small" onclick="createUser()">Add User</button>
+                    </div>
+                    <div id="userList">
+                        <!-- Users will be loaded here -->
+                    </div>
+                </div>
+                <div class="queue-section">
+                    <h3>API Tokens</h3>
+                    <div class="access-form">
+                        <input type="text" class="filter-input" id="newTokenName" placeholder="Token name (e.g. deploy script)">
+                        <select class="filter-input" id="newTokenRole">
+                            <option value="viewer">Viewer</option>
+                            <option value="editor">Editor</option>
+                            <option value="admin">Admin</option>
+                        </select>
+                        <button class="btn btn-primary btn-small" onclick="createToken()">Create Token</button>
+                    </div>
+                    <div class="new-token" id="newTokenDisplay"></div>
+                    <div id="tokenList">
+                        <!-- Tokens will be loaded here -->
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Add/Edit Webhook Modal -->
+    <div class="modal" id="webhookModal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="modalTitle">Add New Webhook</h2>
+                <button class="close-modal" onclick="closeModal('webhookModal')">&times;</button>
+            </div>
+            <form id="webhookForm">
+                <div class="form-group">
+                    <label>Webhook Name</label>
+                    <input type="text" id="webhookName" required placeholder="e.g., after-hours, emergency, vip" />
+                    <small>Use lowercase letters and hyphens only (will be used in URL)</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Description</label>
+                    <input type="text" id="webhookDescription" required placeholder="What triggers this notification?" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Tags (comma-separated)</label>
+                    <input type="text" id="webhookTags" placeholder="urgent, sales, support" />
+                    <small>Tags for filtering and organization</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Notification Methods</label>
+                    <div class="checkbox-group" id="channelToggles">
+                        <!-- One checkbox per channel provider -->
+                    </div>
+                </div>
+                
+                <div id="channelFields">
+                    <!-- Settings for each enabled channel -->
+                </div>
+                
+                <div class="form-group">
+                    <label>Message Template</label>
+                    <textarea id="webhookTemplate" required placeholder="Call from {callerNumber}&#10;Time: {time}&#10;Extension: {extension}"></textarea>
+                    <small>Variables: {callerNumber}, {callerName}, {extension}, {time}, {date} or any payload field like {body.caller.id}. Filters and conditionals: {callerName|default:Unknown|upper}, {#if queueName}...{/if}. See Help for the full syntax.</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Timezone and Locale</label>
+                    <div class="checkbox-group" style="margin-top: 0;">
+                        <input type="text" id="webhookTimezone" list="timezoneList" placeholder="Default timezone" />
+                        <input type="text" id="webhookLocale" placeholder="Default locale" />
+                    </div>
+                    <small>Leave blank to use the defaults from Settings</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>SMS Length</label>
+                    <div class="routing-row" style="grid-template-columns: 1fr 3fr; margin-top: 0;">
+                        <input type="number" id="smsMaxLength" min="20" max="1600" placeholder="Max length" title="Longest SMS this webhook sends, in GSM-7 characters" />
+                        <input type="text" id="smsTruncateFields" placeholder="Fields to shorten first, e.g. customMessage, callerName" />
+                    </div>
+                    <div class="checkbox-group">
+                        <label><input type="checkbox" id="smsSplit"> Split long messages into (1/2), (2/2) texts</label>
+                        <label><input type="checkbox" id="smsSubstitute"> Replace smart quotes and emoji</label>
+                    </div>
+                    <small>Over the max length, the listed fields are shortened in order, then the end of the message is cut. Replacing smart quotes, dashes and emoji keeps messages in GSM-7, where a segment holds 160 characters instead of 70.</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Preview</label>
+                    <textarea id="previewPayload" spellcheck="false" style="font-family: monospace; font-size: 12px;">{
+  "callerNumber": "+15551234567",
+  "callerName": "Jane Doe",
+  "extension": "1001",
+  "queueName": "Support",
+  "waitTime": "120"
+}</textarea>
+                    <small>Sample payload (JSON) - nothing is sent</small>
+                    <div class="test-config" id="templatePreview" style="white-space: pre-wrap;"></div>
+                    <small id="templatePreviewStats"></small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Routing Rules</label>
+                    <div id="routingRules"></div>
+                    <button type="button" class="btn btn-secondary btn-small" onclick="addRoutingRule()">+ Add Rule</button>
+                    <small>Checked in order; the first rule whose conditions all match picks the recipients, template and channels. Blank fields and unmatched alerts use the settings above.</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Business Hours</label>
+                    <select id="webhookSchedule" class="filter-input" style="width: 100%;" onchange="updateScheduleRouting()">
+                        <option value="">No schedule - always send to the recipients above</option>
+                    </select>
+                    <div id="scheduleRoutingGroup" style="display: none;">
+                        <div class="routing-row">
+                            <select id="openAction" class="filter-input">
+                                <option value="send">Open: send</option>
+                                <option value="suppress">Open: suppress</option>
+                            </select>
+                            <input type="text" id="openRecipients" placeholder="SMS recipients (blank = above)" />
+                            <input type="text" id="openEmail" placeholder="Email recipients (blank = above)" />
+                        </div>
+                        <div class="routing-row">
+                            <select id="closedAction" class="filter-input">
+                                <option value="send">Closed: send</option>
+                                <option value="suppress">Closed: suppress</option>
+                            </select>
+                            <input type="text" id="closedRecipients" placeholder="SMS recipients (blank = above)" />
+                            <input type="text" id="closedEmail" placeholder="Email recipients (blank = above)" />
+                        </div>
+                        <small>Route to different people in and out of hours, or drop alerts entirely</small>
+                    </div>
+                </div>
+                
+                <div class="form-group">
+                    <label>Digest Mode</label>
+                    <div class="checkbox-group" style="margin-top: 0;">
+                        <select id="digestInterval" class="filter-input" onchange="updateDigestFields()">
+                            <option value="">Off - send every alert</option>
+                            <option value="15m">Every 15 minutes</option>
+                            <option value="hourly">Hourly</option>
+                            <option value="daily">Daily at</option>
+                        </select>
+                        <input type="time" id="digestTime" value="17:00" />
+                    </div>
+                    <div id="digestTemplateGroup" style="display: none; margin-top: 10px;">
+                        <textarea id="digestTemplate" placeholder="{count} {webhook} alerts since {since|date:h:mm A}:&#10;{lines}"></textarea>
+                        <small>Digest template: {count}, {webhook}, {description}, {since}, {until}, {callers}, {lines}, {first.callerNumber}, {last.callerName}. Blank uses the default shown.</small>
+                    </div>
+                </div>
+                
+                <div class="form-group">
+                    <label>Duplicates and Rate Limits</label>
+                    <div class="routing-row" style="grid-template-columns: repeat(4, 1fr); margin-top: 0;">
+                        <input type="number" id="dedupeWindow" min="0" placeholder="Dedupe min" title="Collapse repeat calls from the same caller within this many minutes" />
+                        <input type="number" id="ratePerMinute" min="0" placeholder="SMS/min" title="Most SMS this webhook sends per minute" />
+                        <input type="number" id="ratePerHour" min="0" placeholder="SMS/hour" title="Most SMS this webhook sends per hour" />
+                        <input type="number" id="ratePerRecipient" min="0" placeholder="Per person/hour" title="Most SMS any one number gets per hour" />
+                    </div>
+                    <small>Dedupe window (minutes), then SMS per minute, per hour and per recipient per hour. Blank means no limit. Held-back alerts are summed up in one SMS when the window closes.</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Monthly SMS Budget</label>
+                    <div class="routing-row" style="grid-template-columns: 1fr 1fr; margin-top: 0;">
+                        <input type="number" id="budgetSegments" min="1" placeholder="Segments per month" title="Most SMS segments this webhook sends in a calendar month" />
+                        <input type="number" id="budgetWarnPercent" min="1" max="100" placeholder="Warn at % (default 80)" title="Log a warning once this share of the budget is used" />
+                    </div>
+                    <small>Blank means no budget. Past the warning level a warning is logged; once the budget is used, only urgent alerts are texted until the month ends.</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Escalation</label>
+                    <select id="webhookEscalation" class="filter-input" style="width: 100%;">
+                        <option value="">None - send to the recipients above</option>
+                    </select>
+                    <small>With a policy, SMS and email go to its levels in turn until someone acknowledges</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Inbound Security</label>
+                    <select id="webhookSecretMode" class="filter-input" style="width: 100%;" onchange="updateSecretDisplay()">
+                        <option value="none">None - anyone with the URL can trigger it</option>
+                        <option value="token">Token query parameter (?token=...)</option>
+                        <option value="header">Secret header (X-Webhook-Secret)</option>
+                        <option value="hmac">HMAC signature (X-Webhook-Signature + X-Webhook-Timestamp)</option>
+                    </select>
+                    <div id="secretGroup" style="display: none; margin-top: 10px;">
+                        <div class="webhook-url">
+                            <span id="webhookSecretDisplay"></span>
+                            <button type="button" class="btn btn-copy btn-small" id="rotateSecretButton" onclick="rotateSecret()">Rotate</button>
+                        </div>
+                        <small id="secretHelp"></small>
+                    </div>
+                </div>
+                
+                <button type="submit" class="btn btn-primary" style="width: 100%;">Save Webhook</button>
+            </form>
+        </div>
+    </div>
+    
+    <!-- Add/Edit Schedule Modal -->
+    <div class="modal" id="scheduleModal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="scheduleModalTitle">Add Schedule</h2>
+                <button class="close-modal" onclick="closeModal('scheduleModal')">&times;</button>
+            </div>
+            <form id="scheduleForm">
+                <div class="form-group">
+                    <label>Schedule Name</label>
+                    <input type="text" id="scheduleName" required placeholder="e.g., office-hours, support-desk" />
+                    <small>Lowercase letters, numbers and hyphens</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Description</label>
+                    <input type="text" id="scheduleDescription" placeholder="Who keeps these hours?" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Timezone</label>
+                    <input type="text" id="scheduleTimezone" list="timezoneList" placeholder="Default timezone" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Weekly Hours</label>
+                    <div class="hours-grid" id="scheduleHours"></div>
+                    <small>e.g. 09:00-17:00, or 09:00-12:00, 13:00-17:00. Blank means closed. 22:00-06:00 runs past midnight.</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Holidays</label>
+                    <textarea id="scheduleHolidays" placeholder="2026-12-25 Christmas Day&#10;2027-01-01 New Year's Day"></textarea>
+                    <small>One per line: YYYY-MM-DD Name. Closed all day.</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Exceptions</label>
+                    <textarea id="scheduleExceptions" placeholder="2026-12-24 09:00-13:00 Christmas Eve&#10;2026-11-28 closed Staff training"></textarea>
+                    <small>One per line: YYYY-MM-DD hours Name. Replaces the weekly hours for that date.</small>
+                </div>
+                
+                <button type="submit" class="btn btn-primary" style="width: 100%;">Save Schedule</button>
+            </form>
+        </div>
+    </div>
+    
+    <!-- Add/Edit Rotation Modal -->
+    <div class="modal" id="rotationModal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="rotationModalTitle">Add Rotation</h2>
+                <button class="close-modal" onclick="closeModal('rotationModal')">&times;</button>
+            </div>
+            <form id="rotationForm">
+                <div class="form-group">
+                    <label>Rotation Name</label>
+                    <input type="text" id="rotationName" required placeholder="e.g., primary, support-backup" />
+                    <small>Webhooks send to it as oncall:name</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Description</label>
+                    <input type="text" id="rotationDescription" placeholder="Which team is this?" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Members</label>
+                    <textarea id="rotationMembers" required placeholder="Alice, +15551234567, alice@example.com&#10;Bob, +15559876543"></textarea>
+                    <small>One per line in rotation order: name, phone, email</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Handoff</label>
+                    <div class="checkbox-group" style="margin-top: 0;">
+                        <input type="number" id="rotationPeriod" min="1" value="7" title="Days per shift" />
+                        <input type="time" id="rotationHandoffTime" value="09:00" />
+                        <input type="date" id="rotationStartDate" required />
+                    </div>
+                    <small>Days per shift, handoff time, and the date the first member starts</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Timezone</label>
+                    <input type="text" id="rotationTimezone" list="timezoneList" placeholder="Default timezone" />
+                </div>
+                
+                <button type="submit" class="btn btn-primary" style="width: 100%;">Save Rotation</button>
+            </form>
+        </div>
+    </div>
+    
+    <!-- Add/Edit Escalation Policy Modal -->
+    <div class="modal" id="escalationModal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="escalationModalTitle">Add Escalation Policy</h2>
+                <button class="close-modal" onclick="closeModal('escalationModal')">&times;</button>
+            </div>
+            <form id="escalationForm">
+                <div class="form-group">
+                    <label>Policy Name</label>
+                    <input type="text" id="escalationName" required placeholder="e.g., critical, overflow" />
+                    <small>Lowercase letters, numbers and hyphens</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Description</label>
+                    <input type="text" id="escalationDescription" placeholder="When is this used?" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Levels</label>
+                    <div id="escalationLevels"></div>
+                    <button type="button" class="btn btn-secondary btn-small" onclick="addEscalationLevel()">+ Add Level</button>
+                    <small>SMS recipients, email recipients (either can use person:name, group:name or oncall:rotation-name) and minutes to wait for an acknowledgement before moving on</small>
+                </div>
+                
+                <button type="submit" class="btn btn-primary" style="width: 100%;">Save Policy</button>
+            </form>
+        </div>
+    </div>
+    
+    <div class="modal" id="personModal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="personModalTitle">Add Person</h2>
+                <button class="close-modal" onclick="closeModal('personModal')">&times;</button>
+            </div>
+            <form id="personForm">
+                <div class="form-group">
+                    <label>Name</label>
+                    <input type="text" id="personName" required placeholder="e.g., alice, night-desk" />
+                    <small>Webhooks send to them as person:name</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Description</label>
+                    <input type="text" id="personDescription" placeholder="Alice Smith, support lead" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Phone Number</label>
+                    <input type="text" id="personPhone" placeholder="+15551234567" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Email</label>
+                    <input type="email" id="personEmail" placeholder="alice@example.com" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Preferred Channel</label>
+                    <select id="personChannel" class="filter-input" style="width: 100%;">
+                        <option value="sms">SMS</option>
+                        <option value="email">Email</option>
+                        <option value="both">SMS and email</option>
+                    </select>
+                    <small>Used whether a webhook lists them under SMS or email recipients</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Quiet Hours</label>
+                    <div class="checkbox-group" style="margin-top: 0;">
+                        <input type="time" id="personQuietStart" title="Quiet from" />
+                        <input type="time" id="personQuietEnd" title="Quiet until" />
+                        <select id="personQuietAction" class="filter-input">
+                            <option value="defer">Send when they end</option>
+                            <option value="email">Email instead</option>
+                            <option value="digest">One summary when they end</option>
+                        </select>
+                    </div>
+                    <input type="text" id="personTimezone" list="timezoneList" placeholder="Default timezone" style="margin-top: 8px;" />
+                    <small>Texts that aren't urgent are held during these hours, in this timezone. Leave the times blank for none.</small>
+                </div>
+                
+                <button type="submit" class="btn btn-primary" style="width: 100%;">Save Person</button>
+            </form>
+        </div>
+    </div>
+    
+    <div class="modal" id="groupModal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="groupModalTitle">Add Group</h2>
+                <button class="close-modal" onclick="closeModal('groupModal')">&times;</button>
+            </div>
+            <form id="groupForm">
+                <div class="form-group">
+                    <label>Group Name</label>
+                    <input type="text" id="groupName" required placeholder="e.g., support, managers" />
+                    <small>Webhooks send to everyone in it as group:name</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Description</label>
+                    <input type="text" id="groupDescription" placeholder="Who is this?" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Members</label>
+                    <div class="checkbox-group" id="groupMembers"></div>
+                </div>
+                
+                <button type="submit" class="btn btn-primary" style="width: 100%;">Save Group</button>
+            </form>
+        </div>
+    </div>
+    
+    <div class="modal" id="contactModal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="contactModalTitle">Add Contact</h2>
+                <button class="close-modal" onclick="closeModal('contactModal')">&times;</button>
+            </div>
+            <form id="contactForm">
+                <div class="form-group">
+                    <label>Phone Number</label>
+                    <input type="text" id="contactPhone" required placeholder="+15551234567" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Name</label>
+                    <input type="text" id="contactName" required placeholder="Jane Doe" />
+                </div>
+                
+                <div class="form-group">
+                    <label>Company</label>
+                    <input type="text" id="contactCompany" placeholder="Acme Corp" />
+                </div>
+                
+                <div class="form-group">
+                    <div class="checkbox-group" style="margin-top: 0;">
+                        <label>
+                            <input type="checkbox" id="contactVip" />
+                            VIP
+                        </label>
+                    </div>
+                    <small>Routing rules can match VIP callers with contact.vip equals true</small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Notes</label>
+                    <textarea id="contactNotes" placeholder="Anything the on-call person should know"></textarea>
+                </div>
+                
+                <button type="submit" class="btn btn-primary" style="width: 100%;">Save Contact</button>
+            </form>
+        </div>
+    </div>
+    
+    <datalist id="timezoneList"></datalist>
+    <datalist id="ruleFieldList">
+        <option value="callerNumber">
+        <option value="callerName">
+        <option value="extension">
+        <option value="queueName">
+        <option value="waitTime">
+        <option value="customMessage">
+        <option value="contact.vip">
+        <option value="contact.company">
+    </datalist>
+    
+    <!-- Toast Notification -->
+    <div class="toast" id="toast"></div>
+    
+    <script>
+        const serviceUrl = window.location.origin;
         
-        .webhook-url {
-            font-size: 12px;
-            color: #6b7280;
-            background: white;
-            padding: 8px;
-            border-radius: 4px;
-            margin: 8px 0;
-            word-break: break-all;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            border: 1px solid #e5e7eb;
-        }
+        // Send expired sessions back to the login page
+        const nativeFetch = window.fetch.bind(window);
+        window.fetch = async (...args) => {
+            const response = await nativeFetch(...args);
+            if (response.status === 401) {
+                window.location.href = '/login';
+            }
+            return response;
+        };
         
-        .webhook-details {
-            font-size: 13px;
-            color: #6b7280;
-            margin: 8px 0;
-        }
+        let webhooks = {};
+        let archivedWebhooks = {};
+        let editingWebhook = null;
+        let allWebhooks = {};
+        let schedules = {};
+        let editingSchedule = null;
+        let rotations = {};
+        let editingRotation = null;
+        let calendarRotation = null;
+        let escalationPolicies = {};
+        let editingEscalation = null;
+        let pendingDigests = {};
+        let people = {};
+        let editingPerson = null;
+        let groups = {};
+        let editingGroup = null;
+        let channelProviders = [];
         
-        .webhook-indicators {
-            display: flex;
-            gap: 8px;
-            margin: 8px 0;
+        // Initialize
+        async function init() {
+            await loadChannels();
+            await refreshWebhooks();
+            await loadChangelog();
+            updateTestTypeOptions();
+            setupTemplatePreview();
+            setupTimezoneList();
+            setupScheduleHours();
+            setupNotificationStream();
+            updateNotifyButton();
         }
         
-        .indicator {
-            padding: 3px 8px;
-            border-radius: 4px;
-            font-size: 11px;
-            font-weight: 500;
+        // Listen for browserNotify webhooks firing
+        function setupNotificationStream() {
+            const stream = new EventSource(serviceUrl + '/api/notifications/stream');
+            
+            stream.addEventListener('notification', (e) => {
+                const notification = JSON.parse(e.data);
+                showToast(notification.title);
+                
+                if ('Notification' in window && Notification.permission === 'granted') {
+                    // Same tag as the Web Push notification so the browser shows only one
+                    new Notification(notification.title, {
+                        body: notification.body,
+                        tag: notification.webhook
+                    });
+                }
+            });
         }
         
-        .indicator.sms {
-            background: #dbeafe;
-            color: #1e40af;
+        // Reflect the current notification permission on the header button
+        function updateNotifyButton() {
+            const button = document.getElementById('notifyButton');
+            if (!('Notification' in window)) {
+                button.style.display = 'none';
+            } else if (Notification.permission === 'granted') {
+                button.textContent = 'Notifications On';
+            } else if (Notification.permission === 'denied') {
+                button.textContent = 'Notifications Blocked';
+            }
         }
         
-        .indicator.email {
-            background: #fce7f3;
-            color: #9f1239;
+        // Ask for notification permission and subscribe to Web Push if the server supports it
+        async function enableNotifications() {
+            try {
+                const permission = await Notification.requestPermission();
+                updateNotifyButton();
+                
+                if (permission !== 'granted') {
+                    showToast('Notifications were not allowed', true);
+                    return;
+                }
+                
+                const response = await fetch(serviceUrl + '/api/push/public-key');
+                const push = await response.json();
+                
+                if (push.enabled && 'serviceWorker' in navigator && 'PushManager' in window) {
+                    const registration = await navigator.serviceWorker.register('/sw.js');
+                    await navigator.serviceWorker.ready;
+                    
+                    let subscription = await registration.pushManager.getSubscription();
+                    if (!subscription) {
+                        subscription = await registration.pushManager.subscribe({
+                            userVisibleOnly: true,
+                            applicationServerKey: urlBase64ToUint8Array(push.publicKey)
+                        });
+                    }
+                    
+                    await fetch(serviceUrl + '/api/push/subscribe', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(subscription)
+                    });
+                    showToast('Notifications enabled, including when this tab is closed');
+                } else {
+                    showToast('Notifications enabled while this tab is open');
+                }
+            } catch (error) {
+                showToast('Error enabling notifications: ' + error.message, true);
+            }
         }
         
-        .indicator.browser {
-            background: #fef3c7;
-            color: #92400e;
+        // Convert the VAPID public key for PushManager.subscribe
+        function urlBase64ToUint8Array(base64String) {
+            const padding = '='.repeat((4 - base64String.length % 4) % 4);
+            const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+            const raw = atob(base64);
+            return Uint8Array.from(raw, c => c.charCodeAt(0));
         }
         
-        .webhook-tags {
-            display: flex;
-            gap: 5px;
-            flex-wrap: wrap;
-            margin: 8px 0;
+        // Load the channel providers and build their settings into the webhook editor
+        async function loadChannels() {
+            try {
+                const response = await fetch(serviceUrl + '/api/channels');
+                channelProviders = (await response.json()).channels || [];
+            } catch (error) {
+                console.error('Error loading channels:', error);
+            }
+            renderChannelFields();
+            
+            const typeFilter = document.getElementById('typeFilter');
+            typeFilter.innerHTML = '<option value="">All Types</option>';
+            channelProviders.forEach(channel => typeFilter.add(new Option(channel.label, channel.type)));
         }
         
-        .tag {
-            background: #e5e7eb;
-            color: #4b5563;
-            padding: 2px 8px;
-            border-radius: 4px;
-            font-size: 11px;
+        // Channel field inputs have ids like field-recipients and field-slack-url
+        function getChannelFieldId(field) {
+            return 'field-' + field.path.replace(/\\./g, '-');
         }
         
-        .webhook-actions {
-            margin-top: 12px;
-            display: flex;
-            gap: 8px;
+        function renderChannelFields() {
+            const toggles = document.getElementById('channelToggles');
+            const container = document.getElementById('channelFields');
+            toggles.innerHTML = '';
+            container.innerHTML = '';
+            
+            channelProviders.forEach(channel => {
+                const toggle = document.createElement('label');
+                toggle.innerHTML = '<input type="checkbox" id="enable-' + channel.type + '"> <span></span>';
+                toggle.querySelector('span').textContent = channel.label + (channel.configured ? '' : ' (not configured)');
+                toggle.querySelector('input').addEventListener('change', (e) => toggleChannel(channel.type, e.target.checked));
+                toggles.appendChild(toggle);
+                
+                if (channel.fields.length === 0) return;
+                const group = document.createElement('div');
+                group.className = 'form-group';
+                group.id = 'channel-' + channel.type;
+                group.style.display = 'none';
+                
+                channel.fields.forEach(field => {
+                    const label = document.createElement('label');
+                    label.textContent = field.label;
+                    const multiline = field.type === 'textarea' || field.type === 'headers';
+                    const input = document.createElement(multiline ? 'textarea' : 'input');
+                    if (!multiline) input.type = field.type === 'url' ? 'url' : 'text';
+                    if (multiline) input.style.cssText = 'min-height: 50px; font-family: monospace; font-size: 12px;';
+                    input.id = getChannelFieldId(field);
+                    input.placeholder = field.placeholder || '';
+                    group.append(label, input);
+                    
+                    if (field.help) {
+                        const help = document.createElement('small');
+                        help.textContent = field.help;
+                        group.appendChild(help);
+                    }
+                    if (field.type === 'phones') {
+                        input.addEventListener('blur', () => checkRecipients(input));
+                        const errors = document.createElement('small');
+                        errors.className = 'field-error';
+                        errors.id = 'recipientErrors';
+                        group.appendChild(errors);
+                    }
+                });
+                
+                const testButton = document.createElement('button');
+                testButton.type = 'button';
+                testButton.className = 'btn btn-secondary btn-small';
+                testButton.style.marginTop = '8px';
+                testButton.textContent = 'Test ' + channel.label;
+                testButton.addEventListener('click', () => testChannel(channel));
+                group.appendChild(testButton);
+                container.appendChild(group);
+            });
         }
         
-        .btn {
-            padding: 8px 16px;
-            border: none;
-            border-radius: 6px;
-            font-size: 14px;
-            font-weight: 500;
-            cursor: pointer;
-            transition: all 0.3s ease;
+        function toggleChannel(type, enabled) {
+            document.getElementById('enable-' + type).checked = enabled;
+            const group = document.getElementById('channel-' + type);
+            if (group) group.style.display = enabled ? 'block' : 'none';
         }
         
-        .btn-small {
-            padding: 6px 12px;
-            font-size: 13px;
+        // Check a channel with the settings as currently entered
+        async function testChannel(channel) {
+            try {
+                const response = await fetch(serviceUrl + '/api/channels/' + channel.type + '/test', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ webhook: editingWebhook, settings: getChannelFields()[channel.key] })
+                });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                showToast(result.message);
+            } catch (error) {
+                showToast(channel.label + ' test failed: ' + error.message, true);
+            }
         }
         
-        .btn-primary {
-            background: #6366f1;
-            color: white;
+        // Switch tabs
+        function switchTab(tabName) {
+            document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
+            document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+            
+            event.target.classList.add('active');
+            document.getElementById(tabName + '-tab').classList.add('active');
+            
+            if (tabName === 'changelog') {
+                loadChangelog();
+            }
+            
+            if (tabName === 'deliveries') {
+                loadDeliveries();
+            }
+            
+            if (tabName === 'usage') {
+                loadUsage();
+            }
+            
+            if (tabName === 'queue') {
+                loadQueue();
+            }
+            
+            if (tabName === 'access') {
+                loadAccess();
+            }
+            
+            if (tabName === 'settings') {
+                loadSettings();
+            }
+            
+            if (tabName === 'schedules') {
+                loadSchedules();
+            }
+            
+            if (tabName === 'rotations') {
+                loadRotations();
+            }
+            
+            if (tabName === 'incidents') {
+                loadIncidents();
+            }
+            
+            if (tabName === 'replies') {
+                loadConversations();
+            }
+            
+            if (tabName === 'contacts') {
+                loadContacts();
+            }
+            
+            if (tabName === 'people') {
+                loadPeople();
+            }
         }
         
-        .btn-primary:hover {
-            background: #4f46e5;
+        // Filter webhooks
+        function filterWebhooks() {
+            const searchTerm = document.getElementById('searchFilter').value.toLowerCase();
+            const tagFilter = document.getElementById('tagFilter').value.toLowerCase();
+            const typeFilter = document.getElementById('typeFilter').value;
+            
+            const filtered = {};
+            for (const [name, config] of Object.entries(allWebhooks)) {
+                let show = true;
+                
+                // Search filter
+                if (searchTerm && !name.includes(searchTerm) && !config.description.toLowerCase().includes(searchTerm)) {
+                    show = false;
+                }
+                
+                // Tag filter
+                if (tagFilter && config.tags) {
+                    const tags = config.tags.join(' ').toLowerCase();
+                    if (!tags.includes(tagFilter)) {
+                        show = false;
+                    }
+                }
+                
+                // Type filter
+                if (typeFilter) {
+                    const channel = channelProviders.find(provider => provider.type === typeFilter);
+                    if (channel && !config[channel.key]) show = false;
+                }
+                
+                if (show) {
+                    filtered[name] = config;
+                }
+            }
+            
+            displayWebhooks(filtered);
         }
         
-        .btn-secondary {
-            background: #f3f4f6;
-            color: #4b5563;
+        // Refresh webhooks from server
+        async function refreshWebhooks() {
+            try {
+                const response = await fetch(serviceUrl + '/api/webhooks');
+                const data = await response.json();
+                webhooks = data.webhooks || {};
+                allWebhooks = { ...webhooks };
+                archivedWebhooks = data.archived || {};
+                await loadSchedules();
+                await loadEscalations();
+                await loadDigests();
+                displayWebhooks(webhooks);
+                displayArchivedWebhooks();
+                updateTestTypeOptions();
+                updateDeliveryWebhookOptions();
+                updateWebhookCounter();
+                showToast('Data loaded successfully');
+            } catch (error) {
+                showToast('Error loading webhooks: ' + error.message, true);
+            }
         }
         
-        .btn-secondary:hover {
-            background: #e5e7eb;
+        // Update webhook counter
+        function updateWebhookCounter() {
+            const count = Object.keys(webhooks).length;
+            document.getElementById('webhookCounter').textContent = count + ' Webhook' + (count !== 1 ? 's' : '');
         }
         
-        .btn-success {
-            background: #10b981;
-            color: white;
+        // Display active webhooks
+        function displayWebhooks(webhooksToDisplay = webhooks) {
+            const list = document.getElementById('webhookList');
+            
+            if (Object.keys(webhooksToDisplay).length === 0) {
+                list.innerHTML = '<div class=\"empty-state\">No webhooks found. Click \"+ Add Webhook\" to create one.</div>';
+                return;
+            }
+            
+            list.innerHTML = '';
+            
+            for (const [name, config] of Object.entries(webhooksToDisplay)) {
+                const webhookUrl = serviceUrl + '/sms-whook/' + name;
+                const item = document.createElement('div');
+                item.className = 'webhook-item';
+                
+                const indicators = channelProviders.filter(channel => config[channel.key])
+                    .map(channel => '<span class="indicator ' + (channel.outbound ? 'chat' : channel.type) + '">' + channel.label + '</span>');
+                if (config.secretMode && config.secretMode !== 'none') indicators.push('<span class="indicator secured">Secured</span>');
+                if (config.escalation) indicators.push('<span class="indicator secured">Escalates</span>');
+                if (config.rules && config.rules.length) {
+                    indicators.push('<span class="indicator browser">' + config.rules.length + (config.rules.length === 1 ? ' Rule' : ' Rules') + '</span>');
+                }
+                if (config.dedupe || config.rateLimit) indicators.push('<span class="indicator browser">Throttled</span>');
+                if (config.digest) {
+                    const pending = pendingDigests[name];
+                    indicators.push('<span class="indicator email">Digest' + (pending ? ': ' + pending.count + ' pending' : '') + '</span>');
+                }
+                if (config.schedule && schedules[config.schedule]) {
+                    const open = schedules[config.schedule].status.open;
+                    indicators.push('<span class="indicator ' + (open ? 'open' : 'closed') + '">' +
+                        config.schedule + ': ' + (open ? 'Open' : 'Closed') + '</span>');
+                }
+                
+                const tags = (config.tags || []).map(tag => '<span class="tag">' + tag + '</span>').join(' ');
+     // fixed backtick error 
+                
+                item.innerHTML = \`
+                    <div class="webhook-name">\${name}</div>
+                    <div class="webhook-url">
+                        <span>\${webhookUrl}</span>
+                    </div>
+                    <div class="webhook-details">
+                        <strong>Description:</strong> \${config.description}
+                    </div>
+                    <div class="webhook-indicators">
+                        \${indicators.join(' ')}
+                    </div>
+                    <div class="webhook-tags">
+                        \${tags}
+                    </div>
+                    <div class="webhook-actions">
+                        <button class="btn btn-secondary btn-small editor-only" onclick="editWebhook('\${name}')">Edit</button>
+                        <button class="btn btn-success btn-small editor-only" onclick="testWebhook('\${name}')">Test</button>
+                        <button class="btn btn-copy btn-small" onclick="copyToClipboard('\${webhookUrl}')">Copy</button>
+                        <button class="btn btn-warning btn-small editor-only" onclick="archiveWebhook('\${name}')">Archive</button>
+                        \${pendingDigests[name] ? '<button class="btn btn-success btn-small editor-only" onclick="sendDigestNow(\\'' + name + '\\')">Send Digest</button>' : ''}
+                    </div>
+                \`;
+                list.appendChild(item);
+            }
         }
         
-        .btn-success:hover {
-            background: #059669;
+        // Display archived webhooks
+        function displayArchivedWebhooks() {
+            const list = document.getElementById('archivedList');
+            
+            if (Object.keys(archivedWebhooks).length === 0) {
+                list.innerHTML = '<div class="empty-state">No archived webhooks</div>';
+                return;
+            }
+            
+            list.innerHTML = '';
+            
+            for (const [name, config] of Object.entries(archivedWebhooks)) {
+                const item = document.createElement('div');
+                item.className = 'webhook-item';
+                item.innerHTML = \`
+                    <div class="webhook-name">\${name}</div>
+                    <div class="webhook-details">
+                        <strong>Description:</strong> \${config.description}<br>
+                        <strong>Archived:</strong> \${new Date(config.archivedAt).toLocaleString()}
+                    </div>
+                    <div class="webhook-actions">
+                        <button class="btn btn-primary btn-small editor-only" onclick="restoreWebhook('\${name}')">Restore</button>
+                    </div>
+                \`;
+                list.appendChild(item);
+            }
         }
         
-        .btn-warning {
-            background: #f59e0b;
-            color: white;
+        // Load changelog
+        async function loadChangelog() {
+            try {
+                const response = await fetch(serviceUrl + '/api/changelog');
+                const changelog = await response.json();
+                
+                const list = document.getElementById('changelogList');
+                
+                if (changelog.length === 0) {
+                    list.innerHTML = '<div class="empty-state">No changes recorded yet</div>';
+                    return;
+                }
+                
+                list.innerHTML = '';
+                
+                // Show newest first
+                changelog.reverse().forEach(entry => {
+                    const item = document.createElement('div');
+                    item.className = 'changelog-entry';
+                    item.innerHTML = \`
+                        <div class="changelog-time">\${new Date(entry.timestamp).toLocaleString()}</div>
+                        <div class="changelog-action">\${entry.action.replace(/_/g, ' ')}: \${entry.webhookName}</div>
+                    \`;
+                    list.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error loading changelog:', error);
+            }
         }
         
-        .btn-warning:hover {
-            background: #d97706;
+        // Load delivery log
+        async function loadDeliveries() {
+            try {
+                const params = new URLSearchParams();
+                const filters = {
+                    webhook: document.getElementById('deliveryWebhookFilter').value,
+                    status: document.getElementById('deliveryStatusFilter').value,
+                    from: document.getElementById('deliveryFromFilter').value,
+                    to: document.getElementById('deliveryToFilter').value
+                };
+                for (const [key, value] of Object.entries(filters)) {
+                    if (value) params.append(key, value);
+                }
+                
+                const response = await fetch(serviceUrl + '/api/deliveries?' + params.toString());
+                const data = await response.json();
+                
+                const list = document.getElementById('deliveryList');
+                
+                if (data.deliveries.length === 0) {
+                    list.innerHTML = '<div class="empty-state">No deliveries recorded yet</div>';
+                    return;
+                }
+                
+                list.innerHTML = '';
+                
+                data.deliveries.forEach(delivery => {
+                    const item = document.createElement('div');
+                    item.className = 'delivery-entry';
+                    const recipients = delivery.recipients.length ? ' to ' + delivery.recipients.join(', ') : '';
+                    const latency = delivery.latencyMs !== null ? ' (' + delivery.latencyMs + ' ms)' : '';
+                    const segments = delivery.segments ? ' - ' + delivery.segments + ' segment' + (delivery.segments !== 1 ? 's' : '') : '';
+                    item.innerHTML = \`
+                        <div class="changelog-time">\${new Date(delivery.timestamp).toLocaleString()}</div>
+                        <div class="changelog-action">
+                            <span class="delivery-status \${delivery.status}">\${delivery.status}</span>
+                            \${delivery.channel.toUpperCase()}: \${delivery.webhookName}\${recipients}\${latency}\${segments}
+                        </div>
+                        <div class="delivery-details"></div>
+                    \`;
+                    item.querySelector('.delivery-details').textContent = JSON.stringify({
+                        message: delivery.message,
+                        error: delivery.error,
+                        messageId: delivery.messageId,
+                        statusHistory: delivery.statusHistory,
+                        payload: delivery.payload,
+                        response: delivery.response
+                    }, null, 2);
+                    item.addEventListener('click', (e) => {
+                        if (!e.target.closest('.delivery-details')) {
+                            item.classList.toggle('expanded');
+                        }
+                    });
+                    list.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error loading deliveries:', error);
+            }
         }
         
-        .btn-copy {
-            background: #8b5cf6;
-            color: white;
-            padding: 4px 10px;
-            font-size: 12px;
-        }
+        // Budget states shown with the delivery status colours
+        const BUDGET_CLASSES = { ok: 'sent', warning: 'pending', exceeded: 'failed' };
         
-        .btn-copy:hover {
-            background: #7c3aed;
+        function describeUsage(totals, costPerSegment) {
+            return totals.messages + ' text' + (totals.messages !== 1 ? 's' : '') + ', ' +
+                totals.segments + ' segment' + (totals.segments !== 1 ? 's' : '') +
+                (totals.recipients !== undefined ? ', ' + totals.recipients + ' recipient' + (totals.recipients !== 1 ? 's' : '') : '') +
+                (costPerSegment ? ' | est. cost ' + totals.cost.toFixed(2) : '');
         }
         
-        .modal {
-            display: none;
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0,0,0,0.5);
-            justify-content: center;
-            align-items: center;
-            z-index: 1000;
+        // Load SMS usage for the chosen dates and draw the daily chart
+        async function loadUsage() {
+            try {
+                const params = new URLSearchParams();
+                const filters = {
+                    webhook: document.getElementById('usageWebhookFilter').value,
+                    from: document.getElementById('usageFromFilter').value,
+                    to: document.getElementById('usageToFilter').value
+                };
+                for (const [key, value] of Object.entries(filters)) {
+                    if (value) params.append(key, value);
+                }
+                
+                const response = await fetch(serviceUrl + '/api/usage?' + params.toString());
+                const usage = await response.json();
+                if (!response.ok) throw new Error(usage.error);
+                
+                document.getElementById('usageFromFilter').value = usage.from;
+                document.getElementById('usageToFilter').value = usage.to;
+                
+                const peak = Math.max(0, ...usage.days.map(day => day.segments));
+                const chart = document.getElementById('usageChart');
+                chart.innerHTML = '';
+                usage.days.forEach(day => {
+                    const bar = document.createElement('div');
+                    bar.className = 'usage-bar';
+                    bar.style.height = (peak ? day.segments / peak * 100 : 0) + '%';
+                    bar.title = day.date + ': ' + describeUsage(day, usage.costPerSegment);
+                    chart.appendChild(bar);
+                });
+                document.getElementById('usageAxis').innerHTML =
+                    '<span>' + usage.from + '</span><span>Peak ' + peak + ' segments/day</span><span>' + usage.to + '</span>';
+                document.getElementById('usageSummary').textContent = 'Total: ' + describeUsage(usage.totals, usage.costPerSegment);
+                
+                const webhookList = document.getElementById('usageWebhookList');
+                webhookList.innerHTML = usage.webhooks.length ? '' : '<div class="empty-state">No SMS sent in this period</div>';
+                usage.webhooks.forEach(webhook => {
+                    const entry = document.createElement('div');
+                    entry.className = 'changelog-entry';
+                    entry.innerHTML = \`
+                        <div class="changelog-action">\${webhook.name}: \${describeUsage(webhook, usage.costPerSegment)}</div>
+                        <div class="changelog-time"></div>
+                    \`;
+                    if (webhook.budget) {
+                        const budget = webhook.budget;
+                        entry.querySelector('.changelog-time').innerHTML =
+                            '<span class="delivery-status ' + BUDGET_CLASSES[budget.status] + '">' + budget.status + '</span> ' +
+                            budget.used + ' of ' + budget.limit + ' budgeted segments used in ' + budget.month + ' (' + budget.percent + '%)';
+                    }
+                    webhookList.appendChild(entry);
+                });
+                
+                const recipientList = document.getElementById('usageRecipientList');
+                recipientList.innerHTML = usage.recipients.length ? '' : '<div class="empty-state">No SMS sent in this period</div>';
+                usage.recipients.slice(0, 50).forEach(recipient => {
+                    const entry = document.createElement('div');
+                    entry.className = 'changelog-entry';
+                    entry.innerHTML = '<div class="changelog-action"></div>';
+                    entry.querySelector('.changelog-action').textContent = recipient.phone +
+                        (recipient.name ? ' (' + recipient.name + ')' : '') + ': ' + describeUsage(recipient, usage.costPerSegment);
+                    recipientList.appendChild(entry);
+                });
+            } catch (error) {
+                showToast('Error loading usage: ' + error.message, true);
+            }
         }
         
-        .modal.active {
-            display: flex;
+        // Load retry queue
+        async function loadQueue() {
+            try {
+                const response = await fetch(serviceUrl + '/api/queue');
+                const queue = await response.json();
+                displayQueueItems('queuePendingList', queue.pending, 'No SMS waiting to retry');
+                displayQueueItems('queueDeadList', queue.deadLetter, 'No permanently failed SMS');
+            } catch (error) {
+                console.error('Error loading retry queue:', error);
+            }
         }
         
-        .modal-content {
-            background: white;
-            border-radius: 12px;
-            padding: 30px;
-            max-width: 600px;
-            width: 90%;
-            max-height: 90vh;
-            overflow-y: auto;
+        function displayQueueItems(listId, items, emptyMessage) {
+            const list = document.getElementById(listId);
+            
+            if (items.length === 0) {
+                list.innerHTML = '<div class="empty-state">' + emptyMessage + '</div>';
+                return;
+            }
+            
+            list.innerHTML = '';
+            
+            items.forEach(item => {
+                const entry = document.createElement('div');
+                entry.className = 'changelog-entry';
+                const when = item.deadAt
+                    ? 'Failed permanently ' + new Date(item.deadAt).toLocaleString()
+                    : 'Next attempt ' + new Date(item.nextAttemptAt).toLocaleString();
+                entry.innerHTML = \`
+                    <div class="changelog-time">Queued \${new Date(item.createdAt).toLocaleString()} | \${when}</div>
+                    <div class="changelog-action">\${item.webhookName} to \${item.recipients.join(', ')} (attempt \${item.attempts} of \${item.maxAttempts})</div>
+                    <div class="changelog-time"></div>
+                    <div class="webhook-actions editor-only">
+                        <button class="btn btn-success btn-small" onclick="retryQueueItem('\${item.id}')">Retry Now</button>
+                        <button class="btn btn-warning btn-small" onclick="discardQueueItem('\${item.id}')">Discard</button>
+                    </div>
+                \`;
+                entry.querySelectorAll('.changelog-time')[1].textContent = 'Last error: ' + (item.lastError || 'none');
+                list.appendChild(entry);
+            });
         }
         
-        .modal-header {
-            margin-bottom: 20px;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
+        // Retry a queued SMS now
+        async function retryQueueItem(id) {
+            try {
+                const response = await fetch(serviceUrl + '/api/queue/' + id + '/retry', { method: 'POST' });
+                const result = await response.json();
+                
+                if (response.ok) {
+                    showToast('Queued SMS sent!');
+                } else {
+                    throw new Error(result.error || result.message);
+                }
+            } catch (error) {
+                showToast('Retry failed: ' + error.message, true);
+            }
+            await loadQueue();
         }
         
-        .modal-header h2 {
-            color: #333;
+        // Discard a queued SMS
+        async function discardQueueItem(id) {
+            if (!confirm('Discard this SMS? It will not be sent.')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/queue/' + id, { method: 'DELETE' });
+                
+                if (response.ok) {
+                    showToast('Queue item discarded');
+                } else {
+                    throw new Error('Failed to discard queue item');
+                }
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadQueue();
         }
         
-        .close-modal {
-            font-size: 28px;
-            color: #6b7280;
-            cursor: pointer;
-            background: none;
-            border: none;
+        // Load schedules and refresh everything that lists them
+        async function loadSchedules() {
+            try {
+                const response = await fetch(serviceUrl + '/api/schedules');
+                schedules = await response.json();
+                displaySchedules();
+                updateScheduleOptions();
+            } catch (error) {
+                console.error('Error loading schedules:', error);
+            }
         }
         
-        .close-modal:hover {
-            color: #374151;
+        function displaySchedules() {
+            const list = document.getElementById('scheduleList');
+            
+            if (Object.keys(schedules).length === 0) {
+                list.innerHTML = '<div class="empty-state">No schedules yet</div>';
+                return;
+            }
+            
+            list.innerHTML = '';
+            
+            for (const [name, schedule] of Object.entries(schedules)) {
+                const item = document.createElement('div');
+                item.className = 'webhook-item';
+                const status = schedule.status;
+                const why = status.reason === 'weekly' ? '' : ' (' + status.label + ')';
+                const hours = DAYS.map(day => day.label + ' ' + (formatRanges((schedule.hours || {})[day.key]) || 'closed')).join('<br>');
+                
+                item.innerHTML = \`
+                    <div class="webhook-name"></div>
+                    <div class="webhook-indicators">
+                        <span class="indicator \${status.open ? 'open' : 'closed'}">\${status.open ? 'Open' : 'Closed'}\${why}</span>
+                        <span class="indicator">\${status.timezone}</span>
+                    </div>
+                    <div class="webhook-details"></div>
+                    <div class="webhook-details">\${hours}</div>
+                    <div class="webhook-details">
+                        <strong>Holidays:</strong> \${(schedule.holidays || []).length} |
+                        <strong>Exceptions:</strong> \${(schedule.exceptions || []).length} |
+                        <strong>Used by:</strong> \${schedule.usedBy.join(', ') || 'none'}
+                    </div>
+                    <div class="webhook-actions editor-only">
+                        <button class="btn btn-secondary btn-small">Edit</button>
+                        <button class="btn btn-warning btn-small">Delete</button>
+                    </div>
+                \`;
+                item.querySelector('.webhook-name').textContent = name;
+                item.querySelector('.webhook-details').textContent = schedule.description || '';
+                const [editButton, deleteButton] = item.querySelectorAll('.webhook-actions button');
+                editButton.addEventListener('click', () => editSchedule(name));
+                deleteButton.addEventListener('click', () => deleteSchedule(name));
+                list.appendChild(item);
+            }
         }
         
-        .form-group {
-            margin-bottom: 20px;
+        function updateScheduleOptions() {
+            const select = document.getElementById('webhookSchedule');
+            const current = select.value;
+            select.innerHTML = '<option value="">No schedule - always send to the recipients above</option>';
+            
+            for (const name of Object.keys(schedules)) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            }
+            select.value = current;
         }
         
-        .form-group label {
-            display: block;
-            margin-bottom: 5px;
-            color: #374151;
-            font-weight: 500;
-        }
+        const DAYS = [
+            { key: 'mon', label: 'Mon' }, { key: 'tue', label: 'Tue' }, { key: 'wed', label: 'Wed' },
+            { key: 'thu', label: 'Thu' }, { key: 'fri', label: 'Fri' }, { key: 'sat', label: 'Sat' },
+            { key: 'sun', label: 'Sun' }
+        ];
         
-        .form-group input,
-        .form-group textarea {
-            width: 100%;
-            padding: 10px;
-            border: 1px solid #d1d5db;
-            border-radius: 6px;
-            font-size: 14px;
+        function setupScheduleHours() {
+            const grid = document.getElementById('scheduleHours');
+            DAYS.forEach(day => {
+                const label = document.createElement('label');
+                label.textContent = day.label;
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.id = 'hours-' + day.key;
+                input.placeholder = 'closed';
+                grid.appendChild(label);
+                grid.appendChild(input);
+            });
         }
         
-        .form-group textarea {
-            min-height: 100px;
-            resize: vertical;
+        // "09:00-12:00, 13:00-17:00" <-> [{ start, end }]
+        function parseRanges(text, where) {
+            if (!text.trim() || text.trim().toLowerCase() === 'closed') return [];
+            return text.split(',').map(part => {
+                const match = part.trim().match(/^(\\d{2}:\\d{2})\\s*-\\s*(\\d{2}:\\d{2})$/);
+                if (!match) throw new Error('Invalid hours for ' + where + ': "' + part.trim() + '"');
+                return { start: match[1], end: match[2] };
+            });
         }
         
-        .form-group small {
-            color: #6b7280;
-            font-size: 12px;
-            margin-top: 5px;
-            display: block;
+        function formatRanges(ranges) {
+            return (ranges || []).map(range => range.start + '-' + range.end).join(', ');
         }
         
-        .checkbox-group {
-            display: flex;
-            gap: 20px;
-            margin-top: 10px;
+        function showAddScheduleModal() {
+            editingSchedule = null;
+            document.getElementById('scheduleModalTitle').textContent = 'Add Schedule';
+            document.getElementById('scheduleForm').reset();
+            document.getElementById('scheduleName').disabled = false;
+            DAYS.forEach(day => {
+                const weekday = !['sat', 'sun'].includes(day.key);
+                document.getElementById('hours-' + day.key).value = weekday ? '09:00-17:00' : '';
+            });
+            document.getElementById('scheduleModal').classList.add('active');
         }
         
-        .checkbox-group label {
-            display: flex;
-            align-items: center;
-            gap: 8px;
-            font-weight: normal;
+        function editSchedule(name) {
+            editingSchedule = name;
+            const schedule = schedules[name];
+            document.getElementById('scheduleModalTitle').textContent = 'Edit Schedule';
+            document.getElementById('scheduleName').value = name;
+            document.getElementById('scheduleName').disabled = true;
+            document.getElementById('scheduleDescription').value = schedule.description || '';
+            document.getElementById('scheduleTimezone').value = schedule.timezone || '';
+            DAYS.forEach(day => {
+                document.getElementById('hours-' + day.key).value = formatRanges((schedule.hours || {})[day.key]);
+            });
+            document.getElementById('scheduleHolidays').value = (schedule.holidays || [])
+                .map(holiday => (holiday.date + ' ' + (holiday.name || '')).trim()).join('\\n');
+            document.getElementById('scheduleExceptions').value = (schedule.exceptions || [])
+                .map(exception => (exception.date + ' ' + (formatRanges(exception.hours) || 'closed') + ' ' + (exception.name || '')).trim())
+                .join('\\n');
+            document.getElementById('scheduleModal').classList.add('active');
         }
         
-        .test-config {
-            background: #f3f4f6;
-            border-radius: 6px;
-            padding: 12px;
-            margin-top: 10px;
-            font-size: 13px;
-            color: #4b5563;
+        // Read the schedule form into the shape the API expects
+        function readScheduleForm() {
+            const hours = {};
+            DAYS.forEach(day => {
+                hours[day.key] = parseRanges(document.getElementById('hours-' + day.key).value, day.label);
+            });
+            
+            const lines = id => document.getElementById(id).value.split('\\n').map(line => line.trim()).filter(line => line);
+            
+            const holidays = lines('scheduleHolidays').map(line => {
+                const [date, ...name] = line.split(/\\s+/);
+                return { date, name: name.join(' ') };
+            });
+            
+            const exceptions = lines('scheduleExceptions').map(line => {
+                const match = line.match(/^(\\S+)\\s+(closed|[\\d:\\-,\\s]+?)(?:\\s+([^\\d\\s].*))?$/i);
+                if (!match) throw new Error('Invalid exception: "' + line + '"');
+                return { date: match[1], hours: parseRanges(match[2], match[1]), name: match[3] || '' };
+            });
+            
+            return {
+                description: document.getElementById('scheduleDescription').value.trim(),
+                timezone: document.getElementById('scheduleTimezone').value.trim(),
+                hours,
+                holidays,
+                exceptions
+            };
         }
         
-        .toast {
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: #10b981;
-            color: white;
-            padding: 15px 20px;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            display: none;
-            animation: slideIn 0.3s ease;
-            z-index: 2000;
+        document.getElementById('scheduleForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            try {
+                const schedule = readScheduleForm();
+                const name = document.getElementById('scheduleName').value.trim().toLowerCase();
+                const response = await fetch(serviceUrl + '/api/schedules' + (editingSchedule ? '/' + editingSchedule : ''), {
+                    method: editingSchedule ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(editingSchedule ? schedule : { name, schedule })
+                });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                await loadSchedules();
+                displayWebhooks(webhooks);
+                closeModal('scheduleModal');
+                showToast('Schedule saved');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        });
+        
+        async function deleteSchedule(name) {
+            if (!confirm('Delete the "' + name + '" schedule?')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/schedules/' + name, { method: 'DELETE' });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                showToast('Schedule deleted');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadSchedules();
         }
         
-        .toast.error {
-            background: #ef4444;
+        // Fill the webhook modal's schedule routing fields
+        // Normalize the recipients when leaving the field so typos show before saving
+        async function checkRecipients(input) {
+            if (!input.value.trim()) {
+                showPhoneErrors([]);
+                return;
+            }
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/phone-numbers/normalize', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ numbers: input.value })
+                });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                input.value = result.numbers;
+                showPhoneErrors(result.invalidNumbers);
+            } catch (error) {
+                console.error('Error checking phone numbers:', error);
+            }
         }
         
-        .toast.show {
-            display: block;
+        function showPhoneErrors(invalidNumbers = []) {
+            document.getElementById('recipientErrors').innerText = invalidNumbers
+                .map(entry => entry.number + ': ' + entry.error).join('\\n');
         }
         
-        @keyframes slideIn {
-            from {
-                transform: translateX(100%);
-            }
-            to {
-                transform: translateX(0);
-            }
+        const RULE_OPERATOR_LABELS = {
+            equals: 'equals',
+            notEquals: 'does not equal',
+            startsWith: 'starts with',
+            contains: 'contains',
+            greaterThan: 'greater than',
+            lessThan: 'less than',
+            matches: 'matches regex',
+            exists: 'is present'
+        };
+        
+        function addRoutingRule(rule = {}) {
+            const block = document.createElement('div');
+            block.className = 'routing-rule';
+            block.innerHTML = '<div class="routing-row" style="grid-template-columns: 1fr 30px 30px; margin-top: 0;">' +
+                '<input type="text" class="rule-name" placeholder="Rule name">' +
+                '<button type="button" class="close-modal" title="Move up">&uarr;</button>' +
+                '<button type="button" class="close-modal" title="Remove rule">&times;</button></div>' +
+                '<div class="rule-conditions"></div>' +
+                '<button type="button" class="btn btn-secondary btn-small" style="margin-top: 8px;">+ Condition</button>' +
+                '<div class="routing-row" style="grid-template-columns: 1fr 1fr;">' +
+                '<input type="text" class="rule-recipients" placeholder="SMS recipients (blank = default)">' +
+                '<input type="text" class="rule-email" placeholder="Email recipients (blank = default)"></div>' +
+                '<textarea class="rule-template" placeholder="Message template (blank = default)" style="margin-top: 8px; min-height: 50px;"></textarea>' +
+                '<div class="checkbox-group">' +
+                '<label><input type="checkbox" class="rule-sms"> SMS</label>' +
+                '<label><input type="checkbox" class="rule-email-enabled"> Email</label>' +
+                '<label><input type="checkbox" class="rule-browser"> Browser Notify</label>' +
+                '<label><input type="checkbox" class="rule-outbound"> Slack, Teams and HTTP</label></div>';
+            
+            const channels = rule.channels || {};
+            block.querySelector('.rule-name').value = rule.name || '';
+            block.querySelector('.rule-recipients').value = rule.recipients || '';
+            block.querySelector('.rule-email').value = rule.email || '';
+            block.querySelector('.rule-template').value = rule.messageTemplate || '';
+            block.querySelector('.rule-sms').checked = channels.sms !== false;
+            block.querySelector('.rule-email-enabled').checked = channels.email !== false;
+            block.querySelector('.rule-browser').checked = channels.browser ?? document.getElementById('enable-browser').checked;
+            block.querySelector('.rule-outbound').checked = channels.outbound !== false;
+            
+            const [upButton, removeButton, conditionButton] = block.querySelectorAll('button');
+            upButton.addEventListener('click', () => {
+                if (block.previousElementSibling) block.parentNode.insertBefore(block, block.previousElementSibling);
+            });
+            removeButton.addEventListener('click', () => block.remove());
+            conditionButton.addEventListener('click', () => addRuleCondition(block));
+            
+            (rule.conditions || [{ field: 'callerNumber', operator: 'startsWith' }]).forEach(condition => addRuleCondition(block, condition));
+            document.getElementById('routingRules').appendChild(block);
         }
         
-        .changelog-entry {
-            padding: 10px;
-            border-bottom: 1px solid #e5e7eb;
-            font-size: 13px;
+        function addRuleCondition(block, condition = {}) {
+            const row = document.createElement('div');
+            row.className = 'routing-row rule-condition';
+            row.style.gridTemplateColumns = '1fr 130px 1fr 30px';
+            row.innerHTML = '<input type="text" class="condition-field" list="ruleFieldList" placeholder="Field">' +
+                '<select class="condition-operator filter-input">' +
+                Object.entries(RULE_OPERATOR_LABELS).map(([value, label]) => '<option value="' + value + '">' + label + '</option>').join('') +
+                '</select>' +
+                '<input type="text" class="condition-value" placeholder="Value">' +
+                '<button type="button" class="close-modal" title="Remove condition">&times;</button>';
+            row.querySelector('.condition-field').value = condition.field || '';
+            row.querySelector('.condition-operator').value = condition.operator || 'equals';
+            row.querySelector('.condition-value').value = condition.value ?? '';
+            row.querySelector('button').addEventListener('click', () => row.remove());
+            block.querySelector('.rule-conditions').appendChild(row);
         }
         
-        .changelog-entry:last-child {
-            border-bottom: none;
+        function setRoutingRules(rules) {
+            document.getElementById('routingRules').innerHTML = '';
+            rules.forEach(rule => addRoutingRule(rule));
         }
         
-        .changelog-time {
-            color: #6b7280;
-            font-size: 11px;
+        function getRoutingRules() {
+            return [...document.querySelectorAll('#routingRules .routing-rule')].map(block => ({
+                name: block.querySelector('.rule-name').value.trim(),
+                conditions: [...block.querySelectorAll('.rule-condition')].map(row => ({
+                    field: row.querySelector('.condition-field').value.trim(),
+                    operator: row.querySelector('.condition-operator').value,
+                    value: row.querySelector('.condition-value').value.trim()
+                })),
+                recipients: block.querySelector('.rule-recipients').value.trim(),
+                email: block.querySelector('.rule-email').value.trim(),
+                messageTemplate: block.querySelector('.rule-template').value.trim(),
+                channels: {
+                    sms: block.querySelector('.rule-sms').checked,
+                    email: block.querySelector('.rule-email-enabled').checked,
+                    browser: block.querySelector('.rule-browser').checked,
+                    outbound: block.querySelector('.rule-outbound').checked
+                }
+            }));
         }
         
-        .changelog-action {
-            font-weight: 500;
-            color: #4b5563;
+        function setScheduleRouting(scheduleName, routing) {
+            document.getElementById('webhookSchedule').value = scheduleName;
+            ['open', 'closed'].forEach(state => {
+                const rule = routing[state] || {};
+                document.getElementById(state + 'Action').value = rule.action || 'send';
+                document.getElementById(state + 'Recipients').value = rule.recipients || '';
+                document.getElementById(state + 'Email').value = rule.email || '';
+            });
+            updateScheduleRouting();
         }
         
-        .empty-state {
-            text-align: center;
-            padding: 40px;
-            color: #6b7280;
+        function getScheduleRouting() {
+            if (!document.getElementById('webhookSchedule').value) return null;
+            const routing = {};
+            ['open', 'closed'].forEach(state => {
+                routing[state] = {
+                    action: document.getElementById(state + 'Action').value,
+                    recipients: document.getElementById(state + 'Recipients').value.trim(),
+                    email: document.getElementById(state + 'Email').value.trim()
+                };
+            });
+            return routing;
         }
         
-        .test-section {
-            background: #fef3c7;
-            border: 1px solid #fbbf24;
-            border-radius: 8px;
-            padding: 15px;
+        function updateScheduleRouting() {
+            const hasSchedule = !!document.getElementById('webhookSchedule').value;
+            document.getElementById('scheduleRoutingGroup').style.display = hasSchedule ? 'block' : 'none';
         }
         
-        .test-section h3 {
-            color: #92400e;
-            margin-bottom: 10px;
-            font-size: 16px;
+        // Load on-call rotations
+        async function loadRotations() {
+            try {
+                const response = await fetch(serviceUrl + '/api/rotations');
+                rotations = await response.json();
+                displayRotations();
+                if (calendarRotation && rotations[calendarRotation]) {
+                    await showRotationCalendar(calendarRotation);
+                } else {
+                    calendarRotation = null;
+                    document.getElementById('rotationCalendarSection').style.display = 'none';
+                }
+            } catch (error) {
+                console.error('Error loading rotations:', error);
+            }
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <div class="header-left">
-                <div>
-                    <h1>${APP_NAME}</h1>
-                    <div class="version">SubVersion ${APP_VERSION}</div>
-                </div>
-                <span class="webhook-counter" id="webhookCounter">0 Webhooks</span>
-                <span class="status connected" id="connectionStatus">Connected</span>
-            </div>
-            <div class="quick-actions">
-                <button class="btn btn-secondary btn-small" onclick="refreshWebhooks()">Refresh</button>
-                <button class="btn btn-success btn-small" onclick="testConnection()">Test Connection</button>
-                <button class="btn btn-primary btn-small" onclick="showAddWebhookModal()">+ Add Webhook</button>
-                <button class="btn btn-secondary btn-small" onclick="exportData()">Export</button>
-                <button class="btn btn-secondary btn-small" onclick="document.getElementById('importFile').click()">Import</button>
-                <input type="file" id="importFile" style="display: none;" accept=".json" onchange="importData(event)">
-                <button class="btn btn-secondary btn-small" onclick="window.open('/help', '_blank')">Help</button>
-            </div>
-        </div>
         
-        <div class="main-content">
-            <div class="tabs">
-                <button class="tab active" onclick="switchTab('active')">Webhooks</button>
-                <button class="tab" onclick="switchTab('archived')">Archived</button>
-                <button class="tab" onclick="switchTab('changelog')">Changelog</button>
-                <button class="tab" onclick="switchTab('test')">Test SMS</button>
-            </div>
-            
-            <div class="tab-content active" id="active-tab">
-                <div class="filter-section">
-                    <input type="text" class="filter-input" id="searchFilter" placeholder="Search webhooks..." onkeyup="filterWebhooks()">
-                    <input type="text" class="filter-input" id="tagFilter" placeholder="Filter by tags..." onkeyup="filterWebhooks()">
-                    <select class="filter-input" id="typeFilter" onchange="filterWebhooks()">
-                        <option value="">All Types</option>
-                        <option value="sms">SMS Only</option>
-                        <option value="email">Email Only</option>
-                        <option value="browser">Browser Notify</option>
-                    </select>
-                </div>
-                <div class="webhook-grid" id="webhookList">
-                    <!-- Active webhooks will be loaded here -->
-                </div>
-            </div>
+        function displayRotations() {
+            const list = document.getElementById('rotationList');
             
-            <div class="tab-content" id="archived-tab">
-                <div class="webhook-grid" id="archivedList">
-                    <!-- Archived webhooks will be loaded here -->
-                </div>
-            </div>
+            if (Object.keys(rotations).length === 0) {
+                list.innerHTML = '<div class="empty-state">No on-call rotations yet</div>';
+                return;
+            }
             
-            <div class="tab-content" id="changelog-tab">
-                <div id="changelogList">
-                    <!-- Changelog will be loaded here -->
-                </div>
-            </div>
+            list.innerHTML = '';
             
-            <div class="tab-content" id="test-tab">
-                <div class="test-section">
-                    <h3>Test SMS Functionality</h3>
-                    <div class="form-group">
-                        <label>Webhook Type</label>
-                        <select id="testType" style="width: 100%; padding: 10px; border: 1px solid #d1d5db; border-radius: 6px;" onchange="showTestConfig()">
-                            <option value="general">General</option>
-                        </select>
-                    </div>
-                    <div id="testConfigDisplay" class="test-config">
-                        <!-- Config will show here -->
-                    </div>
-                    <div class="form-group">
-                        <label>Test Message</label>
-                        <textarea id="testMessage" placeholder="Enter your test message here..."></textarea>
+            for (const [name, rotation] of Object.entries(rotations)) {
+                const item = document.createElement('div');
+                item.className = 'webhook-item';
+                item.innerHTML = \`
+                    <div class="webhook-name"></div>
+                    <div class="webhook-details"></div>
+                    <div class="webhook-details"><strong>On call now:</strong> <span class="on-call-now"></span></div>
+                    <div class="webhook-details">
+                        <strong>Members:</strong> \${rotation.members.length} |
+                        <strong>Shift:</strong> \${rotation.periodDays} day\${rotation.periodDays === 1 ? '' : 's'} from \${rotation.handoffTime} |
+                        <strong>Used by:</strong> \${rotation.usedBy.join(', ') || 'none'}
                     </div>
-                    <button class="btn btn-success" onclick="sendTestSMS()">Send Test SMS</button>
-                </div>
-            </div>
-        </div>
-    </div>
-    
-    <!-- Add/Edit Webhook Modal -->
-    <div class="modal" id="webhookModal">
-        <div class="modal-content">
-            <div class="modal-header">
-                <h2 id="modalTitle">Add New Webhook</h2>
-                <button class="close-modal" onclick="closeModal('webhookModal')">&times;</button>
-            </div>
-            <form id="webhookForm">
-                <div class="form-group">
-                    <label>Webhook Name</label>
-                    <input type="text" id="webhookName" required placeholder="e.g., after-hours, emergency, vip" />
-                    <small>Use lowercase letters and hyphens only (will be used in URL)</small>
-                </div>
-                
-                <div class="form-group">
-                    <label>Description</label>
-                    <input type="text" id="webhookDescription" required placeholder="What triggers this notification?" />
-                </div>
-                
-                <div class="form-group">
-                    <label>Tags (comma-separated)</label>
-                    <input type="text" id="webhookTags" placeholder="urgent, sales, support" />
-                    <small>Tags for filtering and organization</small>
-                </div>
-                
-                <div class="form-group">
-                    <label>Notification Methods</label>
-                    <div class="checkbox-group">
-                        <label>
-                            <input type="checkbox" id="enableSMS" checked />
-                            SMS
-                        </label>
-                        <label>
-                            <input type="checkbox" id="enableEmail" />
-                            Email
-                        </label>
-                        <label>
-                            <input type="checkbox" id="enableBrowser" />
-                            Browser Notify
-                        </label>
+                    <div class="webhook-actions">
+                        <button class="btn btn-secondary btn-small">Calendar</button>
+                        <button class="btn btn-secondary btn-small editor-only">Edit</button>
+                        <button class="btn btn-warning btn-small editor-only">Delete</button>
                     </div>
-                </div>
-                
-                <div class="form-group" id="recipientsGroup">
-                    <label>SMS Recipients</label>
-                    <input type="text" id="webhookRecipients" placeholder="+15551234567,+15559876543" />
-                    <small>Comma-separated phone numbers with country code</small>
-                </div>
+                \`;
+                item.querySelector('.webhook-name').textContent = name;
+                item.querySelector('.webhook-details').textContent = rotation.description || '';
+                item.querySelector('.on-call-now').textContent = rotation.onCall.name + (rotation.onCall.override ? ' (override)' : '');
+                const [calendarButton, editButton, deleteButton] = item.querySelectorAll('.webhook-actions button');
+                calendarButton.addEventListener('click', () => showRotationCalendar(name));
+                editButton.addEventListener('click', () => editRotation(name));
+                deleteButton.addEventListener('click', () => deleteRotation(name));
+                list.appendChild(item);
+            }
+        }
+        
+        // Four-week calendar starting on this week's Monday
+        async function showRotationCalendar(name) {
+            calendarRotation = name;
+            const start = new Date();
+            start.setHours(0, 0, 0, 0);
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/rotations/' + name + '/calendar?days=28&from=' + start.toISOString());
+                const calendar = await response.json();
+                if (!response.ok) throw new Error(calendar.error);
                 
-                <div class="form-group" id="emailGroup" style="display: none;">
-                    <label>Email Recipients</label>
-                    <input type="email" id="webhookEmail" placeholder="email@example.com" />
-                    <small>Email address for notifications</small>
-                </div>
+                const grid = document.getElementById('rotationCalendar');
+                grid.innerHTML = '';
+                const today = new Date().toDateString();
                 
-                <div class="form-group">
-                    <label>Message Template</label>
-                    <textarea id="webhookTemplate" required placeholder="Call from {callerNumber}&#10;Time: {time}&#10;Extension: {extension}"></textarea>
-                    <small>Available variables: {callerNumber}, {callerName}, {extension}, {time}, {date}</small>
-                </div>
+                for (let i = 0; i < 28; i++) {
+                    const dayStart = new Date(start);
+                    dayStart.setDate(start.getDate() + i);
+                    const dayEnd = new Date(dayStart);
+                    dayEnd.setDate(dayStart.getDate() + 1);
+                    
+                    const cell = document.createElement('div');
+                    cell.className = 'calendar-day' + (dayStart.toDateString() === today ? ' today' : '');
+                    const date = document.createElement('div');
+                    date.className = 'calendar-date';
+                    date.textContent = dayStart.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+                    cell.appendChild(date);
+                    
+                    calendar.shifts
+                        .filter(shift => new Date(shift.start) < dayEnd && new Date(shift.end) > dayStart)
+                        .forEach(shift => {
+                            const entry = document.createElement('div');
+                            entry.className = shift.override ? 'calendar-override' : '';
+                            const shiftStart = new Date(shift.start);
+                            const from = shiftStart > dayStart ? ' from ' + shiftStart.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+                            entry.textContent = shift.name + from;
+                            cell.appendChild(entry);
+                        });
+                    grid.appendChild(cell);
+                }
                 
-                <button type="submit" class="btn btn-primary" style="width: 100%;">Save Webhook</button>
-            </form>
-        </div>
-    </div>
-    
-    <!-- Toast Notification -->
-    <div class="toast" id="toast"></div>
-    
-    <script>
-        const serviceUrl = window.location.origin;
-        let webhooks = {};
-        let archivedWebhooks = {};
-        let editingWebhook = null;
-        let allWebhooks = {};
-        
-        // Initialize
-        async function init() {
-            await refreshWebhooks();
-            await loadChangelog();
-            updateTestTypeOptions();
-            setupNotificationCheckboxes();
+                document.getElementById('rotationCalendarTitle').textContent = 'On call: ' + name;
+                document.getElementById('rotationCalendarSection').style.display = 'block';
+                displayOverrides();
+            } catch (error) {
+                showToast('Error loading calendar: ' + error.message, true);
+            }
         }
         
-        // Setup notification checkboxes
-        function setupNotificationCheckboxes() {
-            document.getElementById('enableEmail').addEventListener('change', (e) => {
-                document.getElementById('emailGroup').style.display = e.target.checked ? 'block' : 'none';
+        function displayOverrides() {
+            const rotation = rotations[calendarRotation];
+            const memberList = document.getElementById('rotationMemberList');
+            memberList.innerHTML = '';
+            rotation.members.forEach(member => {
+                const option = document.createElement('option');
+                option.value = member.name;
+                memberList.appendChild(option);
             });
             
-            document.getElementById('enableSMS').addEventListener('change', (e) => {
-                document.getElementById('recipientsGroup').style.display = e.target.checked ? 'block' : 'none';
+            const list = document.getElementById('overrideList');
+            const overrides = rotation.overrides || [];
+            if (overrides.length === 0) {
+                list.innerHTML = '<div class="empty-state">No overrides</div>';
+                return;
+            }
+            
+            list.innerHTML = '';
+            overrides.forEach((override, index) => {
+                const entry = document.createElement('div');
+                entry.className = 'changelog-entry';
+                entry.innerHTML = '<div class="changelog-time"></div><div class="changelog-action"></div>' +
+                    '<div class="webhook-actions editor-only"><button class="btn btn-warning btn-small">Remove</button></div>';
+                entry.querySelector('.changelog-time').textContent =
+                    new Date(override.start).toLocaleString() + ' to ' + new Date(override.end).toLocaleString();
+                entry.querySelector('.changelog-action').textContent = override.name + (override.phone ? ' (' + override.phone + ')' : '');
+                entry.querySelector('button').addEventListener('click', () => removeOverride(index));
+                list.appendChild(entry);
             });
         }
         
-        // Switch tabs
-        function switchTab(tabName) {
-            document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
-            document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+        // Save a rotation without the fields the API adds when listing
+        async function saveRotation(name, rotation) {
+            const { onCall, usedBy, ...body } = rotation;
+            const response = await fetch(serviceUrl + '/api/rotations/' + name, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error);
+        }
+        
+        async function addOverride() {
+            const rotation = rotations[calendarRotation];
+            const start = document.getElementById('overrideStart').value;
+            const end = document.getElementById('overrideEnd').value;
             
-            event.target.classList.add('active');
-            document.getElementById(tabName + '-tab').classList.add('active');
+            try {
+                if (!start || !end) throw new Error('Pick a start and end time');
+                const override = {
+                    name: document.getElementById('overrideName').value.trim(),
+                    phone: document.getElementById('overridePhone').value.trim(),
+                    start: new Date(start).toISOString(),
+                    end: new Date(end).toISOString()
+                };
+                await saveRotation(calendarRotation, { ...rotation, overrides: [...(rotation.overrides || []), override] });
+                ['overrideName', 'overridePhone', 'overrideStart', 'overrideEnd'].forEach(id => {
+                    document.getElementById(id).value = '';
+                });
+                showToast('Override added');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadRotations();
+        }
+        
+        async function removeOverride(index) {
+            const rotation = rotations[calendarRotation];
             
-            if (tabName === 'changelog') {
-                loadChangelog();
+            try {
+                await saveRotation(calendarRotation, { ...rotation, overrides: rotation.overrides.filter((_, i) => i !== index) });
+                showToast('Override removed');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
             }
+            await loadRotations();
         }
         
-        // Filter webhooks
-        function filterWebhooks() {
-            const searchTerm = document.getElementById('searchFilter').value.toLowerCase();
-            const tagFilter = document.getElementById('tagFilter').value.toLowerCase();
-            const typeFilter = document.getElementById('typeFilter').value;
+        function showAddRotationModal() {
+            editingRotation = null;
+            document.getElementById('rotationModalTitle').textContent = 'Add Rotation';
+            document.getElementById('rotationForm').reset();
+            document.getElementById('rotationName').disabled = false;
+            document.getElementById('rotationStartDate').value = new Date().toISOString().slice(0, 10);
+            document.getElementById('rotationModal').classList.add('active');
+        }
+        
+        function editRotation(name) {
+            editingRotation = name;
+            const rotation = rotations[name];
+            document.getElementById('rotationModalTitle').textContent = 'Edit Rotation';
+            document.getElementById('rotationName').value = name;
+            document.getElementById('rotationName').disabled = true;
+            document.getElementById('rotationDescription').value = rotation.description || '';
+            document.getElementById('rotationMembers').value = rotation.members
+                .map(member => [member.name, member.phone || '', member.email || ''].join(', ').replace(/(, )+$/, ''))
+                .join('\\n');
+            document.getElementById('rotationPeriod').value = rotation.periodDays;
+            document.getElementById('rotationHandoffTime').value = rotation.handoffTime;
+            document.getElementById('rotationStartDate').value = rotation.startDate;
+            document.getElementById('rotationTimezone').value = rotation.timezone || '';
+            document.getElementById('rotationModal').classList.add('active');
+        }
+        
+        document.getElementById('rotationForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
             
-            const filtered = {};
-            for (const [name, config] of Object.entries(allWebhooks)) {
-                let show = true;
+            const members = document.getElementById('rotationMembers').value.split('\\n')
+                .map(line => line.trim())
+                .filter(line => line)
+                .map(line => {
+                    const [name, phone, email] = line.split(',').map(part => part.trim());
+                    return { name, phone: phone || '', email: email || '' };
+                });
+            const rotation = {
+                description: document.getElementById('rotationDescription').value.trim(),
+                timezone: document.getElementById('rotationTimezone').value.trim(),
+                members,
+                periodDays: parseInt(document.getElementById('rotationPeriod').value, 10),
+                handoffTime: document.getElementById('rotationHandoffTime').value,
+                startDate: document.getElementById('rotationStartDate').value,
+                overrides: editingRotation ? rotations[editingRotation].overrides || [] : []
+            };
+            
+            try {
+                if (editingRotation) {
+                    await saveRotation(editingRotation, rotation);
+                } else {
+                    const name = document.getElementById('rotationName').value.trim().toLowerCase();
+                    const response = await fetch(serviceUrl + '/api/rotations', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ name, rotation })
+                    });
+                    const result = await response.json();
+                    if (!response.ok) throw new Error(result.error);
+                }
+                await loadRotations();
+                closeModal('rotationModal');
+                showToast('Rotation saved');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        });
+        
+        async function deleteRotation(name) {
+            if (!confirm('Delete the "' + name + '" rotation?')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/rotations/' + name, { method: 'DELETE' });
+                const result = await response.json();
                 
-                // Search filter
-                if (searchTerm && !name.includes(searchTerm) && !config.description.toLowerCase().includes(searchTerm)) {
-                    show = false;
+                if (!response.ok) throw new Error(result.error);
+                showToast('Rotation deleted');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadRotations();
+        }
+        
+        // Load incidents
+        async function loadIncidents() {
+            try {
+                const status = document.getElementById('incidentStatusFilter').value;
+                const response = await fetch(serviceUrl + '/api/incidents' + (status ? '?status=' + status : ''));
+                const data = await response.json();
+                const list = document.getElementById('incidentList');
+                
+                if (data.incidents.length === 0) {
+                    list.innerHTML = '<div class="empty-state">No incidents</div>';
+                } else {
+                    list.innerHTML = '';
+                    data.incidents.forEach(incident => list.appendChild(renderIncident(incident)));
+                }
+                await loadEscalations();
+            } catch (error) {
+                console.error('Error loading incidents:', error);
+            }
+        }
+        
+        function renderIncident(incident) {
+            const item = document.createElement('div');
+            item.className = 'delivery-entry';
+            const ack = incident.acknowledgedBy
+                ? ' | Acknowledged by ' + incident.acknowledgedBy + ' at ' + new Date(incident.acknowledgedAt).toLocaleString()
+                : '';
+            item.innerHTML = \`
+                <div class="changelog-time">\${new Date(incident.createdAt).toLocaleString()} | Code \${incident.code}\${ack}</div>
+                <div class="changelog-action">
+                    <span class="delivery-status \${incident.status}">\${incident.status}</span>
+                    \${incident.webhookName} via \${incident.policy} (level \${incident.level + 1})
+                </div>
+                <div class="webhook-actions editor-only" style="display: \${incident.status === 'open' ? 'flex' : 'none'};">
+                    <button class="btn btn-success btn-small">Acknowledge</button>
+                </div>
+                <div class="delivery-details"></div>
+            \`;
+            
+            // Timeline, one event per line
+            item.querySelector('.delivery-details').textContent = incident.message + '\\n\\n' + incident.timeline.map(entry => {
+                const who = entry.by ? ' by ' + entry.by + ' (' + entry.via + ')' : '';
+                const sent = [...(entry.recipients || []), ...(entry.email || [])].join(', ');
+                return new Date(entry.timestamp).toLocaleString() + '  ' + entry.event +
+                    (entry.level ? ' - level ' + entry.level : '') + who + (sent ? ' to ' + sent : '');
+            }).join('\\n');
+            
+            item.querySelector('.webhook-actions button').addEventListener('click', () => acknowledgeIncident(incident.id));
+            item.addEventListener('click', (e) => {
+                if (!e.target.closest('.delivery-details') && !e.target.closest('button')) {
+                    item.classList.toggle('expanded');
                 }
+            });
+            return item;
+        }
+        
+        async function acknowledgeIncident(id) {
+            try {
+                const response = await fetch(serviceUrl + '/api/incidents/' + id + '/acknowledge', { method: 'POST' });
+                const result = await response.json();
                 
-                // Tag filter
-                if (tagFilter && config.tags) {
-                    const tags = config.tags.join(' ').toLowerCase();
-                    if (!tags.includes(tagFilter)) {
-                        show = false;
-                    }
+                if (!response.ok) throw new Error(result.error);
+                showToast('Incident acknowledged');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadIncidents();
+        }
+        
+        // Load SMS replies, grouped by the alert they answer
+        async function loadConversations() {
+            try {
+                const [conversationsResponse, preferencesResponse] = await Promise.all([
+                    fetch(serviceUrl + '/api/conversations'),
+                    fetch(serviceUrl + '/api/sms-preferences')
+                ]);
+                const conversations = await conversationsResponse.json();
+                const preferences = await preferencesResponse.json();
+                
+                const list = document.getElementById('conversationList');
+                if (conversations.length === 0) {
+                    list.innerHTML = '<div class="empty-state">No SMS replies yet</div>';
+                } else {
+                    list.innerHTML = '';
+                    conversations.forEach(conversation => list.appendChild(renderConversation(conversation)));
                 }
                 
-                // Type filter
-                if (typeFilter) {
-                    if (typeFilter === 'sms' && !config.recipients) show = false;
-                    if (typeFilter === 'email' && !config.email) show = false;
-                    if (typeFilter === 'browser' && !config.browserNotify) show = false;
+                displaySmsPreferences(preferences);
+            } catch (error) {
+                console.error('Error loading conversations:', error);
+            }
+        }
+        
+        function renderConversation(conversation) {
+            const item = document.createElement('div');
+            item.className = 'delivery-entry expanded';
+            item.innerHTML = '<div class="changelog-time"></div><div class="changelog-action"></div><div class="delivery-details"></div>';
+            
+            const alert = conversation.alert;
+            item.querySelector('.changelog-time').textContent = alert
+                ? 'Alert sent ' + new Date(alert.timestamp).toLocaleString() + ' to ' + alert.recipients.join(', ')
+                : 'Replies that did not match a recent alert';
+            item.querySelector('.changelog-action').textContent = conversation.webhookName || 'Unmatched';
+            
+            const lines = alert ? ['> ' + alert.message, ''] : [];
+            conversation.messages.forEach(message => {
+                const time = new Date(message.timestamp).toLocaleString();
+                lines.push(time + '  ' + message.from + ': ' + message.text);
+                if (message.reply) {
+                    lines.push(time + '  us: ' + message.reply + (message.replyError ? ' (not sent: ' + message.replyError + ')' : ''));
                 }
+            });
+            item.querySelector('.delivery-details').textContent = lines.join('\\n');
+            return item;
+        }
+        
+        function displaySmsPreferences(preferences) {
+            const list = document.getElementById('smsPreferenceList');
+            const entries = [
+                ...preferences.optOuts.map(optOut => ({
+                    label: optOut.phone + ' opted out (STOP) ' + new Date(optOut.since).toLocaleString(),
+                    url: '/api/sms-preferences/opt-outs/' + encodeURIComponent(optOut.phone)
+                })),
+                ...preferences.mutes.map(mute => ({
+                    label: mute.phone + ' muted ' + (mute.webhookName || 'all alerts') + ' until ' + new Date(mute.until).toLocaleString(),
+                    url: '/api/sms-preferences/mutes/' + encodeURIComponent(mute.phone) +
+                        (mute.webhookName ? '?webhook=' + encodeURIComponent(mute.webhookName) : '')
+                }))
+            ];
+            
+            if (entries.length === 0) {
+                list.innerHTML = '<div class="empty-state">Nobody has opted out or muted alerts</div>';
+                return;
+            }
+            
+            list.innerHTML = '';
+            entries.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = 'changelog-entry';
+                item.innerHTML = '<div class="changelog-action"></div>' +
+                    '<div class="webhook-actions editor-only"><button class="btn btn-warning btn-small">Remove</button></div>';
+                item.querySelector('.changelog-action').textContent = entry.label;
+                item.querySelector('button').addEventListener('click', () => removeSmsPreference(entry.url));
+                list.appendChild(item);
+            });
+        }
+        
+        async function removeSmsPreference(url) {
+            if (!confirm('Start sending SMS alerts to this number again?')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + url, { method: 'DELETE' });
+                const result = await response.json();
                 
-                if (show) {
-                    filtered[name] = config;
+                if (!response.ok) throw new Error(result.error);
+                showToast(result.message);
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadConversations();
+        }
+        
+        // Load escalation policies and refresh everything that lists them
+        async function loadEscalations() {
+            try {
+                const response = await fetch(serviceUrl + '/api/escalations');
+                escalationPolicies = await response.json();
+                displayEscalations();
+                
+                const select = document.getElementById('webhookEscalation');
+                const current = select.value;
+                select.innerHTML = '<option value="">None - send to the recipients above</option>';
+                for (const name of Object.keys(escalationPolicies)) {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name;
+                    select.appendChild(option);
                 }
+                select.value = current;
+            } catch (error) {
+                console.error('Error loading escalation policies:', error);
             }
+        }
+        
+        function displayEscalations() {
+            const list = document.getElementById('escalationList');
             
-            displayWebhooks(filtered);
+            if (Object.keys(escalationPolicies).length === 0) {
+                list.innerHTML = '<div class="empty-state">No escalation policies yet</div>';
+                return;
+            }
+            
+            list.innerHTML = '';
+            
+            for (const [name, policy] of Object.entries(escalationPolicies)) {
+                const item = document.createElement('div');
+                item.className = 'webhook-item';
+                item.innerHTML = \`
+                    <div class="webhook-name"></div>
+                    <div class="webhook-details"></div>
+                    <div class="webhook-details levels"></div>
+                    <div class="webhook-details"><strong>Used by:</strong> \${policy.usedBy.join(', ') || 'none'}</div>
+                    <div class="webhook-actions editor-only">
+                        <button class="btn btn-secondary btn-small">Edit</button>
+                        <button class="btn btn-warning btn-small">Delete</button>
+                    </div>
+                \`;
+                item.querySelector('.webhook-name').textContent = name;
+                item.querySelector('.webhook-details').textContent = policy.description || '';
+                item.querySelector('.levels').innerText = policy.levels.map((level, index) =>
+                    'Level ' + (index + 1) + ': ' + [level.recipients, level.email].filter(value => value).join(', ') +
+                    ' - wait ' + level.delayMinutes + ' min').join('\\n');
+                const [editButton, deleteButton] = item.querySelectorAll('.webhook-actions button');
+                editButton.addEventListener('click', () => editEscalation(name));
+                deleteButton.addEventListener('click', () => deleteEscalation(name));
+                list.appendChild(item);
+            }
         }
         
-        // Refresh webhooks from server
-        async function refreshWebhooks() {
+        function addEscalationLevel(level = {}) {
+            const row = document.createElement('div');
+            row.className = 'routing-row escalation-level';
+            row.style.gridTemplateColumns = '1fr 1fr 80px 30px';
+            row.innerHTML = '<input type="text" class="level-recipients" placeholder="SMS recipients">' +
+                '<input type="text" class="level-email" placeholder="Email recipients">' +
+                '<input type="number" class="level-delay" min="1" title="Minutes to wait">' +
+                '<button type="button" class="close-modal" title="Remove level">&times;</button>';
+            row.querySelector('.level-recipients').value = level.recipients || '';
+            row.querySelector('.level-email').value = level.email || '';
+            row.querySelector('.level-delay').value = level.delayMinutes || 5;
+            row.querySelector('button').addEventListener('click', () => row.remove());
+            document.getElementById('escalationLevels').appendChild(row);
+        }
+        
+        function showAddEscalationModal() {
+            editingEscalation = null;
+            document.getElementById('escalationModalTitle').textContent = 'Add Escalation Policy';
+            document.getElementById('escalationForm').reset();
+            document.getElementById('escalationName').disabled = false;
+            document.getElementById('escalationLevels').innerHTML = '';
+            addEscalationLevel();
+            addEscalationLevel();
+            document.getElementById('escalationModal').classList.add('active');
+        }
+        
+        function editEscalation(name) {
+            editingEscalation = name;
+            const policy = escalationPolicies[name];
+            document.getElementById('escalationModalTitle').textContent = 'Edit Escalation Policy';
+            document.getElementById('escalationName').value = name;
+            document.getElementById('escalationName').disabled = true;
+            document.getElementById('escalationDescription').value = policy.description || '';
+            document.getElementById('escalationLevels').innerHTML = '';
+            policy.levels.forEach(level => addEscalationLevel(level));
+            document.getElementById('escalationModal').classList.add('active');
+        }
+        
+        document.getElementById('escalationForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const levels = [...document.querySelectorAll('#escalationLevels .escalation-level')].map(row => ({
+                recipients: row.querySelector('.level-recipients').value.trim(),
+                email: row.querySelector('.level-email').value.trim(),
+                delayMinutes: parseInt(row.querySelector('.level-delay').value, 10)
+            }));
+            const policy = {
+                description: document.getElementById('escalationDescription').value.trim(),
+                levels
+            };
+            
             try {
-                const response = await fetch(serviceUrl + '/api/webhooks');
-                const data = await response.json();
-                webhooks = data.webhooks || {};
-                allWebhooks = { ...webhooks };
-                archivedWebhooks = data.archived || {};
-                displayWebhooks(webhooks);
-                displayArchivedWebhooks();
-                updateTestTypeOptions();
-                updateWebhookCounter();
-                showToast('Data loaded successfully');
+                const name = document.getElementById('escalationName').value.trim().toLowerCase();
+                const response = await fetch(serviceUrl + '/api/escalations' + (editingEscalation ? '/' + editingEscalation : ''), {
+                    method: editingEscalation ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(editingEscalation ? policy : { name, policy })
+                });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                await loadEscalations();
+                closeModal('escalationModal');
+                showToast('Escalation policy saved');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        });
+        
+        async function deleteEscalation(name) {
+            if (!confirm('Delete the "' + name + '" escalation policy?')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/escalations/' + name, { method: 'DELETE' });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                showToast('Escalation policy deleted');
             } catch (error) {
-                showToast('Error loading webhooks: ' + error.message, true);
+                showToast('Error: ' + error.message, true);
             }
+            await loadEscalations();
         }
         
-        // Update webhook counter
-        function updateWebhookCounter() {
-            const count = Object.keys(webhooks).length;
-            document.getElementById('webhookCounter').textContent = count + ' Webhook' + (count !== 1 ? 's' : '');
+        // Load named recipients and groups
+        async function loadPeople() {
+            try {
+                const [peopleResponse, groupsResponse] = await Promise.all([
+                    fetch(serviceUrl + '/api/people'),
+                    fetch(serviceUrl + '/api/groups')
+                ]);
+                people = await peopleResponse.json();
+                groups = await groupsResponse.json();
+                displayPeople();
+                displayGroups();
+            } catch (error) {
+                console.error('Error loading people:', error);
+            }
         }
         
-        // Display active webhooks
-        function displayWebhooks(webhooksToDisplay = webhooks) {
-            const list = document.getElementById('webhookList');
+        const CHANNEL_LABELS = { sms: 'SMS', email: 'Email', both: 'SMS and email' };
+        const QUIET_ACTION_LABELS = { defer: 'deferred', email: 'email instead', digest: 'summary' };
+        
+        function displayPeople() {
+            const list = document.getElementById('personList');
             
-            if (Object.keys(webhooksToDisplay).length === 0) {
-                list.innerHTML = '<div class=\"empty-state\">No webhooks found. Click \"+ Add Webhook\" to create one.</div>';
+            if (Object.keys(people).length === 0) {
+                list.innerHTML = '<div class="empty-state">No people yet</div>';
                 return;
             }
             
             list.innerHTML = '';
             
-            for (const [name, config] of Object.entries(webhooksToDisplay)) {
-                const webhookUrl = serviceUrl + '/sms-whook/' + name;
+            for (const [name, person] of Object.entries(people)) {
                 const item = document.createElement('div');
                 item.className = 'webhook-item';
-                
-                const indicators = [];
-                if (config.recipients) indicators.push('<span class="indicator sms">SMS</span>');
-                if (config.email) indicators.push('<span class="indicator email">Email</span>');
-                if (config.browserNotify) indicators.push('<span class="indicator browser">Browser</span>');
-                
-                const tags = (config.tags || []).map(tag => '<span class="tag">' + tag + '</span>').join(' ');
-     // fixed backtick error 
-                
                 item.innerHTML = \`
-                    <div class="webhook-name">\${name}</div>
-                    <div class="webhook-url">
-                        <span>\${webhookUrl}</span>
-                    </div>
+                    <div class="webhook-name"></div>
+                    <div class="webhook-details"></div>
+                    <div class="webhook-details contact-details"></div>
                     <div class="webhook-details">
-                        <strong>Description:</strong> \${config.description}
-                    </div>
-                    <div class="webhook-indicators">
-                        \${indicators.join(' ')}
-                    </div>
-                    <div class="webhook-tags">
-                        \${tags}
+                        <strong>Prefers:</strong> \${CHANNEL_LABELS[person.channel]} |
+                        <strong>Quiet hours:</strong> \${person.quietHours ? person.quietHours.start + '-' + person.quietHours.end + ' (' + QUIET_ACTION_LABELS[person.quietHours.action] + ')' : 'none'} |
+                        <strong>Used by:</strong> \${person.usedBy.join(', ') || 'none'}
                     </div>
-                    <div class="webhook-actions">
-                        <button class="btn btn-secondary btn-small" onclick="editWebhook('\${name}')">Edit</button>
-                        <button class="btn btn-success btn-small" onclick="testWebhook('\${name}')">Test</button>
-                        <button class="btn btn-copy btn-small" onclick="copyToClipboard('\${webhookUrl}')">Copy</button>
-                        <button class="btn btn-warning btn-small" onclick="archiveWebhook('\${name}')">Archive</button>
+                    <div class="webhook-actions editor-only">
+                        <button class="btn btn-secondary btn-small">Edit</button>
+                        <button class="btn btn-warning btn-small">Delete</button>
                     </div>
                 \`;
+                item.querySelector('.webhook-name').textContent = 'person:' + name;
+                item.querySelector('.webhook-details').textContent = person.description || '';
+                item.querySelector('.contact-details').textContent = [person.phone, person.email].filter(value => value).join(' | ');
+                const [editButton, deleteButton] = item.querySelectorAll('.webhook-actions button');
+                editButton.addEventListener('click', () => editPerson(name));
+                deleteButton.addEventListener('click', () => deletePerson(name));
                 list.appendChild(item);
             }
         }
         
-        // Display archived webhooks
-        function displayArchivedWebhooks() {
-            const list = document.getElementById('archivedList');
+        function displayGroups() {
+            const list = document.getElementById('groupList');
             
-            if (Object.keys(archivedWebhooks).length === 0) {
-                list.innerHTML = '<div class="empty-state">No archived webhooks</div>';
+            if (Object.keys(groups).length === 0) {
+                list.innerHTML = '<div class="empty-state">No groups yet</div>';
                 return;
             }
             
             list.innerHTML = '';
             
-            for (const [name, config] of Object.entries(archivedWebhooks)) {
+            for (const [name, group] of Object.entries(groups)) {
                 const item = document.createElement('div');
                 item.className = 'webhook-item';
                 item.innerHTML = \`
-                    <div class="webhook-name">\${name}</div>
-                    <div class="webhook-details">
-                        <strong>Description:</strong> \${config.description}<br>
-                        <strong>Archived:</strong> \${new Date(config.archivedAt).toLocaleString()}
-                    </div>
-                    <div class="webhook-actions">
-                        <button class="btn btn-primary btn-small" onclick="restoreWebhook('\${name}')">Restore</button>
+                    <div class="webhook-name"></div>
+                    <div class="webhook-details"></div>
+                    <div class="webhook-details"><strong>Members:</strong> <span class="group-members"></span></div>
+                    <div class="webhook-details"><strong>Used by:</strong> \${group.usedBy.join(', ') || 'none'}</div>
+                    <div class="webhook-actions editor-only">
+                        <button class="btn btn-secondary btn-small">Edit</button>
+                        <button class="btn btn-warning btn-small">Delete</button>
                     </div>
                 \`;
+                item.querySelector('.webhook-name').textContent = 'group:' + name;
+                item.querySelector('.webhook-details').textContent = group.description || '';
+                item.querySelector('.group-members').textContent = group.members.join(', ');
+                const [editButton, deleteButton] = item.querySelectorAll('.webhook-actions button');
+                editButton.addEventListener('click', () => editGroup(name));
+                deleteButton.addEventListener('click', () => deleteGroup(name));
                 list.appendChild(item);
             }
         }
         
-        // Load changelog
-        async function loadChangelog() {
+        function showAddPersonModal() {
+            editingPerson = null;
+            document.getElementById('personModalTitle').textContent = 'Add Person';
+            document.getElementById('personForm').reset();
+            document.getElementById('personName').disabled = false;
+            document.getElementById('personModal').classList.add('active');
+        }
+        
+        function editPerson(name) {
+            editingPerson = name;
+            const person = people[name];
+            document.getElementById('personModalTitle').textContent = 'Edit Person';
+            document.getElementById('personName').value = name;
+            document.getElementById('personName').disabled = true;
+            document.getElementById('personDescription').value = person.description || '';
+            document.getElementById('personPhone').value = person.phone || '';
+            document.getElementById('personEmail').value = person.email || '';
+            document.getElementById('personChannel').value = person.channel;
+            document.getElementById('personTimezone').value = person.timezone || '';
+            document.getElementById('personQuietStart').value = person.quietHours ? person.quietHours.start : '';
+            document.getElementById('personQuietEnd').value = person.quietHours ? person.quietHours.end : '';
+            document.getElementById('personQuietAction').value = person.quietHours ? person.quietHours.action : 'defer';
+            document.getElementById('personModal').classList.add('active');
+        }
+        
+        document.getElementById('personForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const quietStart = document.getElementById('personQuietStart').value;
+            const quietEnd = document.getElementById('personQuietEnd').value;
+            const person = {
+                description: document.getElementById('personDescription').value.trim(),
+                phone: document.getElementById('personPhone').value.trim(),
+                email: document.getElementById('personEmail').value.trim(),
+                channel: document.getElementById('personChannel').value,
+                timezone: document.getElementById('personTimezone').value.trim(),
+                quietHours: quietStart || quietEnd
+                    ? { start: quietStart, end: quietEnd, action: document.getElementById('personQuietAction').value }
+                    : null
+            };
+            
             try {
-                const response = await fetch(serviceUrl + '/api/changelog');
-                const changelog = await response.json();
+                const name = document.getElementById('personName').value.trim().toLowerCase();
+                const response = await fetch(serviceUrl + '/api/people' + (editingPerson ? '/' + editingPerson : ''), {
+                    method: editingPerson ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(editingPerson ? person : { name, person })
+                });
+                const result = await response.json();
                 
-                const list = document.getElementById('changelogList');
+                if (!response.ok) throw new Error(result.error);
+                await loadPeople();
+                closeModal('personModal');
+                showToast('Person saved');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        });
+        
+        async function deletePerson(name) {
+            if (!confirm('Delete person:' + name + '?')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/people/' + name, { method: 'DELETE' });
+                const result = await response.json();
                 
-                if (changelog.length === 0) {
-                    list.innerHTML = '<div class="empty-state">No changes recorded yet</div>';
+                if (!response.ok) throw new Error(result.error);
+                showToast('Person deleted');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadPeople();
+        }
+        
+        function setGroupMembers(members) {
+            const container = document.getElementById('groupMembers');
+            container.innerHTML = '';
+            for (const name of Object.keys(people)) {
+                const label = document.createElement('label');
+                label.innerHTML = '<input type="checkbox"> <span></span>';
+                label.querySelector('input').value = name;
+                label.querySelector('input').checked = members.includes(name);
+                label.querySelector('span').textContent = name;
+                container.appendChild(label);
+            }
+            if (Object.keys(people).length === 0) {
+                container.innerHTML = '<small>Add people first</small>';
+            }
+        }
+        
+        function showAddGroupModal() {
+            editingGroup = null;
+            document.getElementById('groupModalTitle').textContent = 'Add Group';
+            document.getElementById('groupForm').reset();
+            document.getElementById('groupName').disabled = false;
+            setGroupMembers([]);
+            document.getElementById('groupModal').classList.add('active');
+        }
+        
+        function editGroup(name) {
+            editingGroup = name;
+            const group = groups[name];
+            document.getElementById('groupModalTitle').textContent = 'Edit Group';
+            document.getElementById('groupName').value = name;
+            document.getElementById('groupName').disabled = true;
+            document.getElementById('groupDescription').value = group.description || '';
+            setGroupMembers(group.members);
+            document.getElementById('groupModal').classList.add('active');
+        }
+        
+        document.getElementById('groupForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const group = {
+                description: document.getElementById('groupDescription').value.trim(),
+                members: [...document.querySelectorAll('#groupMembers input:checked')].map(input => input.value)
+            };
+            
+            try {
+                const name = document.getElementById('groupName').value.trim().toLowerCase();
+                const response = await fetch(serviceUrl + '/api/groups' + (editingGroup ? '/' + editingGroup : ''), {
+                    method: editingGroup ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(editingGroup ? group : { name, group })
+                });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                await loadPeople();
+                closeModal('groupModal');
+                showToast('Group saved');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        });
+        
+        async function deleteGroup(name) {
+            if (!confirm('Delete group:' + name + '?')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/groups/' + name, { method: 'DELETE' });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                showToast('Group deleted');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadPeople();
+        }
+        
+        let contacts = [];
+        let editingContact = null;
+        
+        async function loadContacts() {
+            try {
+                const search = document.getElementById('contactSearch').value.trim();
+                const response = await fetch(serviceUrl + '/api/contacts' + (search ? '?search=' + encodeURIComponent(search) : ''));
+                contacts = await response.json();
+                displayContacts();
+            } catch (error) {
+                console.error('Error loading contacts:', error);
+            }
+        }
+        
+        function displayContacts() {
+            const list = document.getElementById('contactList');
+            if (contacts.length === 0) {
+                list.innerHTML = '<div class="empty-state">No contacts found</div>';
+                return;
+            }
+            
+            list.innerHTML = '';
+            contacts.forEach(contact => {
+                const entry = document.createElement('div');
+                entry.className = 'changelog-entry';
+                entry.innerHTML = '<div class="changelog-time"></div><div class="changelog-action"></div>' +
+                    '<div class="webhook-actions editor-only">' +
+                    '<button class="btn btn-secondary btn-small">Edit</button>' +
+                    '<button class="btn btn-warning btn-small">Delete</button></div>';
+                entry.querySelector('.changelog-time').textContent = contact.phone +
+                    (contact.notes ? ' | ' + contact.notes : '');
+                entry.querySelector('.changelog-action').textContent = contact.name +
+                    (contact.company ? ' (' + contact.company + ')' : '') + (contact.vip ? ' - VIP' : '');
+                const [editButton, deleteButton] = entry.querySelectorAll('button');
+                editButton.addEventListener('click', () => editContact(contact.id));
+                deleteButton.addEventListener('click', () => deleteContact(contact.id));
+                list.appendChild(entry);
+            });
+        }
+        
+        function showAddContactModal() {
+            editingContact = null;
+            document.getElementById('contactModalTitle').textContent = 'Add Contact';
+            document.getElementById('contactForm').reset();
+            document.getElementById('contactModal').classList.add('active');
+        }
+        
+        function editContact(id) {
+            const contact = contacts.find(entry => entry.id === id);
+            editingContact = id;
+            document.getElementById('contactModalTitle').textContent = 'Edit Contact';
+            document.getElementById('contactPhone').value = contact.phone;
+            document.getElementById('contactName').value = contact.name;
+            document.getElementById('contactCompany').value = contact.company || '';
+            document.getElementById('contactVip').checked = contact.vip;
+            document.getElementById('contactNotes').value = contact.notes || '';
+            document.getElementById('contactModal').classList.add('active');
+        }
+        
+        document.getElementById('contactForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const contact = {
+                phone: document.getElementById('contactPhone').value.trim(),
+                name: document.getElementById('contactName').value.trim(),
+                company: document.getElementById('contactCompany').value.trim(),
+                vip: document.getElementById('contactVip').checked,
+                notes: document.getElementById('contactNotes').value.trim()
+            };
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/contacts' + (editingContact ? '/' + editingContact : ''), {
+                    method: editingContact ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(contact)
+                });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                await loadContacts();
+                closeModal('contactModal');
+                showToast('Contact saved');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        });
+        
+        async function deleteContact(id) {
+            const contact = contacts.find(entry => entry.id === id);
+            if (!confirm('Delete ' + contact.name + ' from contacts?')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/contacts/' + id, { method: 'DELETE' });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                showToast('Contact deleted');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await loadContacts();
+        }
+        
+        async function importContacts(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/contacts/import', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/csv' },
+                    body: await file.text()
+                });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                showToast(result.created + ' added, ' + result.updated + ' updated' +
+                    (result.skipped.length ? ', ' + result.skipped.length + ' skipped (line ' + result.skipped[0].line + ': ' + result.skipped[0].error + ')' : ''),
+                    result.skipped.length > 0);
+            } catch (error) {
+                showToast('Error importing contacts: ' + error.message, true);
+            }
+            
+            event.target.value = '';
+            await loadContacts();
+        }
+        
+        // Fill the timezone suggestions from the browser's list
+        function setupTimezoneList() {
+            if (!Intl.supportedValuesOf) return;
+            const list = document.getElementById('timezoneList');
+            for (const zone of Intl.supportedValuesOf('timeZone')) {
+                const option = document.createElement('option');
+                option.value = zone;
+                list.appendChild(option);
+            }
+        }
+        
+        // Load global settings
+        async function loadSettings() {
+            try {
+                const response = await fetch(serviceUrl + '/api/settings');
+                const settings = await response.json();
+                document.getElementById('settingsTimezone').value = settings.timezone || '';
+                document.getElementById('settingsLocale').value = settings.locale || '';
+                document.getElementById('settingsCountry').innerHTML = settings.countries
+                    .map(country => '<option value="' + country + '">' + country + '</option>').join('');
+                document.getElementById('settingsCountry').value = settings.defaultCountry;
+                document.getElementById('settingsSmsCost').value = settings.smsCostPerSegment || '';
+                document.getElementById('serverTimezoneNote').textContent =
+                    'Used for {time}, {date} and date formats unless a webhook sets its own. Blank uses the server timezone (' +
+                    settings.serverTimezone + ').';
+            } catch (error) {
+                console.error('Error loading settings:', error);
+            }
+        }
+        
+        async function saveSettings() {
+            try {
+                const response = await fetch(serviceUrl + '/api/settings', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        timezone: document.getElementById('settingsTimezone').value.trim(),
+                        locale: document.getElementById('settingsLocale').value.trim(),
+                        defaultCountry: document.getElementById('settingsCountry').value,
+                        smsCostPerSegment: parseFloat(document.getElementById('settingsSmsCost').value) || 0
+                    })
+                });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                showToast('Settings saved');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        }
+        
+        // Load users and API tokens
+        async function loadAccess() {
+            try {
+                const [usersResponse, tokensResponse] = await Promise.all([
+                    fetch(serviceUrl + '/api/users'),
+                    fetch(serviceUrl + '/api/tokens')
+                ]);
+                const users = await usersResponse.json();
+                const tokens = await tokensResponse.json();
+                
+                const userList = document.getElementById('userList');
+                userList.innerHTML = '';
+                users.forEach(user => {
+                    const entry = document.createElement('div');
+                    entry.className = 'changelog-entry';
+                    entry.innerHTML = '<div class="changelog-action"></div>' +
+                        '<div class="webhook-actions"><button class="btn btn-warning btn-small">Delete</button></div>';
+                    entry.querySelector('.changelog-action').textContent = user.username + ' (' + user.role + ')';
+                    entry.querySelector('button').addEventListener('click', () => deleteUser(user.username));
+                    userList.appendChild(entry);
+                });
+                
+                const tokenList = document.getElementById('tokenList');
+                if (tokens.length === 0) {
+                    tokenList.innerHTML = '<div class="empty-state">No API tokens</div>';
                     return;
                 }
+                tokenList.innerHTML = '';
+                tokens.forEach(token => {
+                    const entry = document.createElement('div');
+                    entry.className = 'changelog-entry';
+                    entry.innerHTML = '<div class="changelog-time"></div><div class="changelog-action"></div>' +
+                        '<div class="webhook-actions"><button class="btn btn-warning btn-small">Revoke</button></div>';
+                    entry.querySelector('.changelog-time').textContent = 'Created ' + new Date(token.createdAt).toLocaleString() +
+                        (token.lastUsedAt ? ' | Last used ' + new Date(token.lastUsedAt).toLocaleString() : '');
+                    entry.querySelector('.changelog-action').textContent = token.name + ' (' + token.role + ')';
+                    entry.querySelector('button').addEventListener('click', () => revokeToken(token.id, token.name));
+                    tokenList.appendChild(entry);
+                });
+            } catch (error) {
+                console.error('Error loading access settings:', error);
+            }
+        }
+        
+        async function createUser() {
+            try {
+                const response = await fetch(serviceUrl + '/api/users', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        username: document.getElementById('newUsername').value.trim(),
+                        password: document.getElementById('newUserPassword').value,
+                        role: document.getElementById('newUserRole').value
+                    })
+                });
+                const result = await response.json();
                 
-                list.innerHTML = '';
+                if (!response.ok) throw new Error(result.error);
+                document.getElementById('newUsername').value = '';
+                document.getElementById('newUserPassword').value = '';
+                showToast('User created');
+                await loadAccess();
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        }
+        
+        async function deleteUser(username) {
+            if (!confirm('Delete user "' + username + '"?')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/users/' + encodeURIComponent(username), { method: 'DELETE' });
+                const result = await response.json();
                 
-                // Show newest first
-                changelog.reverse().forEach(entry => {
-                    const item = document.createElement('div');
-                    item.className = 'changelog-entry';
-                    item.innerHTML = \`
-                        <div class="changelog-time">\${new Date(entry.timestamp).toLocaleString()}</div>
-                        <div class="changelog-action">\${entry.action.replace(/_/g, ' ')}: \${entry.webhookName}</div>
-                    \`;
-                    list.appendChild(item);
+                if (!response.ok) throw new Error(result.error);
+                showToast('User deleted');
+                await loadAccess();
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        }
+        
+        async function createToken() {
+            try {
+                const response = await fetch(serviceUrl + '/api/tokens', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        name: document.getElementById('newTokenName').value.trim(),
+                        role: document.getElementById('newTokenRole').value
+                    })
                 });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                const display = document.getElementById('newTokenDisplay');
+                display.textContent = 'Copy this token now, it will not be shown again: ' + result.token;
+                display.style.display = 'block';
+                document.getElementById('newTokenName').value = '';
+                await loadAccess();
             } catch (error) {
-                console.error('Error loading changelog:', error);
+                showToast('Error: ' + error.message, true);
+            }
+        }
+        
+        async function revokeToken(id, name) {
+            if (!confirm('Revoke token "' + name + '"? Scripts using it will stop working.')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/tokens/' + id, { method: 'DELETE' });
+                if (!response.ok) throw new Error('Failed to revoke token');
+                showToast('Token revoked');
+                await loadAccess();
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        }
+        
+        // Log out
+        async function logout() {
+            await fetch(serviceUrl + '/api/logout', { method: 'POST' });
+            window.location.href = '/login';
+        }
+        
+        // Update delivery and usage webhook filter options
+        function updateDeliveryWebhookOptions() {
+            for (const id of ['deliveryWebhookFilter', 'usageWebhookFilter']) {
+                const select = document.getElementById(id);
+                const selected = select.value;
+                select.innerHTML = '<option value="">All Webhooks</option>';
+                
+                for (const name of Object.keys(webhooks)) {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name;
+                    select.appendChild(option);
+                }
+                select.value = selected;
             }
         }
         
@@ -1395,13 +9824,79 @@ function getManagerHTML(host) {
                     <strong>Configuration for \${type}:</strong><br>
                     Recipients: \${config.recipients || 'None'}<br>
                     Template: \${config.messageTemplate}<br>
-                    SMS: \${config.recipients ? 'Yes' : 'No'} | 
-                    Email: \${config.email ? 'Yes' : 'No'} | 
-                    Browser: \${config.browserNotify ? 'Yes' : 'No'}
+                    Channels: \${channelProviders.filter(channel => config[channel.key]).map(channel => channel.label).join(', ') || 'None'}
                 \`;
             }
         }
         
+        // Live template preview in the webhook modal
+        let previewTimer = null;
+        
+        function queuePreview() {
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(updatePreview, 300);
+        }
+        
+        function setupTemplatePreview() {
+            for (const id of ['webhookTemplate', 'previewPayload', 'webhookTimezone', 'webhookLocale',
+                'smsMaxLength', 'smsTruncateFields', 'smsSplit', 'smsSubstitute']) {
+                document.getElementById(id).addEventListener('input', queuePreview);
+            }
+            // Rules come and go while editing, so listen on their container
+            document.getElementById('routingRules').addEventListener('input', queuePreview);
+        }
+        
+        async function updatePreview() {
+            const output = document.getElementById('templatePreview');
+            const stats = document.getElementById('templatePreviewStats');
+            const template = document.getElementById('webhookTemplate').value;
+            
+            let payload;
+            try {
+                payload = JSON.parse(document.getElementById('previewPayload').value || '{}');
+            } catch (error) {
+                output.textContent = 'Sample payload is not valid JSON';
+                stats.textContent = '';
+                return;
+            }
+            
+            try {
+                const name = editingWebhook || document.getElementById('webhookName').value || 'new';
+                const response = await fetch(serviceUrl + '/api/webhooks/' + encodeURIComponent(name) + '/preview', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        template,
+                        payload,
+                        timezone: document.getElementById('webhookTimezone').value.trim(),
+                        locale: document.getElementById('webhookLocale').value.trim(),
+                        smsLength: getSmsLengthFields(),
+                        rules: getRoutingRules()
+                    })
+                });
+                const result = await response.json();
+                
+                if (!response.ok) {
+                    output.textContent = result.error;
+                    stats.textContent = '';
+                    return;
+                }
+                
+                output.textContent = result.sms.parts.join('\\n\\n');
+                const notes = [];
+                if (result.rule !== null) notes.push('rule ' + (result.rule || 'matched'));
+                if (result.sms.parts.length > 1) notes.push(result.sms.parts.length + ' texts');
+                if (result.sms.truncated) notes.push('shortened to fit');
+                if (result.sms.substituted) notes.push('characters replaced');
+                stats.textContent = result.characters + ' characters | ' + result.sms.segments + ' SMS segment' +
+                    (result.sms.segments !== 1 ? 's' : '') + ' | ' + result.sms.encoding +
+                    (notes.length ? ' | ' + notes.join(', ') : '');
+            } catch (error) {
+                output.textContent = 'Preview failed: ' + error.message;
+                stats.textContent = '';
+            }
+        }
+        
         // Copy to clipboard
         function copyToClipboard(text) {
             navigator.clipboard.writeText(text).then(() => {
@@ -1424,9 +9919,19 @@ function getManagerHTML(host) {
             editingWebhook = null;
             document.getElementById('modalTitle').textContent = 'Add New Webhook';
             document.getElementById('webhookForm').reset();
-            document.getElementById('enableSMS').checked = true;
-            document.getElementById('recipientsGroup').style.display = 'block';
-            document.getElementById('emailGroup').style.display = 'none';
+            setChannelFields({});
+            toggleChannel('sms', true);
+            document.getElementById('webhookSecretMode').value = 'none';
+            setScheduleRouting('', {});
+            setRoutingRules([]);
+            showPhoneErrors([]);
+            document.getElementById('webhookEscalation').value = '';
+            setThrottleFields({});
+            setSmsLengthFields({});
+            setBudgetFields({});
+            setDigestFields({});
+            updateSecretDisplay();
+            updatePreview();
             document.getElementById('webhookModal').classList.add('active');
         }
         
@@ -1436,18 +9941,204 @@ function getManagerHTML(host) {
             document.getElementById('modalTitle').textContent = 'Edit Webhook';
             document.getElementById('webhookName').value = name;
             document.getElementById('webhookDescription').value = webhook.description;
-            document.getElementById('webhookRecipients').value = webhook.recipients || '';
-            document.getElementById('webhookEmail').value = webhook.email || '';
             document.getElementById('webhookTemplate').value = webhook.messageTemplate;
             document.getElementById('webhookTags').value = (webhook.tags || []).join(', ');
-            document.getElementById('enableSMS').checked = !!webhook.recipients;
-            document.getElementById('enableEmail').checked = !!webhook.email;
-            document.getElementById('enableBrowser').checked = webhook.browserNotify || false;
-            document.getElementById('recipientsGroup').style.display = webhook.recipients ? 'block' : 'none';
-            document.getElementById('emailGroup').style.display = webhook.email ? 'block' : 'none';
+            document.getElementById('webhookTimezone').value = webhook.timezone || '';
+            document.getElementById('webhookLocale').value = webhook.locale || '';
+            setChannelFields(webhook);
+            document.getElementById('webhookSecretMode').value = webhook.secretMode || 'none';
+            setScheduleRouting(webhook.schedule || '', webhook.scheduleRouting || {});
+            setRoutingRules(webhook.rules || []);
+            showPhoneErrors([]);
+            document.getElementById('webhookEscalation').value = webhook.escalation || '';
+            setThrottleFields(webhook);
+            setSmsLengthFields(webhook.smsLength || {});
+            setBudgetFields(webhook.budget || {});
+            setDigestFields(webhook.digest || {});
+            updateSecretDisplay();
+            updatePreview();
             document.getElementById('webhookModal').classList.add('active');
         }
         
+        // Load pending digest counts
+        async function loadDigests() {
+            try {
+                const response = await fetch(serviceUrl + '/api/digests');
+                pendingDigests = await response.json();
+            } catch (error) {
+                console.error('Error loading digests:', error);
+            }
+        }
+        
+        async function sendDigestNow(name) {
+            try {
+                const response = await fetch(serviceUrl + '/api/digests/' + name + '/send', { method: 'POST' });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                showToast('Digest sent');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+            await refreshWebhooks();
+        }
+        
+        function setDigestFields(digest) {
+            document.getElementById('digestInterval').value = digest.interval || '';
+            document.getElementById('digestTime').value = digest.time || '17:00';
+            document.getElementById('digestTemplate').value = digest.template || '';
+            updateDigestFields();
+        }
+        
+        function getDigestFields() {
+            const interval = document.getElementById('digestInterval').value;
+            if (!interval) return null;
+            return {
+                interval,
+                time: interval === 'daily' ? document.getElementById('digestTime').value : undefined,
+                template: document.getElementById('digestTemplate').value.trim()
+            };
+        }
+        
+        // Channel settings live at each field's path in the webhook, e.g. recipients or slack.url
+        function setChannelFields(webhook) {
+            channelProviders.forEach(channel => {
+                toggleChannel(channel.type, !!webhook[channel.key]);
+                channel.fields.forEach(field => {
+                    const value = field.path.split('.').reduce((settings, key) => settings && settings[key], webhook);
+                    document.getElementById(getChannelFieldId(field)).value = field.type === 'headers'
+                        ? Object.entries(value || {}).map(([name, header]) => name + ': ' + header).join('\\n')
+                        : value || '';
+                });
+            });
+        }
+        
+        function getChannelFields() {
+            const config = {};
+            channelProviders.forEach(channel => {
+                if (!document.getElementById('enable-' + channel.type).checked) {
+                    config[channel.key] = channel.off;
+                    return;
+                }
+                if (channel.fields.length === 0) {
+                    config[channel.key] = true;
+                    return;
+                }
+                channel.fields.forEach(field => {
+                    const input = document.getElementById(getChannelFieldId(field)).value;
+                    const value = field.type === 'headers'
+                        ? Object.fromEntries(input.split('\\n').filter(line => line.includes(':'))
+                            .map(line => [line.slice(0, line.indexOf(':')).trim(), line.slice(line.indexOf(':') + 1).trim()]))
+                        : input.trim();
+                    const keys = field.path.split('.');
+                    const parent = keys.slice(0, -1).reduce((settings, key) => (settings[key] = settings[key] || {}), config);
+                    parent[keys[keys.length - 1]] = value;
+                });
+            });
+            return config;
+        }
+        
+        function updateDigestFields() {
+            const interval = document.getElementById('digestInterval').value;
+            document.getElementById('digestTime').style.display = interval === 'daily' ? 'inline-block' : 'none';
+            document.getElementById('digestTemplateGroup').style.display = interval ? 'block' : 'none';
+        }
+        
+        const THROTTLE_FIELDS = {
+            dedupeWindow: ['dedupe', 'windowMinutes'],
+            ratePerMinute: ['rateLimit', 'perMinute'],
+            ratePerHour: ['rateLimit', 'perHour'],
+            ratePerRecipient: ['rateLimit', 'perRecipientPerHour']
+        };
+        
+        function setThrottleFields(webhook) {
+            for (const [id, [group, key]] of Object.entries(THROTTLE_FIELDS)) {
+                document.getElementById(id).value = (webhook[group] || {})[key] || '';
+            }
+        }
+        
+        // Read the dedupe and rate-limit inputs; blank groups are sent as null to clear them
+        function getThrottleFields() {
+            const result = { dedupe: null, rateLimit: null };
+            for (const [id, [group, key]] of Object.entries(THROTTLE_FIELDS)) {
+                const value = parseInt(document.getElementById(id).value, 10);
+                if (value > 0) {
+                    result[group] = { ...result[group], [key]: value };
+                }
+            }
+            return result;
+        }
+        
+        function setSmsLengthFields(smsLength) {
+            document.getElementById('smsMaxLength').value = smsLength.maxLength || '';
+            document.getElementById('smsTruncateFields').value = (smsLength.truncateFields || []).join(', ');
+            document.getElementById('smsSplit').checked = !!smsLength.split;
+            document.getElementById('smsSubstitute').checked = !!smsLength.substitute;
+        }
+        
+        // Blank settings are sent as null to clear them
+        function getSmsLengthFields() {
+            const maxLength = parseInt(document.getElementById('smsMaxLength').value, 10);
+            const truncateFields = document.getElementById('smsTruncateFields').value
+                .split(',').map(field => field.trim()).filter(field => field);
+            const smsLength = {
+                maxLength: maxLength > 0 ? maxLength : null,
+                truncateFields,
+                split: document.getElementById('smsSplit').checked,
+                substitute: document.getElementById('smsSubstitute').checked
+            };
+            return smsLength.maxLength || smsLength.split || smsLength.substitute ? smsLength : null;
+        }
+        
+        function setBudgetFields(budget) {
+            document.getElementById('budgetSegments').value = budget.monthlySegments || '';
+            document.getElementById('budgetWarnPercent').value = budget.warnPercent || '';
+        }
+        
+        // A blank budget is sent as null to clear it
+        function getBudgetFields() {
+            const monthlySegments = parseInt(document.getElementById('budgetSegments').value, 10);
+            const warnPercent = parseInt(document.getElementById('budgetWarnPercent').value, 10);
+            if (!(monthlySegments > 0)) return null;
+            return warnPercent > 0 ? { monthlySegments, warnPercent } : { monthlySegments };
+        }
+        
+        // Show the secret and how callers should send it
+        function updateSecretDisplay() {
+            const mode = document.getElementById('webhookSecretMode').value;
+            const webhook = editingWebhook ? webhooks[editingWebhook] : null;
+            const secret = webhook && webhook.secret;
+            
+            document.getElementById('secretGroup').style.display = mode === 'none' ? 'none' : 'block';
+            document.getElementById('rotateSecretButton').style.display = secret ? 'inline-block' : 'none';
+            document.getElementById('webhookSecretDisplay').textContent = secret || 'A secret will be generated when you save';
+            
+            const url = serviceUrl + '/sms-whook/' + (editingWebhook || 'name');
+            const help = {
+                token: 'Call ' + url + '?token=SECRET',
+                header: 'Send the secret in an X-Webhook-Secret header',
+                hmac: 'Send X-Webhook-Timestamp (unix seconds) and X-Webhook-Signature: sha256=HMAC-SHA256(secret, timestamp + "." + raw body)'
+            };
+            document.getElementById('secretHelp').textContent = help[mode] || '';
+        }
+        
+        // Rotate the webhook secret; the old one works for another 24 hours
+        async function rotateSecret() {
+            if (!confirm('Generate a new secret? The current one keeps working for 24 hours.')) return;
+            
+            try {
+                const response = await fetch(serviceUrl + '/api/webhooks/' + editingWebhook + '/rotate-secret', { method: 'POST' });
+                const result = await response.json();
+                
+                if (!response.ok) throw new Error(result.error);
+                webhooks[editingWebhook].secret = result.secret;
+                updateSecretDisplay();
+                showToast('Secret rotated');
+            } catch (error) {
+                showToast('Error: ' + error.message, true);
+            }
+        }
+        
         function closeModal(modalId) {
             document.getElementById(modalId).classList.remove('active');
         }
@@ -1461,10 +10152,19 @@ function getManagerHTML(host) {
             
             const config = {
                 description: document.getElementById('webhookDescription').value,
-                recipients: document.getElementById('enableSMS').checked ? document.getElementById('webhookRecipients').value : '',
-                email: document.getElementById('enableEmail').checked ? document.getElementById('webhookEmail').value : '',
                 messageTemplate: document.getElementById('webhookTemplate').value,
-                browserNotify: document.getElementById('enableBrowser').checked,
+                ...getChannelFields(),
+                secretMode: document.getElementById('webhookSecretMode').value,
+                timezone: document.getElementById('webhookTimezone').value.trim(),
+                locale: document.getElementById('webhookLocale').value.trim(),
+                schedule: document.getElementById('webhookSchedule').value,
+                scheduleRouting: getScheduleRouting(),
+                rules: getRoutingRules(),
+                escalation: document.getElementById('webhookEscalation').value,
+                ...getThrottleFields(),
+                smsLength: getSmsLengthFields(),
+                budget: getBudgetFields(),
+                digest: getDigestFields(),
                 tags: tags
             };
             
@@ -1487,7 +10187,9 @@ function getManagerHTML(host) {
                     closeModal('webhookModal');
                     showToast('Webhook saved successfully!');
                 } else {
-                    throw new Error('Failed to save webhook');
+                    const result = await response.json();
+                    showPhoneErrors(result.invalidNumbers);
+                    throw new Error(result.error || 'Failed to save webhook');
                 }
             } catch (error) {
                 showToast('Error: ' + error.message, true);
@@ -1642,6 +10344,192 @@ function getManagerHTML(host) {
 </html>`;
 }
 
+// Function to generate the login page HTML
+function getLoginHTML() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Log In - ${APP_NAME}</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            padding: 20px;
+        }
+        
+        .login-box {
+            background: white;
+            border-radius: 12px;
+            padding: 30px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+            width: 100%;
+            max-width: 380px;
+        }
+        
+        h1 {
+            color: #333;
+            font-size: 24px;
+            margin-bottom: 20px;
+        }
+        
+        label {
+            display: block;
+            margin-bottom: 5px;
+            color: #374151;
+            font-weight: 500;
+        }
+        
+        input {
+            width: 100%;
+            padding: 10px;
+            border: 1px solid #d1d5db;
+            border-radius: 6px;
+            font-size: 14px;
+            margin-bottom: 15px;
+        }
+        
+        button {
+            width: 100%;
+            padding: 10px;
+            border: none;
+            border-radius: 6px;
+            background: #6366f1;
+            color: white;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+        }
+        
+        button:hover {
+            background: #4f46e5;
+        }
+        
+        .error {
+            color: #ef4444;
+            font-size: 13px;
+            margin-bottom: 15px;
+            display: none;
+        }
+    </style>
+</head>
+<body>
+    <form class="login-box" id="loginForm">
+        <h1>${APP_NAME}</h1>
+        <div class="error" id="loginError"></div>
+        <label for="username">Username</label>
+        <input type="text" id="username" autocomplete="username" required autofocus />
+        <label for="password">Password</label>
+        <input type="password" id="password" autocomplete="current-password" required />
+        <button type="submit">Log In</button>
+    </form>
+    
+    <script>
+        document.getElementById('loginForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const error = document.getElementById('loginError');
+            
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('username').value,
+                    password: document.getElementById('password').value
+                })
+            });
+            
+            if (response.ok) {
+                window.location.href = '/manager';
+            } else {
+                const result = await response.json();
+                error.textContent = result.error || 'Login failed';
+                error.style.display = 'block';
+            }
+        });
+    </script>
+</body>
+</html>`;
+}
+
+// Incident acknowledgement page
+function getAckHTML(incident) {
+    let body = '<p>This acknowledgement link is not valid.</p>';
+    if (incident && incident.status === 'open') {
+        body = `<p>${escapeHtml(incident.message)}</p>
+        <form method="POST"><button type="submit">Acknowledge</button></form>`;
+    } else if (incident && incident.status === 'acknowledged') {
+        body = `<p>Acknowledged by ${escapeHtml(incident.acknowledgedBy)} at ${escapeHtml(new Date(incident.acknowledgedAt).toLocaleString())}.</p>`;
+    } else if (incident) {
+        body = '<p>This incident ran out of escalation levels before anyone acknowledged it.</p>';
+    }
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Acknowledge - ${APP_NAME}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            margin: 0;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            padding: 20px;
+            box-sizing: border-box;
+        }
+        
+        .ack-box {
+            background: white;
+            border-radius: 12px;
+            padding: 30px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+            width: 100%;
+            max-width: 380px;
+            white-space: pre-wrap;
+        }
+        
+        h1 {
+            color: #333;
+            font-size: 22px;
+            margin: 0 0 15px;
+        }
+        
+        button {
+            width: 100%;
+            padding: 12px;
+            border: none;
+            border-radius: 6px;
+            background: #6366f1;
+            color: white;
+            font-size: 16px;
+            cursor: pointer;
+        }
+    </style>
+</head>
+<body>
+    <div class="ack-box">
+        <h1>${incident ? `Incident ${escapeHtml(incident.code)}` : APP_NAME}</h1>
+        ${body}
+    </div>
+</body>
+</html>`;
+}
+
 // Function to generate help HTML
 function getHelpHTML() {
     return `<!DOCTYPE html>
@@ -1693,15 +10581,211 @@ function getHelpHTML() {
         <li>Multiple notification methods per webhook</li>
     </ul>
     
+    <h2>Message Templates</h2>
+    <p>Templates are checked when a webhook is saved or imported, and invalid syntax is rejected.</p>
+    <h3>Variables</h3>
+    <ul>
+        <li><code>{callerNumber}</code>, <code>{callerName}</code>, <code>{extension}</code>, <code>{customMessage}</code>, <code>{queueName}</code>, <code>{waitTime}</code> - standard call fields (shown as Unknown or N/A when missing)</li>
+        <li><code>{time}</code>, <code>{date}</code> - when the webhook fired; <code>{now}</code> for use with the date filter</li>
+        <li><code>{anyField}</code> or <code>{body.caller.id}</code> - any value from the request payload, using dots for nested fields</li>
+    </ul>
+    <h3>Filters</h3>
+    <ul>
+        <li><code>{callerName|default:No name}</code> - use a value when the field is empty</li>
+        <li><code>{callerName|upper}</code>, <code>{callerName|lower}</code>, <code>{callerName|trim}</code></li>
+        <li><code>{callerNumber|phone}</code> - format as (555) 123-4567</li>
+        <li><code>{customMessage|truncate:40}</code> - cut to 40 characters with "..."</li>
+        <li><code>{callerName|json}</code> - quote as a JSON string, for HTTP body templates</li>
+        <li><code>{now|date:ddd MMM D h:mm A}</code> - format a date (YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H, hh, h, mm, ss, A, a; <code>[text]</code> is kept as written)</li>
+    </ul>
+    <p>Filters can be chained: <code>{callerName|default:unknown|upper}</code>. Quote arguments containing <code>|</code>.</p>
+    <h3>Timezones and Formats</h3>
+    <p><code>{time}</code>, <code>{date}</code> and date formats use the default timezone and locale from the Settings tab (initially <code>DEFAULT_TIMEZONE</code> and <code>DEFAULT_LOCALE</code>), or the webhook's own timezone and locale when set. Use a custom format with <code>{time:HH:mm}</code>, <code>{date:ddd MMM D}</code>, or on any payload date field, e.g. <code>{startedAt:h:mm A}</code>. Put literal text in square brackets so its letters aren't read as tokens: <code>{startedAt:[Started at] h:mm A}</code>.</p>
+    <h3>Conditionals</h3>
+    <p><code>{#if queueName}Queue: {queueName}{else}Direct call{/if}</code> and <code>{#unless callerName}No caller ID{/unless}</code>. Write <code>{{</code> and <code>}}</code> for literal braces.</p>
+    
+    <h3>Previewing</h3>
+    <p>The webhook editor shows a live preview of the message for a sample payload, with its length, SMS segment count and encoding (GSM-7, or UCS-2 when the message contains characters like emoji). Scripts can do the same with <code>POST /api/webhooks/:name/preview</code> and a body of <code>{"payload": {...}, "template": "..."}</code>; <code>template</code> is optional and defaults to the saved one, as are <code>smsLength</code> and <code>rules</code>. When a rule matches the payload, its template is used and the response's <code>rule</code> names it. The response's <code>sms</code> object has the texts that would be sent and their segment count. Nothing is sent.</p>
+    
+    <h2>Securing Webhook URLs</h2>
+    <p>Each webhook can require a shared secret, set under Inbound Security in the webhook editor:</p>
+    <ul>
+        <li><strong>Token</strong> - add <code>?token=SECRET</code> to the webhook URL</li>
+        <li><strong>Header</strong> - send the secret in an <code>X-Webhook-Secret</code> header</li>
+        <li><strong>HMAC</strong> - send <code>X-Webhook-Timestamp</code> (unix seconds) and <code>X-Webhook-Signature: sha256=&lt;hex&gt;</code>, the HMAC-SHA256 of <code>timestamp.body</code> using the secret. Requests older than ${DEFAULT_SIGNATURE_TOLERANCE} seconds (change it per webhook with <code>"signatureTolerance"</code>, a whole number of seconds), or reusing a signature, are rejected.</li>
+    </ul>
+    <p>Use Rotate to issue a new secret without renaming the webhook. The previous secret keeps working for 24 hours so callers can be updated.</p>
+    
+    <h2>Phone Numbers</h2>
+    <p>Phone numbers are checked and saved in international (E.164) format, like <code>+15551234567</code>, when you save a webhook, rotation, escalation policy or contact, or import a backup. Numbers written without a <code>+</code> country code, such as <code>(555) 123-4567</code>, are read as numbers in the Default Country from Settings (US unless the <code>DEFAULT_COUNTRY</code> environment variable says otherwise). A number that can't be read, such as <code>555-1234</code> with no area code, is reported by name and nothing is saved.</p>
+    <p>Caller numbers in incoming webhooks are normalized the same way before the message is built, so <code>{callerNumber}</code> is always in one format. Withheld or internal caller IDs are passed through unchanged.</p>
+    
+    <h2>Routing Rules</h2>
+    <p>One webhook can send different alerts to different people. Add Routing Rules in the webhook editor; each rule has one or more conditions on payload fields, and all of them must match. Rules are checked from the top and the first match wins, so put the most specific rules first. When no rule matches, the webhook's own recipients, template and channels are used. The template preview uses the matching rule's template and names the rule. Rules can't be combined with digest mode, since a digest sums up many alerts at once.</p>
+    <ul>
+        <li><code>callerNumber</code> starts with <code>+1212</code> - route by area code</li>
+        <li><code>queueName</code> equals <code>Support</code> - text comparisons ignore case</li>
+        <li><code>waitTime</code> greater than <code>300</code> - number comparisons</li>
+        <li><code>callerName</code> matches regex <code>^(acme|globex)</code> - up to 200 characters; a repeated group that repeats inside, like <code>(a+)+</code>, is refused because it can stall matching</li>
+        <li><code>body.caller.vip</code> is present - nested fields use dots, like in templates</li>
+    </ul>
+    <p>A matching rule can set its own SMS recipients, email recipients and message template (blank keeps the webhook's), and turn SMS, email, browser or Slack/Teams/HTTP notifications on or off. Business-hours routing is applied after the rule. The rule's name is available in templates as <code>{rule}</code> and is recorded in the changelog.</p>
+    
+    <h2>People and Groups</h2>
+    <p>Instead of typing the same phone numbers into every webhook, add each person once on the People tab with their phone, email and preferred channel, and collect them into groups. Webhooks and escalation levels then send to <code>person:alice</code> or <code>group:support</code> in their SMS or email recipients.</p>
+    <ul>
+        <li>Names are looked up each time an alert is sent, so changing someone's number takes effect everywhere at once</li>
+        <li>Each person is reached on their preferred channel (SMS, email or both), whichever recipient list names them</li>
+        <li>Each card shows which webhooks, escalation policies and groups use that person or group; they can't be deleted while in use</li>
+    </ul>
+    
+    <h2>Quiet Hours</h2>
+    <p>Give a person quiet hours (for example 22:00 to 07:00 in their timezone) and texts that aren't urgent are held while they sleep. Choose what happens to them:</p>
+    <ul>
+        <li><strong>Send when they end</strong> - each text is sent as soon as quiet hours are over</li>
+        <li><strong>Email instead</strong> - the alert goes to their email address right away (texts are deferred if they have no email)</li>
+        <li><strong>One summary when they end</strong> - a single morning text lists everything that came in overnight</li>
+    </ul>
+    <p>An alert is urgent, and ignores quiet hours, when its webhook has the <code>urgent</code> tag or the payload has <code>"urgent": true</code> or <code>"priority": "urgent"</code>. Escalation policies also ignore quiet hours. Quiet hours apply to any text sent to the person's number, whether the webhook names them with <code>person:</code>, <code>group:</code> or the raw number. Each decision is recorded in the Delivery Log with the status Deferred or Sent by Email.</p>
+    
+    <h2>Contacts</h2>
+    <p>Phone systems often send a caller's number without a name. The Contacts tab is a directory of numbers with a name, company, VIP flag and notes. When an alert comes in from a number in the directory:</p>
+    <ul>
+        <li><code>{contact.name}</code>, <code>{contact.company}</code>, <code>{contact.vip}</code> and <code>{contact.notes}</code> can be used in templates (they are empty for unknown callers, so use <code>{#if contact}...{/if}</code> or the <code>default</code> filter)</li>
+        <li><code>{callerName}</code> uses the contact's name when the payload has none</li>
+        <li>Routing rules can match on contact fields, for example <code>contact.vip</code> equals <code>true</code></li>
+    </ul>
+    <p>To add many contacts at once, use Import CSV with a header row naming the columns <code>phone</code>, <code>name</code>, <code>company</code>, <code>vip</code> (yes/no) and <code>notes</code>. Phone and name are required. Numbers already in the directory are updated rather than duplicated.</p>
+    
+    <h2>Business Hours</h2>
+    <p>Schedules describe when a team is open. Create them on the Schedules tab with weekly hours, a timezone, holidays (closed all day) and exceptions (different hours on one date, such as a half day). A range like <code>22:00-06:00</code> runs past midnight.</p>
+    <p>Pick a schedule in a webhook's Business Hours section, then choose what happens while it is open and while it is closed:</p>
+    <ul>
+        <li><strong>Send</strong> - notify as usual; fill in SMS or email recipients to override the webhook's own for that period</li>
+        <li><strong>Suppress</strong> - drop the alert; it is recorded in the changelog as <code>webhook_suppressed</code></li>
+    </ul>
+    <p>Templates can use <code>{schedule.name}</code>, <code>{schedule.label}</code> (the holiday or exception name) and <code>{#if schedule.open}...{else}...{/if}</code>. To check a schedule at a particular moment, call <code>GET /api/schedules/NAME/status?at=2026-12-25T10:00:00Z</code>.</p>
+    
+    <h2>On-Call Rotations</h2>
+    <p>A rotation is an ordered list of people who take turns being on call. Create one on the On Call tab with the members (name, phone, email), how many days each shift lasts, the handoff time and the date the first member starts. Handoffs happen at the handoff time in the rotation's timezone.</p>
+    <p>To page whoever is on call, put <code>oncall:NAME</code> in a webhook's SMS or Email Recipients (or in its business-hours routing) instead of a phone number or address. It is looked up each time the webhook fires and can be mixed with fixed recipients, e.g. <code>oncall:primary,+15551234567</code>. Templates can use <code>{oncall.name}</code>.</p>
+    <p>Use Calendar to see the next four weeks. Overrides hand a period to someone else - for a swap, a sick day or a holiday - and take precedence over the normal rotation. Someone outside the rotation can cover by giving their phone number.</p>
+    
+    <h2>Digest Mode</h2>
+    <p>For low-priority webhooks, turn on Digest Mode to collect alerts and send one summary every 15 minutes, every hour, or once a day at a set time (in the webhook's timezone). Nothing is sent for a period with no alerts. Pending digests are saved to disk, so they survive a restart; editors can send one early with Send Digest on the webhook.</p>
+    <p>The summary uses its own template. Besides <code>{time}</code> and <code>{date}</code> it can use <code>{count}</code>, <code>{webhook}</code>, <code>{description}</code>, <code>{since}</code> and <code>{until}</code> (use the <code>date</code> filter), <code>{callers}</code>, <code>{lines}</code> (one "time caller" line per alert), and <code>{first.callerNumber}</code> / <code>{last.callerName}</code> for the first and last alert. The default is <code>${escapeHtml(DEFAULT_DIGEST_TEMPLATE)}</code>.</p>
+    
+    <h2>Duplicates and Rate Limits</h2>
+    <p>Set these in a webhook's Duplicates and Rate Limits section to stop a redialing caller or a misfiring dial plan from flooding phones:</p>
+    <ul>
+        <li><strong>Dedupe window</strong> - after an alert, further calls from the same caller to the same webhook within this many minutes are not sent. When the window closes, one SMS says how many more calls came in.</li>
+        <li><strong>SMS per minute / per hour</strong> - the most texts the webhook sends in that time. Alerts over the limit are held back.</li>
+        <li><strong>Per person per hour</strong> - the most texts any one number gets in an hour, counting every webhook. Only that number is held back.</li>
+    </ul>
+    <p>Held-back alerts still appear in the delivery log with status <em>suppressed</em> and the reason, and a digest SMS listing how many were held and from which callers goes out when the limit's window closes. Escalation messages are never rate limited.</p>
+    
+    <h2>Escalations and Acknowledgement</h2>
+    <p>For alerts someone must see, give the webhook an escalation policy. A policy is a list of levels, each with SMS and/or email recipients (which can be <code>oncall:NAME</code>) and a number of minutes to wait. When the webhook fires, an incident is opened and level 1 is notified. If nobody acknowledges before the wait runs out, the next level is notified, and so on. After the last level's wait the incident is marked as never acknowledged.</p>
+    <p>Each escalating message ends with a four-digit code and a link. Any of these acknowledges the incident and stops the escalation:</p>
+    <ul>
+        <li>Reply <code>ACK 1234</code> (or just <code>ACK</code>) to the SMS - see SMS Replies below for setting this up.</li>
+        <li>Open the link in the message and press Acknowledge. Set <code>PUBLIC_URL</code> if the address people reach the server on differs from the one webhooks call.</li>
+        <li>Press Acknowledge on the Incidents tab in the manager.</li>
+    </ul>
+    <p>Click an incident to see its timeline: when each level was notified, who was sent what, and who acknowledged it and how.</p>
+    
+    <h2>SMS Replies</h2>
+    <p>Replies to alert texts are received on <code>/sms-inbound</code>. Subscribe your GoTo number's message-received events (a notification channel of type Webhook) to that URL; other providers can post <code>{"from": "+15551234567", "text": "ACK"}</code>. Set <code>INBOUND_SMS_TOKEN</code> and add <code>?token=...</code> to the URL; without a token the endpoint is turned off.</p>
+    <p>Each reply is matched to the most recent SMS alert sent to that number in the last 24 hours, and can start with a command:</p>
+    <ul>
+        <li><strong>ACK</strong> or <strong>ACK 1234</strong> - acknowledge an escalating incident you were notified about. After ${ACK_MAX_FAILURES} ACKs that match nothing, ACKs from that number are ignored for ${ACK_LOCKOUT_MS / 60000} minutes.</li>
+        <li><strong>MUTE 1h</strong> - stop texts from that alert's webhook for a while (<code>30m</code>, <code>2h</code>, <code>1d</code>; one hour if no time is given)</li>
+        <li><strong>STATUS</strong> - list your open incidents and mutes</li>
+        <li><strong>STOP</strong> - stop all SMS alerts to your number; <strong>START</strong> turns them back on</li>
+    </ul>
+    <p>Only numbers that were sent an alert in the last 24 hours, were notified about an open incident, or have opted out can use commands. The sender gets a text confirming what happened; other messages are logged without a reply, and numbers that have opted out are never texted back. Conversations are shown by alert on the Replies tab, along with every number that has opted out or muted alerts; editors can remove those there.</p>
+    
+    <h2>Logging In</h2>
+    <p>The manager and all <code>/api</code> routes require a login. On first start an <code>admin</code> user is created from <code>ADMIN_USERNAME</code> and <code>ADMIN_PASSWORD</code>; if no password is set, a random one is printed in the startup log.</p>
+    <p>Each user has a role:</p>
+    <ul>
+        <li><strong>Viewer</strong> - see webhooks, deliveries, the retry queue and the changelog</li>
+        <li><strong>Editor</strong> - everything a viewer can do, plus create, edit and archive webhooks, send test SMS and retry queued messages</li>
+        <li><strong>Admin</strong> - everything, plus export/import and managing users and API tokens</li>
+    </ul>
+    <p>For scripts, create an API token on the Access tab and send it as <code>Authorization: Bearer &lt;token&gt;</code>. Inbound webhook URLs (<code>/sms-whook/...</code>) do not need a login.</p>
+    
     <h2>Important: Your Credentials</h2>
     <p>This version has hardcoded credentials. Make sure to update the client secret in app.js before deploying.</p>
     
     <h2>Data Persistence</h2>
-    <p>All webhooks are now saved to the server's disk in the /data directory. They will persist across restarts and updates.</p>
+    <p>All webhooks are now saved to the server's disk in the /data directory. They will persist across restarts and updates. Set <code>DATA_DIR</code> to keep them somewhere else.</p>
     
     <h2>Using Tags</h2>
     <p>Tags help organize your webhooks. Add tags like "urgent", "sales", "support" to categorize and filter webhooks easily.</p>
     
+    <h2>Email Notifications</h2>
+    <p>Webhooks with Email enabled send the same formatted message to every address in their Email Recipients list. Configure the SMTP server with these environment variables:</p>
+    <ul>
+        <li><code>SMTP_HOST</code> - SMTP server hostname (email is disabled when unset)</li>
+        <li><code>SMTP_PORT</code> - SMTP port (default 587)</li>
+        <li><code>SMTP_SECURE</code> - set to <code>true</code> for implicit TLS (port 465)</li>
+        <li><code>SMTP_USER</code> / <code>SMTP_PASS</code> - SMTP credentials (optional)</li>
+        <li><code>EMAIL_FROM</code> - sender address (defaults to <code>SMTP_USER</code>)</li>
+    </ul>
+    <p>For local testing, run an SMTP stand-in such as MailHog and set <code>SMTP_HOST=localhost</code> and <code>SMTP_PORT=1025</code>. <code>npm test</code> sends an alert to a minimal SMTP stand-in of its own.</p>
+    
+    <h2>Browser Notifications</h2>
+    <p>Webhooks with Browser Notify enabled raise a desktop notification in every open manager tab. Click "Enable Notifications" in the manager header to allow them.</p>
+    <p>To receive notifications while the manager is closed, set <code>VAPID_PUBLIC_KEY</code>, <code>VAPID_PRIVATE_KEY</code> and <code>VAPID_SUBJECT</code> (generate keys with <code>npx web-push generate-vapid-keys</code>). The manager then registers a Web Push subscription when notifications are enabled.</p>
+    
+    <h2>Slack, Teams and HTTP</h2>
+    <p>Webhooks can also post each alert to chat or to another service. Tick Slack, Teams or HTTP POST in the webhook editor and paste the URL:</p>
+    <ul>
+        <li><strong>Slack</strong> - an incoming webhook URL (<code>https://hooks.slack.com/services/...</code>). The alert is posted with its title, message, caller and time.</li>
+        <li><strong>Teams</strong> - an incoming webhook connector URL. The alert is posted as a card with the caller and time as facts.</li>
+        <li><strong>HTTP POST</strong> - any URL, with optional headers such as <code>Authorization: Bearer ...</code>. The body is JSON with <code>webhook</code>, <code>title</code>, <code>message</code>, <code>callerNumber</code>, <code>callerName</code>, <code>timestamp</code> and <code>payload</code>, or your own body template.</li>
+    </ul>
+    <p>Channel URLs can't point at <code>localhost</code>, private networks or link-local addresses, including names that resolve to them, and redirects aren't followed. Set <code>ALLOW_PRIVATE_CHANNEL_URLS=true</code> to post to services on your own network. A channel test reports only the status code the service answered with.</p>
+    <p>A body template uses the message template syntax and sees the same fields plus <code>{message}</code>, <code>{title}</code>, <code>{webhook}</code> and <code>{payload}</code>. It must produce JSON, so write literal braces as <code>{{</code> and <code>}}</code> and add the <code>json</code> filter to each value, which quotes and escapes it: <code>{{"text": {message|json}, "caller": {callerNumber|json}}}</code>.</p>
+    <p>Each channel is logged as its own delivery with the service's response, so a failed Slack post shows Slack's reason (such as <code>invalid_payload</code>) without affecting SMS or email. These channels are not retried. Digests are posted to them too; routing rules can turn them off. Viewers see the URLs and header values masked.</p>
+    
+    <h2>Channels</h2>
+    <p>SMS, email, browser notifications, Slack, Teams and HTTP POST are all channels, and an alert goes out on every channel the webhook has ticked. The webhook editor builds its settings from <code>GET /api/channels</code>, which lists each channel's fields, limits (such as the longest message it takes) and whether the server is set up for it; channels the server can't use yet are marked "not configured".</p>
+    <p>Use a channel's Test button to check it with the settings as entered: SMS fetches a GoTo access token and email connects to the SMTP server without sending anything, while Slack, Teams and HTTP post a test message. Scripts can do the same with <code>POST /api/channels/:type/test</code> and a body of <code>{"webhook": "name", "settings": ...}</code>.</p>
+    
+    <h2>Delivery Log</h2>
+    <p>Every SMS, email, browser, Slack, Teams and HTTP notification is recorded in the delivery log with its payload, rendered message, recipients, provider response, latency and any error. Browse it on the Deliveries tab or query <code>/api/deliveries</code> with <code>webhook</code>, <code>status</code>, <code>channel</code>, <code>from</code>, <code>to</code> and <code>limit</code> parameters. The most recent ${MAX_DELIVERIES} deliveries are kept.</p>
+    
+    <h2>Retry Queue</h2>
+    <p>When an SMS fails because of a token error, a network problem, a rate limit or a server error from the GoTo messaging API, it is saved to a retry queue in the /data directory and the webhook responds with <code>202</code>. Queued messages are retried with exponential backoff and jitter (starting around 30 seconds, up to an hour between attempts), including after a restart. After ${RETRY_MAX_ATTEMPTS} failed retries (set with <code>RETRY_MAX_ATTEMPTS</code>) the message moves to the dead-letter list, which keeps the newest ${MAX_DEAD_LETTERS}.</p>
+    <p>Use the Retry Queue tab, or <code>GET /api/queue</code>, <code>POST /api/queue/:id/retry</code> and <code>DELETE /api/queue/:id</code>, to retry or discard messages by hand.</p>
+    
+    <h2>SMS Length</h2>
+    <p>Long messages cost more: a GSM-7 SMS holds 160 characters, or 153 per segment once it is split, and a single emoji or curly quote switches the whole message to UCS-2, which holds 70 (67 per segment). The SMS Length settings in the webhook editor control what is sent by text; other channels always get the full message.</p>
+    <ul>
+        <li><strong>Max length</strong> - the longest SMS the webhook sends, up to ${SMS_MAX_LENGTH}. Longer messages are cut and end in <code>...</code></li>
+        <li><strong>Fields to shorten first</strong> - template fields such as <code>customMessage</code> or <code>callerName</code> that are shortened, in order, before the end of the message is cut</li>
+        <li><strong>Split long messages</strong> - a message over one segment goes out as separate texts marked <code>(1/2)</code>, <code>(2/2)</code>, broken between words</li>
+        <li><strong>Replace smart quotes and emoji</strong> - curly quotes, dashes, ellipses and common emoji become plain equivalents (<code>:)</code>, <code>&lt;3</code>, <code>[!]</code>), other emoji are dropped and accents are removed where that keeps the message in GSM-7</li>
+    </ul>
+    <p>The preview shows the texts as they will be sent. Each SMS delivery records its segment count. In the API the settings are <code>"smsLength": {"maxLength": 320, "truncateFields": ["customMessage"], "split": true, "substitute": true}</code>.</p>
+    
+    <h2>SMS Usage and Budgets</h2>
+    <p>Every SMS sent is counted per webhook, per recipient and per day, including retries and digests. A message split into several texts counts each text, and segments are counted the way carriers bill them. Daily totals are kept for ${USAGE_RETENTION_DAYS} days, independently of the delivery log.</p>
+    <p>The Usage tab charts segments per day and lists totals by webhook and by recipient for a date range. Set an <strong>SMS Cost per Segment</strong> in Settings (or <code>SMS_COST_PER_SEGMENT</code>) to see estimated spend. Scripts can use <code>GET /api/usage?from=YYYY-MM-DD&amp;to=YYYY-MM-DD&amp;webhook=name</code>; the range defaults to the last ${DEFAULT_USAGE_RANGE_DAYS} days and can be up to ${USAGE_MAX_RANGE_DAYS} days long.</p>
+    <p>A webhook can have a <strong>Monthly SMS Budget</strong> in segments (<code>"budget": {"monthlySegments": 2000, "warnPercent": 80}</code>). When it passes the warning level (${DEFAULT_BUDGET_WARN_PERCENT}% unless set), a <code>budget_warning</code> entry is added to the changelog. Once the budget is used, a <code>budget_exceeded</code> entry is added and non-urgent alerts skip SMS for the rest of the month, including digests, texts deferred for quiet hours and escalation levels; their other channels still send and the skipped texts show as suppressed in the delivery log. Urgent alerts, from a webhook tagged <code>urgent</code> or a payload with <code>"urgent": true</code> or <code>"priority": "urgent"</code>, are always texted. Months follow the default timezone.</p>
+    
+    <h2>Backup SMS Provider</h2>
+    <p>SMS normally goes through GoTo. To keep alerts flowing when GoTo's token endpoint or messaging API is down, add a Twilio account (or any service with a Twilio-compatible API) with these environment variables:</p>
+    <ul>
+        <li><code>TWILIO_ACCOUNT_SID</code> / <code>TWILIO_AUTH_TOKEN</code> - API credentials</li>
+        <li><code>TWILIO_FROM_NUMBER</code> - the number messages are sent from, in +E.164 format</li>
+        <li><code>TWILIO_API_URL</code> - base URL for a Twilio-compatible service (default <code>https://api.twilio.com</code>)</li>
+    </ul>
+    <p>When GoTo fails, the same message is sent through Twilio straight away and the delivery log records which provider sent it. A provider that fails ${SMS_CIRCUIT_THRESHOLD} times in a row (<code>SMS_CIRCUIT_THRESHOLD</code>) is skipped for ${SMS_CIRCUIT_RESET_MS / 1000} seconds (<code>SMS_CIRCUIT_RESET_SECONDS</code>), then a single message is let through to check whether it has recovered. If every provider is failing, messages go to the retry queue. Each provider's state is shown on <code>/health</code>.</p>
+    <p>To try failover without a Twilio account, set <code>TWILIO_MOCK=true</code>. The server then answers Twilio API calls itself under <code>/mock/twilio</code> and lists the messages it accepted at <code>/mock/twilio/messages</code>; sending to <code>+15005550001</code> fails like an invalid number. <code>GOTO_TOKEN_URL</code> and <code>GOTO_SMS_API_URL</code> replace GoTo's endpoints, so GoTo can be made to fail too. <code>npm test</code> runs the server this way and checks that a text fails over to the mock.</p>
+    
     <h2>Backup Your Data</h2>
     <p>Use the Export button to download all your webhooks and settings. Use Import to restore from a backup.</p>
     
@@ -1715,6 +10799,37 @@ function getHelpHTML() {
     await initDataDirectory();
     notificationConfigs = await loadWebhooks();
     archivedWebhooks = await loadArchived();
+    pushSubscriptions = await loadPushSubscriptions();
+    deliveries = await loadDeliveries();
+    retryQueue = await loadRetryQueue();
+    users = await loadUsers();
+    apiTokens = await loadApiTokens();
+    settings = await loadSettings();
+    schedules = await loadSchedules();
+    rotations = await loadRotations();
+    escalationPolicies = await loadEscalationPolicies();
+    incidents = await loadIncidents();
+    inboundMessages = await loadInboundMessages();
+    smsPreferences = await loadSmsPreferences();
+    throttle = await loadThrottle();
+    pendingDigests = await loadDigests();
+    contacts = await loadContacts();
+    people = await loadPeople();
+    groups = await loadGroups();
+    usage = await loadUsage();
+    await ensureAdminUser();
+    
+    // Retry failed SMS sends in the background
+    setInterval(processRetryQueue, RETRY_POLL_INTERVAL_MS);
+    
+    // Move unacknowledged incidents up their escalation policy
+    setInterval(processEscalations, ESCALATION_POLL_INTERVAL_MS);
+    
+    // Send digests for dedupe and rate-limit windows that have closed
+    setInterval(processThrottleWindows, THROTTLE_POLL_INTERVAL_MS);
+    
+    // Send digest-mode summaries that are due
+    setInterval(processDigests, DIGEST_POLL_INTERVAL_MS);
     changelog = await loadChangelog();
     
     // Start the server
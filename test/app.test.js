@@ -0,0 +1,200 @@
+// End-to-end checks: each test starts app.js on a free port with its own data directory
+// and talks to it over HTTP, with stand-ins for the services it sends through
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const ADMIN_PASSWORD = 'test-password';
+
+// A port nothing is listening on
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Start the app with extra environment variables and log in as admin
+// Returns { request(path, options), stop() }
+async function startApp(env) {
+    const port = await getFreePort();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-test-'));
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+        env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ADMIN_PASSWORD, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const stop = async () => {
+        if (child.exitCode === null) child.kill();
+        await exited;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    let cookie = '';
+    const request = async (urlPath, options = {}) => {
+        const response = await fetch(baseUrl + urlPath, {
+            ...options,
+            headers: { 'content-type': 'application/json', cookie, ...options.headers },
+            body: options.body === undefined ? undefined : JSON.stringify(options.body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        for (let attempt = 0; ; attempt++) {
+            if (child.exitCode !== null) throw new Error(`app.js exited on start:\n${output}`);
+            try {
+                await fetch(`${baseUrl}/health`);
+                break;
+            } catch (error) {
+                if (attempt >= 100) throw new Error(`app.js did not start:\n${output}`);
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+        }
+
+        const login = await fetch(`${baseUrl}/api/login`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ username: 'admin', password: ADMIN_PASSWORD })
+        });
+        assert.strictEqual(login.status, 200, 'admin login failed');
+        cookie = login.headers.get('set-cookie').split(';')[0];
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+
+    return { request, stop };
+}
+
+// Just enough of an SMTP server to accept mail; each message is pushed to messages as
+// { from, to: [...], data }
+async function startSmtpStandIn() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        let inData = false;
+        socket.write('220 localhost SMTP stand-in\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(message);
+                        socket.write('250 OK\r\n');
+                    } else {
+                        message.data += line.replace(/^\./, '') + '\n';
+                    }
+                    continue;
+                }
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 localhost\r\n');
+                } else if (command === 'MAIL') {
+                    message = { from: line.match(/<(.*)>/)[1], to: [], data: '' };
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.match(/<(.*)>/)[1]);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        port: server.address().port,
+        messages,
+        stop: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections?.();
+        })
+    };
+}
+
+test('SMS fails over to the Twilio mock when GoTo is down', async (t) => {
+    // GoTo's token endpoint points at a closed port, so every GoTo send fails to connect
+    const closedPort = await getFreePort();
+    const app = await startApp({
+        GOTO_CLIENT_ID: 'test-client',
+        GOTO_CLIENT_SECRET: 'test-secret',
+        GOTO_PHONE_NUMBER: '+15550000000',
+        GOTO_TOKEN_URL: `http://127.0.0.1:${closedPort}/oauth/token`,
+        TWILIO_MOCK: 'true'
+    });
+    t.after(app.stop);
+
+    const created = await app.request('/api/webhooks', {
+        method: 'POST',
+        body: { name: 'failover', config: { description: 'Failover', messageTemplate: 'Failover check', recipients: '+15551230001' } }
+    });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+
+    const sent = await app.request('/sms-whook/failover', { method: 'POST', body: {} });
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.body));
+    assert.strictEqual(sent.body.channels.sms.success, true);
+
+    const mock = await app.request('/mock/twilio/messages');
+    assert.deepStrictEqual(
+        mock.body.messages.map(message => ({ to: message.to, body: message.body })),
+        [{ to: '+15551230001', body: 'Failover check' }]
+    );
+
+    const health = await app.request('/health');
+    const providers = Object.fromEntries(health.body.smsProviders.map(provider => [provider.name, provider]));
+    assert.ok(providers.goto.failures >= 1, 'GoTo failure was not recorded');
+    assert.ok(providers.twilio.lastSuccessAt, 'Twilio success was not recorded');
+});
+
+test('Email alerts are sent through the configured SMTP server', async (t) => {
+    const smtp = await startSmtpStandIn();
+    t.after(smtp.stop);
+    const app = await startApp({
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: String(smtp.port),
+        EMAIL_FROM: 'alerts@example.com'
+    });
+    t.after(app.stop);
+
+    const created = await app.request('/api/webhooks', {
+        method: 'POST',
+        body: { name: 'email-only', config: { description: 'Email', messageTemplate: 'Call from {callerNumber}', email: 'oncall@example.com' } }
+    });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+
+    const sent = await app.request('/sms-whook/email-only', { method: 'POST', body: { callerNumber: '+15551230002' } });
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.body));
+    assert.strictEqual(sent.body.channels.email.success, true);
+    assert.strictEqual(sent.body.channels.sms, undefined);
+
+    assert.strictEqual(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.strictEqual(message.from, 'alerts@example.com');
+    assert.deepStrictEqual(message.to, ['oncall@example.com']);
+    assert.match(message.data, /Call from \+15551230002/);
+});